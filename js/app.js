@@ -10,20 +10,114 @@
 (function() {
     'use strict';
 
+    // One HTML escaper for every module, kept in Explanations
+    const escapeHTML = Explanations.escapeHTML;
+
+    // Rows per page in the results table
+    const RESULTS_PAGE_SIZE = 100;
+
+    // Addresses per page in the host browser
+    const HOST_PAGE_SIZE = 64;
+
+    // localStorage key for the address plan designer
+    const PLAN_STORAGE_KEY = 'subnetTutorPlan';
+
+    // localStorage key for saved DHCP scope policy templates
+    const POLICY_STORAGE_KEY = 'subnetTutorPolicies';
+
+    // Subnets drawn on the policy map (the policy table lists the whole page)
+    const POLICY_MAP_SIZE = 16;
+
+    // DHCP scope policies that are always available; saved templates are listed after them
+    const BUILT_IN_POLICIES = [
+        { name: 'Standard LAN', gateway: 'first', statics: '10', reserved: '5', minPool: '2' },
+        { name: 'Proportional', gateway: 'first', statics: '20%', reserved: '10%', minPool: '2' },
+        { name: 'Server segment', gateway: 'first', statics: '100%', reserved: '0', minPool: '0' }
+    ];
+
+    // Exact blocks offered as choices when a typed range is not one CIDR block
+    const RANGE_BLOCK_CHOICES = 8;
+
+    // How long toasts stay up (ms); errors linger so there is time to read the fix
+    const TOAST_DURATION = { success: 3000, info: 4000, error: 7000 };
+
+    // Form input for each field named in SubnetEngine validation issues
+    const FIELD_INPUTS = {
+        address: 'baseIP',
+        basePrefix: 'basePrefix',
+        newPrefix: 'newPrefix',
+        mode: 'calcMode',
+        count: 'requiredCount',
+        requirements: 'vlsmRequirements'
+    };
+
+    // Host browser input for each field of its manual policy
+    const HOST_FIELD_INPUTS = {
+        statics: 'hostStaticCount'
+    };
+
+    // Policy form input for each field named in SubnetEngine policy issues
+    const POLICY_FIELD_INPUTS = {
+        name: 'policyName',
+        gateway: 'policyGateway',
+        statics: 'policyStatics',
+        reserved: 'policyReserved',
+        minPool: 'policyMinPool'
+    };
+
+    // Assignment form input for each field named in SubnetEngine assignment issues
+    const IPAM_FIELD_INPUTS = {
+        address: 'ipamAddress',
+        hostname: 'ipamHostname',
+        mac: 'ipamMac',
+        type: 'ipamType'
+    };
+
+    // Plan carve input for each field named in SubnetEngine requirement issues
+    const PLAN_CARVE_FIELD_INPUTS = {
+        requirements: 'planCarveRequirements'
+    };
+
     // Application state
     const state = {
         mode: 'beginner', // 'beginner' or 'expert'
         theme: 'light', // 'light' or 'dark'
-        lastCalculation: null
+        lastCalculation: null,
+        lastRangeConversion: null,
+        lastConflictReport: null,
+        resultsPage: 0n,
+        pageSubnets: [],
+        locatedSubnet: null,
+        hostBrowser: null,
+        ipam: new Map(),
+        ipamDuplicates: { addresses: [], macs: [] },
+        ipamPanel: null,
+        policies: [],
+        policy: null,
+        plan: null,
+        planAnalysis: null,
+        planSelected: '',
+        mergeSelection: new Set(),
+        aclEntries: []
     };
 
     // DOM elements
     const elements = {
         // Inputs
         baseIP: document.getElementById('baseIP'),
+        baseIPHint: document.getElementById('baseIPHint'),
         basePrefix: document.getElementById('basePrefix'),
         newPrefix: document.getElementById('newPrefix'),
+        calcMode: document.getElementById('calcMode'),
+        addressingRules: document.getElementById('addressingRules'),
+        newPrefixGroup: document.getElementById('newPrefixGroup'),
+        requirementGroup: document.getElementById('requirementGroup'),
+        requiredCount: document.getElementById('requiredCount'),
+        requiredCountLabel: document.getElementById('requiredCountLabel'),
+        vlsmGroup: document.getElementById('vlsmGroup'),
+        vlsmRequirements: document.getElementById('vlsmRequirements'),
         calculateBtn: document.getElementById('calculateBtn'),
+        toastContainer: document.getElementById('toastContainer'),
         
         // Controls
         modeToggle: document.getElementById('modeToggle'),
@@ -36,6 +130,23 @@
         
         // Results
         resultsTableBody: document.getElementById('resultsTableBody'),
+        mergeToolbar: document.getElementById('mergeToolbar'),
+        mergeStatus: document.getElementById('mergeStatus'),
+        mergeBtn: document.getElementById('mergeBtn'),
+        mergeUndoBtn: document.getElementById('mergeUndoBtn'),
+        mergeExplanation: document.getElementById('mergeExplanation'),
+        resultsPager: document.getElementById('resultsPager'),
+        pagerFirst: document.getElementById('pagerFirst'),
+        pagerPrev: document.getElementById('pagerPrev'),
+        pagerPage: document.getElementById('pagerPage'),
+        pagerTotal: document.getElementById('pagerTotal'),
+        pagerNext: document.getElementById('pagerNext'),
+        pagerLast: document.getElementById('pagerLast'),
+        tradeoffPanel: document.getElementById('tradeoffPanel'),
+        tradeoffNote: document.getElementById('tradeoffNote'),
+        tradeoffTableBody: document.getElementById('tradeoffTableBody'),
+        freeBlocksPanel: document.getElementById('freeBlocksPanel'),
+        freeBlocksList: document.getElementById('freeBlocksList'),
         totalSubnets: document.getElementById('totalSubnets'),
         hostsPerSubnet: document.getElementById('hostsPerSubnet'),
         subnetMask: document.getElementById('subnetMask'),
@@ -44,7 +155,11 @@
         // Standard Subnetting Outputs
         networkAddress: document.getElementById('networkAddress'),
         broadcastAddress: document.getElementById('broadcastAddress'),
+        broadcastLabel: document.getElementById('broadcastLabel'),
+        broadcastHeader: document.getElementById('broadcastHeader'),
+        subnetMaskLabel: document.getElementById('subnetMaskLabel'),
         subnetMaskDecimal: document.getElementById('subnetMaskDecimal'),
+        wildcardMask: document.getElementById('wildcardMask'),
         subnetMaskBinary: document.getElementById('subnetMaskBinary'),
         cidrNotation: document.getElementById('cidrNotation'),
         firstUsableHost: document.getElementById('firstUsableHost'),
@@ -57,202 +172,2793 @@
         networkBits: document.getElementById('networkBits'),
         hostBits: document.getElementById('hostBits'),
         ipType: document.getElementById('ipType'),
+        specialWarning: document.getElementById('specialWarning'),
+        
+        // ACL Builder
+        aclBuilder: document.getElementById('aclBuilder'),
+        aclSource: document.getElementById('aclSource'),
+        aclAction: document.getElementById('aclAction'),
+        aclType: document.getElementById('aclType'),
+        aclListNumber: document.getElementById('aclListNumber'),
+        aclProtocolGroup: document.getElementById('aclProtocolGroup'),
+        aclProtocol: document.getElementById('aclProtocol'),
+        aclDestinationGroup: document.getElementById('aclDestinationGroup'),
+        aclDestination: document.getElementById('aclDestination'),
+        aclPortGroup: document.getElementById('aclPortGroup'),
+        aclPort: document.getElementById('aclPort'),
+        aclAddBtn: document.getElementById('aclAddBtn'),
+        aclClearBtn: document.getElementById('aclClearBtn'),
+        aclOutput: document.getElementById('aclOutput'),
+        rdnsPanel: document.getElementById('rdnsPanel'),
+        rdnsSubnets: document.getElementById('rdnsSubnets'),
+        rdnsNameserver: document.getElementById('rdnsNameserver'),
+        rdnsHostmaster: document.getElementById('rdnsHostmaster'),
+        rdnsDomain: document.getElementById('rdnsDomain'),
+        rdnsShowBtn: document.getElementById('rdnsShowBtn'),
+        rdnsExportBtn: document.getElementById('rdnsExportBtn'),
+        rdnsResults: document.getElementById('rdnsResults'),
+        rdnsTableBody: document.getElementById('rdnsTableBody'),
+        policyPanel: document.getElementById('policyPanel'),
+        policySelect: document.getElementById('policySelect'),
+        policyName: document.getElementById('policyName'),
+        policyGateway: document.getElementById('policyGateway'),
+        policyStatics: document.getElementById('policyStatics'),
+        policyReserved: document.getElementById('policyReserved'),
+        policyMinPool: document.getElementById('policyMinPool'),
+        policyApplyBtn: document.getElementById('policyApplyBtn'),
+        policySaveBtn: document.getElementById('policySaveBtn'),
+        policyDeleteBtn: document.getElementById('policyDeleteBtn'),
+        policyResults: document.getElementById('policyResults'),
+        policyTableBody: document.getElementById('policyTableBody'),
+        policyMap: document.getElementById('policyMap'),
+        policyMapNote: document.getElementById('policyMapNote'),
+        hostBrowser: document.getElementById('hostBrowser'),
+        hostBrowserTitle: document.getElementById('hostBrowserTitle'),
+        hostBrowserClose: document.getElementById('hostBrowserClose'),
+        hostPolicy: document.getElementById('hostPolicy'),
+        hostGateway: document.getElementById('hostGateway'),
+        hostStaticCount: document.getElementById('hostStaticCount'),
+        hostSearch: document.getElementById('hostSearch'),
+        hostSearchBtn: document.getElementById('hostSearchBtn'),
+        hostRoles: document.getElementById('hostRoles'),
+        hostTableBody: document.getElementById('hostTableBody'),
+        hostPager: document.getElementById('hostPager'),
+        hostPagerFirst: document.getElementById('hostPagerFirst'),
+        hostPagerPrev: document.getElementById('hostPagerPrev'),
+        hostPagerPage: document.getElementById('hostPagerPage'),
+        hostPagerTotal: document.getElementById('hostPagerTotal'),
+        hostPagerNext: document.getElementById('hostPagerNext'),
+        hostPagerLast: document.getElementById('hostPagerLast'),
+        ipamPanel: document.getElementById('ipamPanel'),
+        ipamTitle: document.getElementById('ipamTitle'),
+        ipamClose: document.getElementById('ipamClose'),
+        ipamUsage: document.getElementById('ipamUsage'),
+        ipamDuplicates: document.getElementById('ipamDuplicates'),
+        ipamAddress: document.getElementById('ipamAddress'),
+        ipamHostname: document.getElementById('ipamHostname'),
+        ipamMac: document.getElementById('ipamMac'),
+        ipamOwner: document.getElementById('ipamOwner'),
+        ipamType: document.getElementById('ipamType'),
+        ipamNotes: document.getElementById('ipamNotes'),
+        ipamSaveBtn: document.getElementById('ipamSaveBtn'),
+        ipamResetBtn: document.getElementById('ipamResetBtn'),
+        ipamTableBody: document.getElementById('ipamTableBody'),
+        locateInput: document.getElementById('locateInput'),
+        locateBtn: document.getElementById('locateBtn'),
+        locateClearBtn: document.getElementById('locateClearBtn'),
+        locateResults: document.getElementById('locateResults'),
+        locateNumber: document.getElementById('locateNumber'),
+        locateSubnet: document.getElementById('locateSubnet'),
+        locateRole: document.getElementById('locateRole'),
+        locatePosition: document.getElementById('locatePosition'),
+        locateExplanation: document.getElementById('locateExplanation'),
         
         // Learning
         explanationContent: document.getElementById('explanationContent'),
         
         // Export
         exportCSV: document.getElementById('exportCSV'),
-        exportPDF: document.getElementById('exportPDF')
+        exportPDF: document.getElementById('exportPDF'),
+        copyReport: document.getElementById('copyReport'),
+        
+        // Route Summarization
+        summarizeInput: document.getElementById('summarizeInput'),
+        summarizeBtn: document.getElementById('summarizeBtn'),
+        summarizeResults: document.getElementById('summarizeResults'),
+        summarizeSupernet: document.getElementById('summarizeSupernet'),
+        summarizeCount: document.getElementById('summarizeCount'),
+        summarizeOverCoverage: document.getElementById('summarizeOverCoverage'),
+        summarizeTableBody: document.getElementById('summarizeTableBody'),
+        summarizeExplanation: document.getElementById('summarizeExplanation'),
+        
+        // Range / CIDR Converter
+        rangeDirection: document.getElementById('rangeDirection'),
+        rangeInput: document.getElementById('rangeInput'),
+        rangeConvertBtn: document.getElementById('rangeConvertBtn'),
+        rangeResults: document.getElementById('rangeResults'),
+        rangeResultsTitle: document.getElementById('rangeResultsTitle'),
+        rangeTableHead: document.getElementById('rangeTableHead'),
+        rangeTableBody: document.getElementById('rangeTableBody'),
+        rangeExportCSV: document.getElementById('rangeExportCSV'),
+        
+        // Address Exclusion
+        excludeParent: document.getElementById('excludeParent'),
+        excludeInput: document.getElementById('excludeInput'),
+        excludeBtn: document.getElementById('excludeBtn'),
+        excludeResults: document.getElementById('excludeResults'),
+        excludeFreeAddresses: document.getElementById('excludeFreeAddresses'),
+        excludeExcludedAddresses: document.getElementById('excludeExcludedAddresses'),
+        excludeFreeCount: document.getElementById('excludeFreeCount'),
+        excludeTableBody: document.getElementById('excludeTableBody'),
+        
+        // Subnet Conflict Checker
+        conflictInput: document.getElementById('conflictInput'),
+        conflictBtn: document.getElementById('conflictBtn'),
+        conflictResults: document.getElementById('conflictResults'),
+        conflictDuplicates: document.getElementById('conflictDuplicates'),
+        conflictOverlaps: document.getElementById('conflictOverlaps'),
+        conflictAdjacent: document.getElementById('conflictAdjacent'),
+        conflictAggregatable: document.getElementById('conflictAggregatable'),
+        conflictTableBody: document.getElementById('conflictTableBody'),
+        conflictExportCSV: document.getElementById('conflictExportCSV'),
+        
+        // Host-to-Host Reachability
+        hostAInput: document.getElementById('hostAInput'),
+        hostAGateway: document.getElementById('hostAGateway'),
+        hostBInput: document.getElementById('hostBInput'),
+        hostBGateway: document.getElementById('hostBGateway'),
+        hostPairBtn: document.getElementById('hostPairBtn'),
+        hostPairResults: document.getElementById('hostPairResults'),
+        hostPairVerdict: document.getElementById('hostPairVerdict'),
+        hostPairAtoB: document.getElementById('hostPairAtoB'),
+        hostPairBtoA: document.getElementById('hostPairBtoA'),
+        hostPairIssueCount: document.getElementById('hostPairIssueCount'),
+        hostPairAnd: document.getElementById('hostPairAnd'),
+        hostPairTableBody: document.getElementById('hostPairTableBody'),
+        hostPairExplanation: document.getElementById('hostPairExplanation'),
+        routeInput: document.getElementById('routeInput'),
+        defaultNextHop: document.getElementById('defaultNextHop'),
+        addDefaultRouteBtn: document.getElementById('addDefaultRouteBtn'),
+        addConnectedRoutesBtn: document.getElementById('addConnectedRoutesBtn'),
+        routeDestination: document.getElementById('routeDestination'),
+        routeLookupBtn: document.getElementById('routeLookupBtn'),
+        routeResults: document.getElementById('routeResults'),
+        routeResultDestination: document.getElementById('routeResultDestination'),
+        routeResultWinner: document.getElementById('routeResultWinner'),
+        routeResultNextHop: document.getElementById('routeResultNextHop'),
+        routeResultInterface: document.getElementById('routeResultInterface'),
+        routeTableBody: document.getElementById('routeTableBody'),
+        routeExplanation: document.getElementById('routeExplanation'),
+        planRootInput: document.getElementById('planRootInput'),
+        planRootName: document.getElementById('planRootName'),
+        planStartBtn: document.getElementById('planStartBtn'),
+        planLoadBtn: document.getElementById('planLoadBtn'),
+        planImportBtn: document.getElementById('planImportBtn'),
+        planImportFile: document.getElementById('planImportFile'),
+        planWorkspace: document.getElementById('planWorkspace'),
+        planBlockCount: document.getElementById('planBlockCount'),
+        planLevelCount: document.getElementById('planLevelCount'),
+        planAllocated: document.getElementById('planAllocated'),
+        planIssueCount: document.getElementById('planIssueCount'),
+        planSaveBtn: document.getElementById('planSaveBtn'),
+        planExportCSV: document.getElementById('planExportCSV'),
+        planExportJSON: document.getElementById('planExportJSON'),
+        planTree: document.getElementById('planTree'),
+        planEditorTitle: document.getElementById('planEditorTitle'),
+        planNodeName: document.getElementById('planNodeName'),
+        planNodeVlan: document.getElementById('planNodeVlan'),
+        planNodeDescription: document.getElementById('planNodeDescription'),
+        planNodeSaveBtn: document.getElementById('planNodeSaveBtn'),
+        planNodeRemoveBtn: document.getElementById('planNodeRemoveBtn'),
+        planCarveMode: document.getElementById('planCarveMode'),
+        planCarvePrefixGroup: document.getElementById('planCarvePrefixGroup'),
+        planCarvePrefix: document.getElementById('planCarvePrefix'),
+        planCarveVLSMGroup: document.getElementById('planCarveVLSMGroup'),
+        planCarveRequirements: document.getElementById('planCarveRequirements'),
+        planCarveCIDRGroup: document.getElementById('planCarveCIDRGroup'),
+        planCarveCIDR: document.getElementById('planCarveCIDR'),
+        planCarveBtn: document.getElementById('planCarveBtn'),
+        planTableBody: document.getElementById('planTableBody'),
+        planIssuesBody: document.getElementById('planIssuesBody'),
+        multicastInput: document.getElementById('multicastInput'),
+        multicastBtn: document.getElementById('multicastBtn'),
+        multicastResults: document.getElementById('multicastResults'),
+        multicastScope: document.getElementById('multicastScope'),
+        multicastBlock: document.getElementById('multicastBlock'),
+        multicastMac: document.getElementById('multicastMac'),
+        multicastShared: document.getElementById('multicastShared'),
+        multicastAliasBody: document.getElementById('multicastAliasBody'),
+        multicastExplanation: document.getElementById('multicastExplanation'),
+
+        // Nth subnet / host finder
+        indexNetwork: document.getElementById('indexNetwork'),
+        indexPrefix: document.getElementById('indexPrefix'),
+        indexBase: document.getElementById('indexBase'),
+        indexSubnet: document.getElementById('indexSubnet'),
+        indexHost: document.getElementById('indexHost'),
+        indexFindBtn: document.getElementById('indexFindBtn'),
+        indexAddress: document.getElementById('indexAddress'),
+        indexLookupBtn: document.getElementById('indexLookupBtn'),
+        indexResults: document.getElementById('indexResults'),
+        indexSubnetValue: document.getElementById('indexSubnetValue'),
+        indexSubnetNumber: document.getElementById('indexSubnetNumber'),
+        indexHostAddress: document.getElementById('indexHostAddress'),
+        indexHostNumber: document.getElementById('indexHostNumber'),
+        indexExplanation: document.getElementById('indexExplanation')
     };
 
     /**
-     * Initialize application
+     * Initialize application
+     */
+    function init() {
+        // Load saved preferences
+        loadPreferences();
+        loadAssignments();
+        loadPolicies();
+        
+        // Set up event listeners
+        setupEventListeners();
+        
+        // Apply initial theme
+        applyTheme(state.theme);
+        
+        // Apply initial mode
+        applyMode(state.mode);
+        applyCalcMode();
+        applyAddressingRules();
+        renderPolicyOptions();
+        updateAddressHint();
+        
+        console.log('Subnet Tutor v2.0 initialized successfully');
+    }
+
+    /**
+     * Set up all event listeners
+     */
+    function setupEventListeners() {
+        // Calculate button
+        elements.calculateBtn.addEventListener('click', handleCalculate);
+        
+        // Enter key on inputs
+        [elements.baseIP, elements.basePrefix, elements.newPrefix].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    handleCalculate();
+                }
+            });
+        });
+        
+        // Explain what the address input was understood as
+        elements.baseIP.addEventListener('input', updateAddressHint);
+        elements.baseIP.addEventListener('input', syncClassfulPrefix);
+        elements.baseIPHint.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-use-address]');
+            if (button) useAddress(button.dataset.useAddress);
+        });
+
+        // Editing a field clears its inline error
+        Object.keys(FIELD_INPUTS).forEach(field => {
+            const input = elements[FIELD_INPUTS[field]];
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => clearFieldError(field));
+        });
+        
+        // Calculation mode (equal split / VLSM)
+        elements.calcMode.addEventListener('change', applyCalcMode);
+
+        // Classless or classful rules
+        elements.addressingRules.addEventListener('change', applyAddressingRules);
+        
+        // Mode toggle
+        elements.modeToggle.addEventListener('click', toggleMode);
+        
+        // Theme toggle
+        elements.themeToggle.addEventListener('click', toggleTheme);
+        
+        // Export buttons
+        elements.exportCSV.addEventListener('click', handleExportCSV);
+        elements.exportPDF.addEventListener('click', handleExportPDF);
+        elements.copyReport.addEventListener('click', handleCopyReport);
+        
+        // Results pager
+        elements.pagerFirst.addEventListener('click', () => renderResultsPage(0n));
+        elements.pagerPrev.addEventListener('click', () => renderResultsPage(state.resultsPage - 1n));
+        elements.pagerNext.addEventListener('click', () => renderResultsPage(state.resultsPage + 1n));
+        elements.pagerLast.addEventListener('click', () => renderResultsPage(getPageCount(state.lastCalculation.summary) - 1n));
+        elements.pagerPage.addEventListener('change', handlePageInput);
+        
+        // Host browser
+        elements.resultsTableBody.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-browse]');
+            if (button) {
+                openHostBrowser(state.pageSubnets[parseInt(button.dataset.browse, 10)]);
+            }
+            const assign = e.target.closest('[data-assign]');
+            if (assign) {
+                openIPAMPanel(state.pageSubnets[parseInt(assign.dataset.assign, 10)]);
+            }
+        });
+        elements.resultsTableBody.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('[data-select]');
+            if (checkbox) {
+                toggleMergeSelection(parseInt(checkbox.dataset.select, 10), checkbox.checked);
+            }
+        });
+        elements.mergeBtn.addEventListener('click', handleMerge);
+        elements.mergeUndoBtn.addEventListener('click', handleUndoMerges);
+        elements.hostBrowserClose.addEventListener('click', closeHostBrowser);
+        elements.hostPolicy.addEventListener('change', applyHostPolicy);
+        elements.hostGateway.addEventListener('change', () => renderHostPage(state.hostBrowser.page));
+        elements.hostStaticCount.addEventListener('change', () => renderHostPage(state.hostBrowser.page));
+        elements.hostSearchBtn.addEventListener('click', handleHostSearch);
+        elements.hostSearch.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleHostSearch();
+            }
+        });
+        elements.hostPagerFirst.addEventListener('click', () => renderHostPage(0));
+        elements.hostPagerPrev.addEventListener('click', () => renderHostPage(state.hostBrowser.page - 1));
+        elements.hostPagerNext.addEventListener('click', () => renderHostPage(state.hostBrowser.page + 1));
+        elements.hostPagerLast.addEventListener('click', () => renderHostPage(Infinity));
+
+        // Address assignments
+        elements.ipamClose.addEventListener('click', closeIPAMPanel);
+        elements.ipamSaveBtn.addEventListener('click', handleSaveAssignment);
+        elements.ipamResetBtn.addEventListener('click', () => {
+            resetAssignmentForm();
+            renderAssignments();
+        });
+        [elements.ipamAddress, elements.ipamHostname, elements.ipamMac, elements.ipamOwner, elements.ipamNotes].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    handleSaveAssignment();
+                }
+            });
+        });
+        Object.keys(IPAM_FIELD_INPUTS).forEach(field => {
+            const input = elements[IPAM_FIELD_INPUTS[field]];
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => clearFormError(IPAM_FIELD_INPUTS, field));
+        });
+        elements.ipamTableBody.addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-edit]');
+            if (edit) {
+                editAssignment(edit.dataset.edit);
+            }
+            const remove = e.target.closest('[data-delete]');
+            if (remove) {
+                handleDeleteAssignment(remove.dataset.delete);
+            }
+        });
+        
+        // ACL builder
+        elements.aclType.addEventListener('change', applyACLType);
+        elements.aclAddBtn.addEventListener('click', handleAddACLEntry);
+        elements.aclClearBtn.addEventListener('click', handleClearACL);
+
+        // Reverse DNS zones
+        elements.rdnsShowBtn.addEventListener('click', handleShowReverseZones);
+        elements.rdnsExportBtn.addEventListener('click', handleExportReverseZones);
+
+        // DHCP scope policies
+        elements.policySelect.addEventListener('change', handlePolicySelect);
+        elements.policyApplyBtn.addEventListener('click', handleApplyPolicy);
+        elements.policySaveBtn.addEventListener('click', handleSavePolicy);
+        elements.policyDeleteBtn.addEventListener('click', handleDeletePolicy);
+        Object.keys(POLICY_FIELD_INPUTS).forEach(field => {
+            const input = elements[POLICY_FIELD_INPUTS[field]];
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => clearFormError(POLICY_FIELD_INPUTS, field));
+        });
+        
+        // Address locator
+        elements.locateBtn.addEventListener('click', handleLocate);
+        elements.locateClearBtn.addEventListener('click', handleClearLocate);
+        elements.locateInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleLocate();
+            }
+        });
+        
+        // Tools
+        elements.summarizeBtn.addEventListener('click', handleSummarize);
+        elements.rangeConvertBtn.addEventListener('click', handleRangeConvert);
+        elements.rangeExportCSV.addEventListener('click', handleRangeExportCSV);
+        elements.excludeBtn.addEventListener('click', handleExclude);
+        elements.conflictBtn.addEventListener('click', handleConflictCheck);
+        elements.conflictExportCSV.addEventListener('click', handleConflictExportCSV);
+        elements.hostPairBtn.addEventListener('click', handleHostPairCheck);
+        elements.addDefaultRouteBtn.addEventListener('click', handleAddDefaultRoute);
+        elements.addConnectedRoutesBtn.addEventListener('click', handleAddConnectedRoutes);
+        elements.routeLookupBtn.addEventListener('click', handleRouteLookup);
+        elements.routeDestination.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleRouteLookup();
+            }
+        });
+
+        // Address plan designer
+        elements.planStartBtn.addEventListener('click', handlePlanStart);
+        elements.planLoadBtn.addEventListener('click', handlePlanLoad);
+        elements.planSaveBtn.addEventListener('click', handlePlanSave);
+        elements.planImportBtn.addEventListener('click', () => elements.planImportFile.click());
+        elements.planImportFile.addEventListener('change', handlePlanImport);
+        elements.planExportCSV.addEventListener('click', () => {
+            Exporter.exportPlanToCSV(state.planAnalysis);
+            showSuccess('Address plan exported to CSV successfully!');
+        });
+        elements.planExportJSON.addEventListener('click', () => {
+            Exporter.exportPlanToJSON(state.plan);
+            showSuccess('Address plan exported to JSON successfully!');
+        });
+        elements.planNodeSaveBtn.addEventListener('click', handlePlanNodeSave);
+        elements.planNodeRemoveBtn.addEventListener('click', handlePlanNodeRemove);
+        elements.planCarveMode.addEventListener('change', applyPlanCarveMode);
+        elements.planCarveBtn.addEventListener('click', handlePlanCarve);
+        elements.planCarveRequirements.addEventListener('input', () => clearFormError(PLAN_CARVE_FIELD_INPUTS, 'requirements'));
+        // Multicast analyzer
+        elements.multicastBtn.addEventListener('click', handleMulticastAnalyze);
+        elements.multicastInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleMulticastAnalyze();
+            }
+        });
+
+        // Nth subnet / host finder
+        elements.indexFindBtn.addEventListener('click', handleIndexFind);
+        elements.indexLookupBtn.addEventListener('click', handleIndexLookup);
+        [elements.indexSubnet, elements.indexHost].forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    handleIndexFind();
+                }
+            });
+        });
+        elements.indexAddress.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                handleIndexLookup();
+            }
+        });
+
+        [elements.planTableBody, elements.planIssuesBody].forEach(body => {
+            body.addEventListener('click', (e) => {
+                const row = e.target.closest('tr[data-plan-path]');
+                if (row) {
+                    selectPlanBlock(row.dataset.planPath);
+                }
+            });
+        });
+        elements.planTree.addEventListener('click', (e) => {
+            const node = e.target.closest('[data-path]');
+            if (node) {
+                selectPlanBlock(node.dataset.path);
+            }
+        });
+    }
+
+    /**
+     * Handle calculate button click
+     */
+    function handleCalculate() {
+        try {
+            const calcMode = elements.calcMode.value;
+            const rules = getAddressingRules();
+            const validation = SubnetEngine.validateCalculationInput({
+                address: elements.baseIP.value,
+                basePrefix: elements.basePrefix.value,
+                mode: calcMode,
+                newPrefix: elements.newPrefix.value,
+                count: elements.requiredCount.value,
+                requirements: elements.vlsmRequirements.value,
+                ...rules
+            });
+
+            // A prefix, mask or range in the address input fills in the prefix field
+            // (classful mode takes the base prefix from the class, so the mask is the subnet mask)
+            const { values } = validation;
+            if (rules.classful) {
+                if (values.basePrefix !== undefined) {
+                    elements.basePrefix.value = values.basePrefix;
+                }
+                if (values.newPrefix) {
+                    elements.newPrefix.value = values.newPrefix;
+                }
+            } else if (values.addressPrefix !== undefined && values.addressPrefix !== null) {
+                elements.basePrefix.value = values.addressPrefix;
+            }
+
+            showFieldErrors(validation.errors);
+            if (!validation.valid) {
+                const count = validation.errors.length;
+                showError(count === 1
+                    ? validation.errors[0].message
+                    : `${count} problems need fixing before calculating; see the highlighted fields.`);
+                return;
+            }
+
+            const { ip: baseIP, basePrefix } = values;
+            const binary = SubnetEngine.getBinaryBreakdown(baseIP, basePrefix);
+
+            if (calcMode === 'vlsm') {
+                showCalculation(SubnetEngine.getVLSMSummary(baseIP, basePrefix, values.requirements), binary);
+            } else if (calcMode === 'subnets' || calcMode === 'hosts') {
+                showCalculation(
+                    SubnetEngine.getRequirementSummary(baseIP, basePrefix, { type: calcMode, count: values.count }, rules),
+                    binary
+                );
+            } else {
+                showCalculation(SubnetEngine.getCalculationSummary(baseIP, basePrefix, values.newPrefix, rules), binary);
+            }
+
+        } catch (error) {
+            if (error.field) {
+                showFieldErrors([error]);
+            }
+            showError(`Calculation error: ${error.message}`);
+            console.error('Calculation error:', error);
+        }
+    }
+
+    /**
+     * Mark the form fields named in validation issues and explain each inline
+     * @param {Array} errors - Validation issues from SubnetEngine (empty clears every field)
+     */
+    function showFieldErrors(errors) {
+        Object.keys(FIELD_INPUTS).forEach(clearFieldError);
+
+        errors.forEach(issue => {
+            const input = elements[FIELD_INPUTS[issue.field]];
+            if (!input) return;
+
+            input.classList.add('input-invalid');
+            input.setAttribute('aria-invalid', 'true');
+
+            // The address hint already points at the bad characters
+            if (issue.field === 'address') {
+                updateAddressHint();
+                if (issue.suggestion) {
+                    elements.baseIPHint.insertAdjacentHTML('beforeend',
+                        `<span class="field-suggestion">${escapeHTML(issue.suggestion)}</span>`);
+                }
+                return;
+            }
+
+            const container = document.getElementById(`${FIELD_INPUTS[issue.field]}Error`);
+            container.insertAdjacentHTML('beforeend', `
+                <div class="field-error-item" data-code="${escapeHTML(issue.code)}">
+                    ✗ ${escapeHTML(issue.message)}
+                    ${issue.suggestion ? `<span class="field-suggestion">${escapeHTML(issue.suggestion)}</span>` : ''}
+                </div>
+            `);
+            container.classList.remove('hidden');
+        });
+
+        // Take the user to the first problem
+        const first = errors.find(issue => elements[FIELD_INPUTS[issue.field]]);
+        if (first) {
+            elements[FIELD_INPUTS[first.field]].focus();
+        }
+    }
+
+    /**
+     * Remove the inline error from one form field
+     * @param {string} field - Field name used in validation issues
+     */
+    function clearFieldError(field) {
+        const input = elements[FIELD_INPUTS[field]];
+        input.classList.remove('input-invalid');
+        input.removeAttribute('aria-invalid');
+
+        const container = document.getElementById(`${FIELD_INPUTS[field]}Error`);
+        if (container) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Mark the fields of a tool form named in validation issues
+     * @param {Object} fieldInputs - Field name to input, e.g. PLAN_CARVE_FIELD_INPUTS
+     * @param {Array} errors - Validation issues from SubnetEngine
+     */
+    function showFormErrors(fieldInputs, errors) {
+        Object.keys(fieldInputs).forEach(field => clearFormError(fieldInputs, field));
+
+        errors.forEach(issue => {
+            const input = elements[fieldInputs[issue.field]];
+            input.classList.add('input-invalid');
+            input.setAttribute('aria-invalid', 'true');
+
+            const container = document.getElementById(`${fieldInputs[issue.field]}Error`);
+            container.insertAdjacentHTML('beforeend', `
+                <div class="field-error-item" data-code="${escapeHTML(issue.code)}">
+                    ✗ ${escapeHTML(issue.message)}
+                    ${issue.suggestion ? `<span class="field-suggestion">${escapeHTML(issue.suggestion)}</span>` : ''}
+                </div>
+            `);
+            container.classList.remove('hidden');
+        });
+
+        if (errors.length > 0) {
+            elements[fieldInputs[errors[0].field]].focus();
+        }
+    }
+
+    /**
+     * Remove the inline error from one field of a tool form
+     * @param {Object} fieldInputs - Field name to input, e.g. PLAN_CARVE_FIELD_INPUTS
+     * @param {string} field - Field name used in validation issues
+     */
+    function clearFormError(fieldInputs, field) {
+        const input = elements[fieldInputs[field]];
+        input.classList.remove('input-invalid');
+        input.removeAttribute('aria-invalid');
+
+        const container = document.getElementById(`${fieldInputs[field]}Error`);
+        container.innerHTML = '';
+        container.classList.add('hidden');
+    }
+
+    /**
+     * Store a calculation and render it
+     * @param {Object} summary - Calculation summary
+     * @param {Object} binary - Binary breakdown
+     */
+    function showCalculation(summary, binary) {
+        // Store calculation
+        state.lastCalculation = { summary, binary };
+        state.locatedSubnet = null;
+        elements.locateResults.classList.add('hidden');
+        closeHostBrowser();
+        closeIPAMPanel();
+
+        // Display results
+        displayResults(summary);
+        
+        // Display learning content (if in beginner mode)
+        if (state.mode === 'beginner') {
+            displayLearningContent(summary, binary);
+        }
+
+        // Show results section
+        elements.resultsSection.classList.remove('hidden');
+        
+        // Smooth scroll to results
+        elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Explain how the address input was understood, or point at the error
+     */
+    function updateAddressHint() {
+        const text = elements.baseIP.value;
+        const hint = elements.baseIPHint;
+
+        if (!text.trim()) {
+            hint.classList.remove('error');
+            hint.textContent = '';
+            return;
+        }
+
+        try {
+            const parsed = SubnetEngine.parseAddressInput(text);
+            hint.classList.remove('error');
+            hint.textContent = `✓ ${parsed.description}`;
+        } catch (error) {
+            const { position = 0, length = 0 } = error;
+            const marked = text.slice(position, position + length) || ' ';
+            hint.classList.add('error');
+            hint.innerHTML = `✗ ${escapeHTML(error.message)}<br>` +
+                `<code>${escapeHTML(text.slice(0, position))}<mark>${escapeHTML(marked)}</mark>${escapeHTML(text.slice(position + length))}</code>`;
+
+            // A range that is not one block: let the user pick an exact block or the covering network
+            if (error.coveringBlock) {
+                const blocks = error.blocks.slice(0, RANGE_BLOCK_CHOICES);
+                hint.insertAdjacentHTML('beforeend', `
+                    <div class="hint-actions">
+                        <button type="button" class="btn btn-secondary btn-small" data-use-address="${escapeHTML(error.coveringBlock)}">Use ${escapeHTML(error.coveringBlock)} (covers the range)</button>
+                        ${blocks.map(block => `<button type="button" class="btn btn-secondary btn-small" data-use-address="${block}">${block}</button>`).join('')}
+                        ${error.blocks.length > blocks.length ? `<span>and ${(error.blocks.length - blocks.length).toLocaleString()} more</span>` : ''}
+                    </div>
+                `);
+            }
+        }
+    }
+
+    /**
+     * Replace the typed address with a block picked from the address hint
+     * @param {string} cidr - Block in CIDR notation
+     */
+    function useAddress(cidr) {
+        elements.baseIP.value = cidr;
+        clearFieldError('address');
+        updateAddressHint();
+        syncClassfulPrefix();
+        elements.baseIP.focus();
+    }
+
+    /**
+     * Read the addressing rules picked in the form
+     * @returns {Object} - { classful, subnetZero } options for SubnetEngine
+     */
+    function getAddressingRules() {
+        const rules = elements.addressingRules.value;
+        return {
+            classful: rules !== 'classless',
+            subnetZero: rules !== 'classful-no-zero'
+        };
+    }
+
+    /**
+     * Lock the base prefix to the address class while classful rules are selected
+     */
+    function applyAddressingRules() {
+        const { classful } = getAddressingRules();
+        elements.basePrefix.disabled = classful;
+        elements.basePrefix.title = classful ? 'Classful rules take the base prefix from the address class' : '';
+        syncClassfulPrefix();
+    }
+
+    /**
+     * Fill in the default prefix of the typed address's class (classful rules only)
+     */
+    function syncClassfulPrefix() {
+        if (!getAddressingRules().classful) return;
+
+        try {
+            const parsed = SubnetEngine.parseAddressInput(elements.baseIP.value);
+            elements.basePrefix.value = SubnetEngine.getClassfulPrefix(parsed.ip);
+        } catch (error) {
+            // Calculating reports why the address has no default mask
+        }
+    }
+
+    /**
+     * Show the inputs that belong to the selected calculation mode
+     */
+    function applyCalcMode() {
+        const calcMode = elements.calcMode.value;
+        elements.newPrefixGroup.classList.toggle('hidden', calcMode !== 'equal');
+        elements.requirementGroup.classList.toggle('hidden', calcMode !== 'subnets' && calcMode !== 'hosts');
+        elements.vlsmGroup.classList.toggle('hidden', calcMode !== 'vlsm');
+        elements.requiredCountLabel.textContent = calcMode === 'hosts' ? 'Required Hosts per Subnet' : 'Required Subnets';
+        elements.requiredCount.placeholder = calcMode === 'hosts' ? 'e.g., 500' : 'e.g., 12';
+    }
+
+    /**
+     * Display calculation results
+     * @param {Object} summary - Calculation summary
+     */
+    function displayResults(summary) {
+        const firstSubnet = summary.subnets[0];
+        const isVLSM = summary.mode === 'vlsm';
+        const isMixed = isVLSM || summary.mode === 'merged';
+        const isIPv6 = summary.version === 6;
+        
+        // IPv6 has no broadcast; its last address takes that slot
+        elements.broadcastLabel.textContent = isIPv6 ? 'Last Address:' : 'Broadcast Address:';
+        elements.broadcastHeader.textContent = isIPv6 ? 'Last Address' : 'Broadcast Address';
+        elements.subnetMaskLabel.textContent = isIPv6 ? 'Prefix Mask (Hex):' : 'Subnet Mask (Decimal):';
+        
+        // Populate Standard Subnetting Outputs
+        // Network Information
+        elements.networkAddress.textContent = firstSubnet.networkAddress;
+        elements.broadcastAddress.textContent = formatBroadcast(firstSubnet);
+        elements.subnetMaskDecimal.textContent = summary.subnetMask;
+        elements.wildcardMask.textContent = isIPv6 ? 'N/A (IPv6 ACLs match on prefix length)' : summary.wildcardMask;
+        elements.subnetMaskBinary.textContent = isIPv6
+            ? SubnetEngine.ipv6ToBinary(summary.subnetMask)
+            : SubnetEngine.ipToBinary(summary.subnetMask);
+        elements.cidrNotation.textContent = `${firstSubnet.networkAddress}/${summary.effectivePrefix}`;
+        
+        // Host Information
+        elements.firstUsableHost.textContent = firstSubnet.firstUsable;
+        elements.lastUsableHost.textContent = firstSubnet.lastUsable;
+        elements.totalUsableHosts.textContent = summary.hostsPerSubnet.toLocaleString();
+        elements.totalAddresses.textContent = summary.totalAddresses.toLocaleString();
+        elements.networkClassDisplay.textContent = summary.networkClass;
+        
+        // Subnet Information
+        elements.totalSubnetsOutput.textContent = summary.totalSubnets.toLocaleString();
+        elements.hostsPerSubnetOutput.textContent = isVLSM ? 'Varies (VLSM)'
+            : isMixed ? 'Varies (merged subnets)'
+            : summary.hostsPerSubnet.toLocaleString();
+        elements.networkBits.textContent = summary.effectivePrefix + ' bits';
+        elements.hostBits.textContent = (summary.addressBits - summary.effectivePrefix) + ' bits';
+        const { classification } = summary;
+        elements.ipType.textContent = classification.rfc
+            ? `${classification.name} (${classification.rfc})`
+            : classification.name;
+        elements.ipType.title = `Forwardable: ${classification.forwardable ? 'yes' : 'no'}, ` +
+            `globally reachable: ${classification.globallyReachable ? 'yes' : 'no'}`;
+
+        // Warn when the block is not unicast space, or a subnet mixes a special-purpose block with other space
+        const crossings = summary.specialCrossings;
+        const { nonUnicast } = summary;
+        elements.specialWarning.classList.toggle('hidden', crossings.length === 0 && nonUnicast.length === 0);
+        elements.specialWarning.innerHTML = nonUnicast.map(warning => `
+            <p><strong>⚠️ This block reaches into ${warning.space === 'multicast' ? 'multicast' : 'reserved'} space (<code>${warning.block}</code>)</strong><br>${warning.message}</p>
+        `).join('') + (crossings.length === 0 ? '' : `
+            <strong>⚠️ ${crossings.length} special-purpose block${crossings.length !== 1 ? 's' : ''} cut across by these subnets</strong>
+            <ul>
+                ${crossings.map(crossing => `<li><code>${crossing.block.network}</code> ${crossing.block.name} (${crossing.block.rfc}) sits inside <code>${crossing.subnet}</code></li>`).join('')}
+            </ul>
+        `);
+        
+        // Update summary cards (keep for visual balance)
+        elements.totalSubnets.textContent = summary.totalSubnets.toLocaleString();
+        elements.hostsPerSubnet.textContent = isMixed ? 'Varies' : summary.hostsPerSubnet;
+        elements.subnetMask.textContent = isMixed ? 'Variable' : `${summary.subnetMask} /${summary.effectivePrefix}`;
+        elements.networkClass.textContent = summary.networkClass;
+
+        // Build table rows, one page at a time
+        elements.aclBuilder.classList.toggle('hidden', isIPv6);
+        elements.rdnsPanel.classList.toggle('hidden', isIPv6);
+        elements.policyPanel.classList.toggle('hidden', isIPv6);
+        if (isIPv6) {
+            elements.policyResults.classList.add('hidden');
+        }
+        elements.rdnsResults.classList.add('hidden');
+        state.mergeSelection.clear();
+        elements.mergeUndoBtn.classList.toggle('hidden', summary.mode !== 'merged');
+        renderResultsPage(0n);
+
+        // Trade-off around the prefix picked for a subnet or host requirement
+        displayTradeoff(summary);
+
+        // Unallocated space left over by VLSM
+        const freeBlocks = summary.freeBlocks || [];
+        elements.freeBlocksPanel.classList.toggle('hidden', !summary.freeBlocks);
+        elements.freeBlocksList.innerHTML = freeBlocks.length
+            ? freeBlocks.map(block => `<span class="free-block">${block.networkAddress}/${block.prefix} (${block.totalAddresses.toLocaleString()} addresses)</span>`).join('')
+            : '<span class="free-block">None - the base network is fully allocated</span>';
+
+        // Add fade-in animation
+        elements.resultsSection.classList.add('fade-in');
+    }
+
+    /**
+     * Show how the prefixes around a derived split trade subnets for hosts
+     * @param {Object} summary - Calculation summary
+     */
+    function displayTradeoff(summary) {
+        const plan = summary.requirement;
+        elements.tradeoffPanel.classList.toggle('hidden', !plan);
+        if (!plan) return;
+
+        const unit = plan.type === 'subnets' ? 'subnet' : 'host per subnet';
+        const units = plan.type === 'subnets' ? 'subnets' : 'hosts per subnet';
+        elements.tradeoffNote.textContent = `You need ${plan.count.toLocaleString()} ${Number(plan.count) === 1 ? unit : units}; ` +
+            `/${plan.newPrefix} is the ${plan.type === 'subnets' ? 'shortest prefix that gives enough subnets' : 'longest prefix that still holds them'}. ` +
+            `Each extra prefix bit doubles the subnets and roughly halves the hosts.`;
+
+        elements.tradeoffTableBody.innerHTML = plan.tradeoffs.map(option => `
+            <tr class="${option.selected ? 'selected-row' : ''}">
+                <td>/${option.prefix}</td>
+                <td>${option.subnets.toLocaleString()}</td>
+                <td>${option.hostsPerSubnet.toLocaleString()}</td>
+                <td><span class="status-badge ${option.meetsRequirement ? 'ok' : 'conflict'}">${option.selected ? 'Selected' : option.meetsRequirement ? 'Yes' : 'No'}</span></td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Count the results table pages for a summary
+     * @param {Object} summary - Calculation summary
+     * @returns {bigint} - Number of pages (at least 1)
+     */
+    function getPageCount(summary) {
+        const pageSize = BigInt(RESULTS_PAGE_SIZE);
+        return (BigInt(summary.totalSubnets) + pageSize - 1n) / pageSize;
+    }
+
+    /**
+     * Render one page of the results table, generating only the subnets on it
+     * @param {bigint} page - 0-based page number (clamped to the available pages)
+     */
+    function renderResultsPage(page) {
+        const { summary } = state.lastCalculation;
+        const pageCount = getPageCount(summary);
+        const current = page < 0n ? 0n : (page >= pageCount ? pageCount - 1n : page);
+        const firstIndex = current * BigInt(RESULTS_PAGE_SIZE) + 1n;
+
+        // VLSM and merged results are already a short list; equal splits are generated on demand
+        const subnets = summary.mode === 'vlsm' || summary.mode === 'merged'
+            ? summary.subnets.slice(Number(firstIndex) - 1, Number(firstIndex) - 1 + RESULTS_PAGE_SIZE)
+            : SubnetEngine.getSubnetPage(summary.baseNetwork, summary.basePrefix, summary.newPrefix, firstIndex, RESULTS_PAGE_SIZE,
+                { subnetZero: summary.subnetZero });
+
+        state.resultsPage = current;
+        state.pageSubnets = subnets;
+        const canMerge = isMergeable(summary);
+
+        elements.resultsTableBody.innerHTML = subnets.map((subnet, index) => `
+            <tr class="${String(subnet.subnetNumber) === String(state.locatedSubnet) ? 'selected-row' : ''}">
+                <td>${canMerge
+                    ? `<input type="checkbox" data-select="${subnet.subnetNumber}" aria-label="Select subnet ${subnet.subnetNumber} to merge"${state.mergeSelection.has(subnet.subnetNumber) ? ' checked' : ''}>`
+                    : '-'}</td>
+                <td>${subnet.subnetNumber.toLocaleString()}${subnet.name ? `<span class="subnet-name">${escapeHTML(subnet.name)} (${subnet.requiredHosts} req.)</span>` : ''}${subnet.mergedFrom ? `<span class="subnet-name">Merged from ${subnet.mergedFrom.join(' + ')}</span>` : ''}</td>
+                <td>${subnet.networkAddress}</td>
+                <td>${formatBroadcast(subnet)}</td>
+                <td>${subnet.firstUsable === subnet.lastUsable ? subnet.firstUsable : `${subnet.firstUsable} → ${subnet.lastUsable}`}</td>
+                <td>${subnet.usableHosts.toLocaleString()}</td>
+                <td>${subnet.version === 6 ? '-' : formatAssignedCell(subnet)}</td>
+                <td>${subnet.subnetMask} /${subnet.prefix}</td>
+                <td>${subnet.version === 6 ? '-' : `<button class="btn btn-secondary btn-small" data-browse="${index}">Browse</button>
+                    <button class="btn btn-secondary btn-small" data-assign="${index}">Assign</button>`}</td>
+            </tr>
+        `).join('');
+
+        // Pager controls
+        elements.resultsPager.classList.toggle('hidden', pageCount === 1n);
+        elements.pagerPage.value = (current + 1n).toString();
+        elements.pagerTotal.textContent = pageCount.toLocaleString();
+        elements.pagerFirst.disabled = elements.pagerPrev.disabled = current === 0n;
+        elements.pagerNext.disabled = elements.pagerLast.disabled = current === pageCount - 1n;
+        updateMergeStatus();
+
+        // ACL builder sources come from the visible page
+        elements.aclSource.innerHTML = subnets.map((subnet, index) => `
+            <option value="${index}">${subnet.networkAddress}/${subnet.prefix}${subnet.name ? ` (${escapeHTML(subnet.name)})` : ''}</option>
+        `).join('') + '<option value="any">any</option>';
+
+        // Reverse DNS zones start with the first subnet of the page selected
+        elements.rdnsSubnets.innerHTML = subnets.map((subnet, index) => `
+            <option value="${index}"${index === 0 ? ' selected' : ''}>${subnet.networkAddress}/${subnet.prefix}${subnet.name ? ` (${escapeHTML(subnet.name)})` : ''}</option>
+        `).join('');
+
+        // An applied scope policy follows the page
+        if (state.policy && summary.version === 4) {
+            renderPolicyLayouts();
+        }
+    }
+
+    /**
+     * Whether the results can be merged: IPv4 with every subnet listed
+     * @param {Object} summary - Calculation summary
+     * @returns {boolean} - True if rows can be selected for merging
+     */
+    function isMergeable(summary) {
+        return summary.version === 4 && summary.subnets.length === Number(summary.totalSubnets) && summary.subnets.length > 1;
+    }
+
+    /**
+     * Add or remove a subnet from the merge selection
+     * @param {number} subnetNumber - Subnet number
+     * @param {boolean} selected - Whether the row is ticked
+     */
+    function toggleMergeSelection(subnetNumber, selected) {
+        if (selected) {
+            state.mergeSelection.add(subnetNumber);
+        } else {
+            state.mergeSelection.delete(subnetNumber);
+        }
+        updateMergeStatus();
+    }
+
+    /**
+     * Describe the merge selection and enable the merge button
+     */
+    function updateMergeStatus() {
+        const { summary } = state.lastCalculation;
+        const count = state.mergeSelection.size;
+
+        if (!isMergeable(summary)) {
+            elements.mergeStatus.textContent = summary.version === 6
+                ? 'Merging is available for IPv4 results.'
+                : summary.subnets.length > 1
+                    ? `Merging works on plans of up to ${summary.subnets.length.toLocaleString()} subnets; split into fewer, larger subnets to merge.`
+                    : 'There is only one subnet, so there is nothing to merge.';
+        } else {
+            elements.mergeStatus.textContent = count === 0
+                ? 'Tick adjacent subnets to merge them into one larger block.'
+                : `${count} subnet${count !== 1 ? 's' : ''} selected: ${[...state.mergeSelection].sort((a, b) => a - b).map(n => `#${n}`).join(', ')}`;
+        }
+        elements.mergeBtn.disabled = count < 2;
+    }
+
+    /**
+     * Merge the selected subnets, or explain in binary why they cannot merge
+     */
+    function handleMerge() {
+        const { summary } = state.lastCalculation;
+        const numbers = [...state.mergeSelection];
+
+        try {
+            const selected = summary.subnets.filter(subnet => state.mergeSelection.has(subnet.subnetNumber));
+            const check = SubnetEngine.checkMerge(selected);
+            elements.mergeExplanation.innerHTML = Explanations.renderSteps(Explanations.generateMergeExplanation(check));
+            elements.mergeExplanation.classList.remove('hidden');
+
+            if (!check.mergeable) {
+                showError(`Merge error: ${check.message}`);
+                return;
+            }
+
+            const merged = SubnetEngine.getMergedSummary(summary, numbers);
+            applyMergedSummary(merged);
+            showSuccess(`Merged ${numbers.length} subnets into ${check.supernet.networkAddress}/${check.supernet.prefix}.`);
+        } catch (error) {
+            showError(`Merge error: ${error.message}`);
+            console.error('Merge error:', error);
+        }
+    }
+
+    /**
+     * Go back to the plan as it was calculated, before any merge
+     */
+    function handleUndoMerges() {
+        const { summary } = state.lastCalculation;
+        if (summary.mode !== 'merged') return;
+
+        applyMergedSummary(summary.source);
+        elements.mergeExplanation.classList.add('hidden');
+        showSuccess('Merges undone.');
+    }
+
+    /**
+     * Show a plan whose subnets changed without recalculating it
+     * @param {Object} summary - Merged (or original) calculation summary
+     */
+    function applyMergedSummary(summary) {
+        state.lastCalculation.summary = summary;
+        state.locatedSubnet = null;
+        elements.locateResults.classList.add('hidden');
+        closeHostBrowser();
+        closeIPAMPanel();
+
+        displayResults(summary);
+        if (state.mode === 'beginner') {
+            displayLearningContent(summary, state.lastCalculation.binary);
+        }
+    }
+
+    /**
+     * Open the host browser on one IPv4 subnet
+     * @param {Object} subnet - Subnet object from the results table
+     */
+    function openHostBrowser(subnet) {
+        state.hostBrowser = { subnet: subnet, page: 0, highlight: null };
+        elements.hostBrowserTitle.textContent = `${subnet.networkAddress}/${subnet.prefix}`;
+        elements.hostSearch.value = '';
+        elements.hostBrowser.classList.remove('hidden');
+        renderHostPage(0);
+        elements.hostBrowser.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Close the host browser
+     */
+    function closeHostBrowser() {
+        state.hostBrowser = null;
+        elements.hostBrowser.classList.add('hidden');
+    }
+
+    /**
+     * Render one page of the browsed subnet's addresses, computed on demand
+     * @param {number} page - 0-based page number (clamped to the valid range)
+     */
+    function renderHostPage(page) {
+        const browser = state.hostBrowser;
+        const { subnet } = browser;
+        const pageCount = Math.ceil(subnet.totalAddresses / HOST_PAGE_SIZE);
+        const current = Math.min(Math.max(page, 0), pageCount - 1);
+        const policy = getHostPolicy();
+
+        Object.keys(HOST_FIELD_INPUTS).forEach(field => clearFormError(HOST_FIELD_INPUTS, field));
+        if (!policy.valid) {
+            showFormErrors(HOST_FIELD_INPUTS, policy.errors);
+            return;
+        }
+
+        const roles = SubnetEngine.applyRangePolicy(subnet.networkAddress, subnet.prefix, policy.value);
+        browser.page = current;
+        const hosts = SubnetEngine.getHostPage(subnet.networkAddress, subnet.prefix, current * HOST_PAGE_SIZE, HOST_PAGE_SIZE, roles);
+        const roleLabels = {
+            network: 'Network',
+            broadcast: 'Broadcast',
+            gateway: 'Gateway',
+            static: 'Static',
+            dhcp: 'DHCP Pool',
+            reserved: 'Reserved',
+            usable: 'Usable'
+        };
+
+        elements.hostRoles.innerHTML = [
+            `<strong>Gateway:</strong> ${roles.gateway !== null ? hostAddressAt(subnet, roles.gateway) : 'none'}`,
+            `<strong>Static:</strong> ${describeHostRange(subnet, roles.staticRange)}`,
+            `<strong>DHCP pool:</strong> ${describeHostRange(subnet, roles.dhcpRange)}`,
+            `<strong>Reserved:</strong> ${describeHostRange(subnet, roles.reservedRange)}`
+        ].join(' · ') + (roles.notes.length ? `<br>${roles.notes.map(escapeHTML).join('<br>')}` : '');
+
+        elements.hostTableBody.innerHTML = hosts.map(host => `
+            <tr class="${host.offset === browser.highlight ? 'selected-row' : ''}">
+                <td>${host.offset.toLocaleString()}</td>
+                <td>${host.address}</td>
+                <td>${host.binary}</td>
+                <td>${host.hex}</td>
+                <td><span class="status-badge ${host.role}">${roleLabels[host.role]}</span></td>
+            </tr>
+        `).join('');
+
+        elements.hostPager.classList.toggle('hidden', pageCount === 1);
+        elements.hostPagerPage.textContent = (current + 1).toLocaleString();
+        elements.hostPagerTotal.textContent = pageCount.toLocaleString();
+        elements.hostPagerFirst.disabled = elements.hostPagerPrev.disabled = current === 0;
+        elements.hostPagerNext.disabled = elements.hostPagerLast.disabled = current === pageCount - 1;
+    }
+
+    /**
+     * Address at an offset inside a subnet
+     * @param {Object} subnet - IPv4 subnet object
+     * @param {number} offset - Offset from the network address
+     * @returns {string} - Dotted-decimal address
+     */
+    function hostAddressAt(subnet, offset) {
+        return SubnetEngine.getHostAt(subnet.networkAddress, subnet.prefix, offset).address;
+    }
+
+    /**
+     * Describe a range of host offsets as addresses and a count
+     * @param {Object} subnet - IPv4 subnet object
+     * @param {Object} range - { first, last } offsets, or null
+     * @returns {string} - e.g. '192.168.1.2 – 192.168.1.11 (10)', or 'none'
+     */
+    function describeHostRange(subnet, range) {
+        if (range === null) return 'none';
+        return range.first === range.last
+            ? hostAddressAt(subnet, range.first)
+            : `${hostAddressAt(subnet, range.first)} – ${hostAddressAt(subnet, range.last)} (${(range.last - range.first + 1).toLocaleString()})`;
+    }
+
+    /**
+     * The DHCP scope policy for the host browser: the picked template, or the manual
+     * gateway and static count as a one-off policy with no reserved block or minimum pool
+     * @returns {Object} - validatePolicy result
+     */
+    function getHostPolicy() {
+        const template = findPolicyTemplate(elements.hostPolicy.value);
+        return SubnetEngine.validatePolicy(template || {
+            name: 'Manual',
+            gateway: elements.hostGateway.value,
+            statics: elements.hostStaticCount.value,
+            reserved: '0',
+            minPool: '0'
+        });
+    }
+
+    /**
+     * Switch the host browser between a policy template and the manual fields
+     */
+    function applyHostPolicy() {
+        const manual = !elements.hostPolicy.value;
+        elements.hostGateway.disabled = !manual;
+        elements.hostStaticCount.disabled = !manual;
+
+        if (state.hostBrowser) {
+            renderHostPage(state.hostBrowser.page);
+        }
+    }
+
+    /**
+     * Find an address (or host offset) in the browsed subnet and jump to it
+     */
+    function handleHostSearch() {
+        const browser = state.hostBrowser;
+        const { subnet } = browser;
+        const text = elements.hostSearch.value.trim();
+
+        try {
+            let offset;
+            if (/^\d+$/.test(text)) {
+                offset = parseInt(text, 10);
+            } else if (SubnetEngine.isValidIP(text)) {
+                offset = SubnetEngine.ipToInt(text) - SubnetEngine.ipToInt(subnet.networkAddress);
+            } else {
+                throw new Error('Enter an IPv4 address or a host offset (e.g., 42)');
+            }
+
+            if (offset < 0 || offset >= subnet.totalAddresses) {
+                throw new Error(`${text} is not inside ${subnet.networkAddress}/${subnet.prefix}`);
+            }
+
+            browser.highlight = offset;
+            renderHostPage(Math.floor(offset / HOST_PAGE_SIZE));
+        } catch (error) {
+            showError(`Host browser error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Key a subnet is stored under in the assignment database
+     * @param {Object} subnet - Subnet object from the results table
+     * @returns {string} - CIDR such as '192.168.1.0/26'
+     */
+    function subnetKey(subnet) {
+        return `${subnet.networkAddress}/${subnet.prefix}`;
+    }
+
+    /**
+     * Read every subnet's assignments from IndexedDB into state
+     */
+    function loadAssignments() {
+        if (!IPAMStore.isAvailable()) return;
+
+        IPAMStore.loadAll().then(records => {
+            state.ipam = records;
+            refreshAssignments();
+        }).catch(error => {
+            console.warn('Failed to load assignments:', error);
+        });
+    }
+
+    /**
+     * Recheck duplicates and redraw everything that shows assignments
+     */
+    function refreshAssignments() {
+        state.ipamDuplicates = SubnetEngine.findDuplicateAssignments(
+            [...state.ipam].map(([subnet, assignments]) => ({ subnet, assignments }))
+        );
+
+        if (state.lastCalculation) {
+            renderResultsPage(state.resultsPage);
+        }
+        if (state.ipamPanel) {
+            renderAssignments();
+        }
+    }
+
+    /**
+     * Describe what an assignment clashes with elsewhere (same address or same MAC)
+     * @param {string} cidr - Subnet the assignment is recorded in
+     * @param {Object} assignment - The assignment
+     * @returns {Array} - Sentences, empty when it is unique
+     */
+    function describeClashes(cidr, assignment) {
+        const { addresses, macs } = state.ipamDuplicates;
+        const others = (groups, value) => {
+            const group = groups.find(candidate => candidate.value === value);
+            return group ? group.entries.filter(entry => entry.subnet !== cidr || entry.address !== assignment.address) : [];
+        };
+
+        return [
+            ...others(addresses, assignment.address).map(entry =>
+                `${assignment.address} is also recorded in ${entry.subnet}${entry.hostname ? ` for ${entry.hostname}` : ''}`),
+            ...(assignment.mac ? others(macs, assignment.mac) : []).map(entry =>
+                `MAC ${assignment.mac} is also used by ${entry.address}${entry.subnet !== cidr ? ` in ${entry.subnet}` : ''}`)
+        ];
+    }
+
+    /**
+     * Utilization cell for one results row
+     * @param {Object} subnet - IPv4 subnet object
+     * @returns {string} - HTML for the Assigned column
+     */
+    function formatAssignedCell(subnet) {
+        const cidr = subnetKey(subnet);
+        const assignments = state.ipam.get(cidr) || [];
+        const usage = SubnetEngine.getAssignmentUtilization(cidr, assignments);
+        const clashes = assignments.filter(assignment => describeClashes(cidr, assignment).length > 0).length;
+
+        return `<span class="utilization" title="${usage.static} static, ${usage.dhcp} DHCP, ${usage.free.toLocaleString()} free">
+                <span class="utilization-bar"><span style="width: ${Math.min(usage.percent, 100)}%"></span></span>
+                ${usage.assigned.toLocaleString()} / ${usage.usable.toLocaleString()} (${usage.percent}%)
+            </span>${clashes ? `<span class="status-badge conflict">${clashes} duplicate${clashes !== 1 ? 's' : ''}</span>` : ''}`;
+    }
+
+    /**
+     * Open the assignment panel on one IPv4 subnet
+     * @param {Object} subnet - Subnet object from the results table
+     */
+    function openIPAMPanel(subnet) {
+        state.ipamPanel = { subnet: subnet, editing: null };
+        elements.ipamTitle.textContent = subnetKey(subnet);
+        resetAssignmentForm();
+        elements.ipamSaveBtn.disabled = !IPAMStore.isAvailable();
+        elements.ipamPanel.classList.remove('hidden');
+        renderAssignments();
+        elements.ipamPanel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Close the assignment panel
+     */
+    function closeIPAMPanel() {
+        state.ipamPanel = null;
+        elements.ipamPanel.classList.add('hidden');
+    }
+
+    /**
+     * Render the open subnet's utilization, duplicate warnings and assignment table
+     */
+    function renderAssignments() {
+        const cidr = subnetKey(state.ipamPanel.subnet);
+        const assignments = state.ipam.get(cidr) || [];
+        const usage = SubnetEngine.getAssignmentUtilization(cidr, assignments);
+
+        elements.ipamUsage.innerHTML = IPAMStore.isAvailable()
+            ? [
+                `<strong>Assigned:</strong> ${usage.assigned.toLocaleString()} of ${usage.usable.toLocaleString()} usable (${usage.percent}%)`,
+                `<strong>Static:</strong> ${usage.static.toLocaleString()}`,
+                `<strong>DHCP:</strong> ${usage.dhcp.toLocaleString()}`,
+                `<strong>Free:</strong> ${usage.free.toLocaleString()}`
+            ].join(' · ')
+            : 'This browser does not support IndexedDB, so assignments cannot be saved here.';
+
+        const clashes = assignments.flatMap(assignment => describeClashes(cidr, assignment));
+        elements.ipamDuplicates.classList.toggle('hidden', clashes.length === 0);
+        elements.ipamDuplicates.innerHTML = clashes.length === 0 ? '' : `
+            <strong>⚠️ ${clashes.length} duplicate${clashes.length !== 1 ? 's' : ''} involving this subnet</strong>
+            <ul>
+                ${clashes.map(clash => `<li>${escapeHTML(clash)}</li>`).join('')}
+            </ul>
+        `;
+
+        elements.ipamTableBody.innerHTML = assignments.length === 0
+            ? '<tr><td colspan="7">No addresses assigned yet</td></tr>'
+            : assignments.map(assignment => `
+                <tr class="${assignment.address === state.ipamPanel.editing ? 'selected-row' : ''}">
+                    <td>${assignment.address}${describeClashes(cidr, assignment).length ? ' <span class="status-badge conflict">Duplicate</span>' : ''}</td>
+                    <td>${escapeHTML(assignment.hostname) || '-'}</td>
+                    <td>${assignment.mac || '-'}</td>
+                    <td>${escapeHTML(assignment.owner) || '-'}</td>
+                    <td><span class="status-badge ${assignment.type}">${assignment.type === 'dhcp' ? 'DHCP' : 'Static'}</span></td>
+                    <td>${escapeHTML(assignment.notes) || '-'}</td>
+                    <td>
+                        <button class="btn btn-secondary btn-small" data-edit="${assignment.address}">Edit</button>
+                        <button class="btn btn-secondary btn-small" data-delete="${assignment.address}">Delete</button>
+                    </td>
+                </tr>
+            `).join('');
+    }
+
+    /**
+     * Empty the assignment form and leave edit mode
+     */
+    function resetAssignmentForm() {
+        if (state.ipamPanel) {
+            state.ipamPanel.editing = null;
+        }
+        ['ipamAddress', 'ipamHostname', 'ipamMac', 'ipamOwner', 'ipamNotes'].forEach(id => {
+            elements[id].value = '';
+        });
+        elements.ipamType.value = 'static';
+        elements.ipamSaveBtn.textContent = 'Save Assignment';
+        Object.keys(IPAM_FIELD_INPUTS).forEach(field => clearFormError(IPAM_FIELD_INPUTS, field));
+    }
+
+    /**
+     * Load an assignment into the form for editing
+     * @param {string} address - Address of the assignment
+     */
+    function editAssignment(address) {
+        const cidr = subnetKey(state.ipamPanel.subnet);
+        const assignment = (state.ipam.get(cidr) || []).find(entry => entry.address === address);
+        if (!assignment) return;
+
+        resetAssignmentForm();
+        state.ipamPanel.editing = address;
+        elements.ipamAddress.value = assignment.address;
+        elements.ipamHostname.value = assignment.hostname;
+        elements.ipamMac.value = assignment.mac;
+        elements.ipamOwner.value = assignment.owner;
+        elements.ipamType.value = assignment.type;
+        elements.ipamNotes.value = assignment.notes;
+        elements.ipamSaveBtn.textContent = 'Update Assignment';
+        renderAssignments();
+        elements.ipamAddress.focus();
+    }
+
+    /**
+     * Validate the form and store the assignment (new, or replacing the one being edited)
+     */
+    function handleSaveAssignment() {
+        const panel = state.ipamPanel;
+        const cidr = subnetKey(panel.subnet);
+        const editing = panel.editing;
+        const others = (state.ipam.get(cidr) || []).filter(assignment => assignment.address !== editing);
+
+        const check = SubnetEngine.validateAssignment(cidr, {
+            address: elements.ipamAddress.value,
+            hostname: elements.ipamHostname.value,
+            mac: elements.ipamMac.value,
+            owner: elements.ipamOwner.value,
+            notes: elements.ipamNotes.value,
+            type: elements.ipamType.value
+        }, others);
+
+        showFormErrors(IPAM_FIELD_INPUTS, check.errors);
+        if (!check.valid) {
+            showError(`Assignment error: ${check.errors[0].message}`);
+            return;
+        }
+
+        const assignment = check.value;
+        const assignments = [...others, assignment].sort((a, b) =>
+            SubnetEngine.ipToInt(a.address) - SubnetEngine.ipToInt(b.address));
+
+        IPAMStore.saveSubnet(cidr, assignments).then(() => {
+            state.ipam.set(cidr, assignments);
+            resetAssignmentForm();
+            refreshAssignments();
+
+            const clashes = describeClashes(cidr, assignment);
+            if (clashes.length > 0) {
+                showToast(`Saved, but ${clashes[0]}.`, 'info');
+            } else {
+                showSuccess(`${assignment.address} ${editing ? 'updated' : 'assigned'}${assignment.hostname ? ` to ${assignment.hostname}` : ''}.`);
+            }
+        }).catch(error => {
+            showError(`Assignment error: ${error.message}`);
+            console.error('Assignment error:', error);
+        });
+    }
+
+    /**
+     * Remove one assignment from the open subnet
+     * @param {string} address - Address of the assignment
+     */
+    function handleDeleteAssignment(address) {
+        const cidr = subnetKey(state.ipamPanel.subnet);
+        const assignments = (state.ipam.get(cidr) || []).filter(assignment => assignment.address !== address);
+
+        IPAMStore.saveSubnet(cidr, assignments).then(() => {
+            if (assignments.length === 0) {
+                state.ipam.delete(cidr);
+            } else {
+                state.ipam.set(cidr, assignments);
+            }
+            if (state.ipamPanel && state.ipamPanel.editing === address) {
+                resetAssignmentForm();
+            }
+            refreshAssignments();
+            showSuccess(`${address} released.`);
+        }).catch(error => {
+            showError(`Assignment error: ${error.message}`);
+            console.error('Assignment error:', error);
+        });
+    }
+
+    /**
+     * Jump to the page typed into the pager
+     */
+    function handlePageInput() {
+        const text = elements.pagerPage.value.replace(/[\s,]/g, '');
+
+        if (!/^\d+$/.test(text)) {
+            elements.pagerPage.value = (state.resultsPage + 1n).toString();
+            showError('Enter a page number (e.g., 42).');
+            return;
+        }
+
+        renderResultsPage(BigInt(text) - 1n);
+    }
+
+    /**
+     * Describe a subnet's broadcast address, noting /31 and /32 which have none
+     * @param {Object} subnet - Subnet object
+     * @returns {string} - Display text
+     */
+    function formatBroadcast(subnet) {
+        if (subnet.hasBroadcast !== false) {
+            return subnet.broadcastAddress;
+        }
+        return subnet.prefix === 31 ? 'None (RFC 3021 point-to-point)' : 'None (host route)';
+    }
+
+    /**
+     * Display learning content (beginner mode)
+     * @param {Object} summary - Calculation summary
+     * @param {Object} binary - Binary breakdown
+     */
+    function displayLearningContent(summary, binary) {
+        // Generate and display explanations
+        const explanationHTML = Explanations.generateFullExplanation(summary, binary);
+        elements.explanationContent.innerHTML = explanationHTML;
+        
+        // Show learning panels
+        elements.learningPanel.classList.remove('hidden');
+        elements.visualComponents.classList.remove('hidden');
+
+        // Render visualizations
+        Visualizer.renderBinaryVisualization(binary, 'binaryVisualization');
+        renderSubnetTree();
+
+        // Add animations
+        elements.learningPanel.classList.add('fade-in');
+        elements.visualComponents.classList.add('fade-in');
+    }
+
+    /**
+     * Show the ACL builder fields that belong to the selected ACL type
+     */
+    function applyACLType() {
+        const isExtended = elements.aclType.value === 'extended';
+        elements.aclProtocolGroup.classList.toggle('hidden', !isExtended);
+        elements.aclDestinationGroup.classList.toggle('hidden', !isExtended);
+        elements.aclPortGroup.classList.toggle('hidden', !isExtended);
+        elements.aclListNumber.value = isExtended ? 100 : 10;
+    }
+
+    /**
+     * Handle locating an address inside the current results
+     */
+    function handleLocate() {
+        if (!state.lastCalculation) return;
+
+        const { summary } = state.lastCalculation;
+        const address = elements.locateInput.value.trim();
+
+        if (!address) {
+            showError('Please enter an address to locate.');
+            return;
+        }
+
+        try {
+            const result = summary.mode === 'vlsm' || summary.mode === 'merged'
+                ? locateInList(summary, address)
+                : SubnetEngine.locateAddress(summary.baseNetwork, summary.basePrefix, summary.newPrefix, address,
+                    { subnetZero: summary.subnetZero });
+            const roleLabels = {
+                network: 'Network address',
+                broadcast: 'Broadcast address',
+                usable: summary.version === 6 ? 'Interface address' : 'Usable host'
+            };
+
+            elements.locateNumber.textContent = `#${result.subnetNumber.toLocaleString()}`;
+            elements.locateSubnet.textContent = `${result.subnet.networkAddress}/${result.subnet.prefix}`;
+            elements.locateRole.textContent = roleLabels[result.role];
+            elements.locatePosition.textContent = `${result.hostOffset.toLocaleString()} (block of ${result.subnet.totalAddresses.toLocaleString()})`;
+            elements.locateExplanation.innerHTML = Explanations.renderSteps(
+                Explanations.generateLocateExplanation(result, summary)
+            );
+            elements.locateResults.classList.remove('hidden');
+
+            // Jump to the table page holding the subnet and mark it there and in the tree
+            state.locatedSubnet = result.subnetNumber;
+            renderResultsPage((BigInt(result.subnetNumber) - 1n) / BigInt(RESULTS_PAGE_SIZE));
+            renderSubnetTree();
+
+        } catch (error) {
+            showError(`Locate error: ${error.message}`);
+            console.error('Locate error:', error);
+        }
+    }
+
+    /**
+     * Find the listed subnet holding an address; VLSM and merged subnets differ in size, so search the list
+     * @param {Object} summary - VLSM or merged calculation summary
+     * @param {string} address - IPv4 address
+     * @returns {Object} - Result in the shape of SubnetEngine.locateAddress
+     */
+    function locateInList(summary, address) {
+        if (!SubnetEngine.isValidIP(address)) {
+            throw new Error(`"${address}" is not a valid IPv4 address`);
+        }
+
+        const value = SubnetEngine.ipToInt(address);
+        const subnet = summary.subnets.find(candidate =>
+            value >= SubnetEngine.ipToInt(candidate.networkAddress) &&
+            value <= SubnetEngine.ipToInt(candidate.broadcastAddress)
+        );
+
+        if (!subnet) {
+            throw new Error(`${address} is not inside any allocated subnet of ${summary.baseNetwork}/${summary.basePrefix}`);
+        }
+
+        return {
+            ...SubnetEngine.locateAddress(subnet.networkAddress, subnet.prefix, null, address),
+            subnet: subnet,
+            subnetNumber: subnet.subnetNumber
+        };
+    }
+
+    /**
+     * Draw the subnet tree, highlighting the located subnet if there is one (beginner mode)
+     */
+    function renderSubnetTree() {
+        if (state.mode !== 'beginner') return;
+
+        const { summary } = state.lastCalculation;
+        Visualizer.renderSubnetTree(
+            summary.subnets,
+            summary.basePrefix,
+            summary.newPrefix,
+            'subnetTree',
+            typeof state.locatedSubnet === 'number' ? state.locatedSubnet : null
+        );
+    }
+
+    /**
+     * Clear the located address and its highlights
+     */
+    function handleClearLocate() {
+        elements.locateInput.value = '';
+        elements.locateResults.classList.add('hidden');
+
+        if (state.lastCalculation && state.locatedSubnet !== null) {
+            state.locatedSubnet = null;
+            renderResultsPage(state.resultsPage);
+            renderSubnetTree();
+        }
+    }
+
+    /**
+     * Handle adding an ACL entry for the selected subnet
+     */
+    function handleAddACLEntry() {
+        if (!state.lastCalculation) {
+            showError('No subnets available. Please calculate first.');
+            return;
+        }
+
+        try {
+            const sourceIndex = elements.aclSource.value;
+            const subnet = state.pageSubnets[sourceIndex];
+            const entry = SubnetEngine.buildACLEntry({
+                listNumber: elements.aclListNumber.value,
+                action: elements.aclAction.value,
+                type: elements.aclType.value,
+                source: sourceIndex === 'any' ? 'any' : `${subnet.networkAddress}/${subnet.prefix}`,
+                protocol: elements.aclProtocol.value,
+                destination: elements.aclDestination.value || 'any',
+                port: elements.aclPort.value
+            });
+
+            state.aclEntries.push(entry);
+            elements.aclOutput.textContent = state.aclEntries.join('\n');
+        } catch (error) {
+            showError(`ACL error: ${error.message}`);
+            console.error('ACL error:', error);
+        }
+    }
+
+    /**
+     * Clear the generated ACL entries
+     */
+    function handleClearACL() {
+        state.aclEntries = [];
+        elements.aclOutput.textContent = '! Entries appear here';
+    }
+
+    /**
+     * Get the subnets picked in the reverse DNS list
+     * @returns {Array|null} - Subnet objects, or null when nothing is selected
+     */
+    function getReverseZoneSubnets() {
+        if (!state.lastCalculation) {
+            showError('No subnets available. Please calculate first.');
+            return null;
+        }
+
+        const subnets = Array.from(elements.rdnsSubnets.selectedOptions, option => state.pageSubnets[option.value]);
+        if (!subnets.length) {
+            showError('Select at least one subnet for the reverse zones.');
+            return null;
+        }
+
+        return subnets;
+    }
+
+    /**
+     * Handle listing the reverse DNS zones of the selected subnets
+     */
+    function handleShowReverseZones() {
+        const subnets = getReverseZoneSubnets();
+        if (!subnets) return;
+
+        try {
+            const methods = {
+                octet: () => 'Octet-aligned',
+                split: reverse => `Split into ${reverse.zones.length} /${reverse.zones[0].network.split('/')[1]} zones`,
+                classless: reverse => `RFC 2317 delegation from ${reverse.delegation.parentZone}`
+            };
+
+            elements.rdnsTableBody.innerHTML = subnets.map(subnet => {
+                const reverse = SubnetEngine.getReverseZones(subnet.networkAddress, subnet.prefix);
+                return reverse.zones.map((zone, i) => `
+                    <tr>
+                        <td>${i === 0 ? reverse.network : ''}</td>
+                        <td>${i === 0 ? methods[reverse.method](reverse) : ''}</td>
+                        <td>${zone.name}</td>
+                        <td>${zone.fileName}</td>
+                        <td>${(SubnetEngine.ipToInt(zone.lastHost) - SubnetEngine.ipToInt(zone.firstHost) + 1).toLocaleString()}</td>
+                    </tr>
+                `).join('');
+            }).join('');
+
+            elements.rdnsResults.classList.remove('hidden');
+        } catch (error) {
+            showError(`Reverse DNS error: ${error.message}`);
+            console.error('Reverse DNS error:', error);
+        }
+    }
+
+    /**
+     * Handle exporting BIND zone skeletons for the selected subnets
+     */
+    function handleExportReverseZones() {
+        const subnets = getReverseZoneSubnets();
+        if (!subnets) return;
+
+        try {
+            Exporter.exportReverseZones(subnets, {
+                nameserver: elements.rdnsNameserver.value.trim(),
+                hostmaster: elements.rdnsHostmaster.value.trim(),
+                domain: elements.rdnsDomain.value.trim()
+            });
+            showSuccess('Reverse zones exported successfully!');
+        } catch (error) {
+            showError(`Reverse DNS error: ${error.message}`);
+            console.error('Reverse DNS error:', error);
+        }
+    }
+
+    /**
+     * Every DHCP scope policy template, built-in ones first
+     * @returns {Array} - Raw templates { name, gateway, statics, reserved, minPool }
+     */
+    function getPolicyTemplates() {
+        return [...BUILT_IN_POLICIES, ...state.policies];
+    }
+
+    /**
+     * Find a template by name
+     * @param {string} name - Template name
+     * @returns {Object|undefined} - Raw template
+     */
+    function findPolicyTemplate(name) {
+        return getPolicyTemplates().find(template => template.name === name);
+    }
+
+    /**
+     * Read the policy templates saved in this browser
+     */
+    function loadPolicies() {
+        try {
+            const saved = localStorage.getItem(POLICY_STORAGE_KEY);
+            if (saved) {
+                state.policies = JSON.parse(saved).filter(template => SubnetEngine.validatePolicy(template).valid);
+            }
+        } catch (e) {
+            console.warn('Failed to load policy templates:', e);
+        }
+    }
+
+    /**
+     * Fill the template lists of the policy panel and the host browser
+     * @param {string} selected - Template to select in the policy panel (defaults to the first)
+     */
+    function renderPolicyOptions(selected = BUILT_IN_POLICIES[0].name) {
+        const templates = getPolicyTemplates();
+        const hostSelected = elements.hostPolicy.value;
+        const options = templates.map(template =>
+            `<option value="${escapeHTML(template.name)}">${escapeHTML(template.name)}${BUILT_IN_POLICIES.includes(template) ? ' (built-in)' : ''}</option>`
+        ).join('');
+
+        elements.policySelect.innerHTML = options;
+        elements.hostPolicy.innerHTML = '<option value="">Manual</option>' + options;
+        elements.policySelect.value = findPolicyTemplate(selected) ? selected : templates[0].name;
+        elements.hostPolicy.value = findPolicyTemplate(hostSelected) ? hostSelected : '';
+        applyHostPolicy();
+        handlePolicySelect();
+    }
+
+    /**
+     * Load the selected template into the policy form
+     */
+    function handlePolicySelect() {
+        const template = findPolicyTemplate(elements.policySelect.value);
+
+        elements.policyName.value = template.name;
+        elements.policyGateway.value = template.gateway;
+        elements.policyStatics.value = template.statics;
+        elements.policyReserved.value = template.reserved;
+        elements.policyMinPool.value = template.minPool;
+        elements.policyDeleteBtn.disabled = BUILT_IN_POLICIES.includes(template);
+        Object.keys(POLICY_FIELD_INPUTS).forEach(field => clearFormError(POLICY_FIELD_INPUTS, field));
+    }
+
+    /**
+     * Validate the policy form, marking any bad fields
+     * @returns {Object} - { valid, errors, value, template } where template holds the fields as typed
+     */
+    function readPolicyForm() {
+        const template = {
+            name: elements.policyName.value.trim(),
+            gateway: elements.policyGateway.value,
+            statics: elements.policyStatics.value.trim(),
+            reserved: elements.policyReserved.value.trim(),
+            minPool: elements.policyMinPool.value.trim()
+        };
+        const check = SubnetEngine.validatePolicy(template);
+
+        showFormErrors(POLICY_FIELD_INPUTS, check.errors);
+        if (!check.valid) {
+            showError(`Policy error: ${check.errors[0].message}`);
+        }
+        return { ...check, template };
+    }
+
+    /**
+     * Apply the policy in the form to every subnet on the results page
+     */
+    function handleApplyPolicy() {
+        const check = readPolicyForm();
+        if (!check.valid) return;
+
+        state.policy = check.value;
+        renderPolicyLayouts();
+    }
+
+    /**
+     * Lay out the results page by the applied policy and draw it on the address map
+     */
+    function renderPolicyLayouts() {
+        try {
+            const laidOut = state.pageSubnets.map(subnet => ({
+                ...subnet,
+                layout: SubnetEngine.applyRangePolicy(subnet.networkAddress, subnet.prefix, state.policy)
+            }));
+
+            elements.policyTableBody.innerHTML = laidOut.map(subnet => `
+                <tr>
+                    <td>${subnet.networkAddress}/${subnet.prefix}${subnet.name ? `<span class="subnet-name">${escapeHTML(subnet.name)}</span>` : ''}</td>
+                    <td>${subnet.layout.gateway !== null ? hostAddressAt(subnet, subnet.layout.gateway) : 'none'}</td>
+                    <td>${describeHostRange(subnet, subnet.layout.staticRange)}</td>
+                    <td>${describeHostRange(subnet, subnet.layout.dhcpRange)}</td>
+                    <td>${describeHostRange(subnet, subnet.layout.reservedRange)}</td>
+                    <td>${subnet.layout.notes.map(escapeHTML).join('<br>') || '-'}</td>
+                </tr>
+            `).join('');
+
+            // Drawn to scale, so a few subnets at a time keep their ranges readable
+            Visualizer.renderAddressSpaceMap(laidOut.slice(0, POLICY_MAP_SIZE), 'policyMap');
+            elements.policyMapNote.classList.toggle('hidden', laidOut.length <= POLICY_MAP_SIZE);
+            elements.policyMapNote.textContent = `The map shows the first ${POLICY_MAP_SIZE} of the ${laidOut.length} subnets on this page.`;
+            elements.policyResults.classList.remove('hidden');
+        } catch (error) {
+            showError(`Policy error: ${error.message}`);
+            console.error('Policy error:', error);
+        }
+    }
+
+    /**
+     * Save the policy in the form as a template in this browser (replacing one of the same name)
+     */
+    function handleSavePolicy() {
+        const check = readPolicyForm();
+        if (!check.valid) return;
+
+        const { template } = check;
+        if (BUILT_IN_POLICIES.some(builtIn => builtIn.name.toLowerCase() === template.name.toLowerCase())) {
+            showError(`Policy error: "${template.name}" is a built-in template; save your version under another name.`);
+            return;
+        }
+
+        const policies = [...state.policies.filter(saved => saved.name !== template.name), template];
+        try {
+            localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policies));
+        } catch (error) {
+            showError(`Policy error: could not save the template (${error.message})`);
+            console.error('Policy error:', error);
+            return;
+        }
+
+        state.policies = policies;
+        renderPolicyOptions(template.name);
+        showSuccess(`Policy template "${template.name}" saved in this browser.`);
+    }
+
+    /**
+     * Delete the selected saved template
+     */
+    function handleDeletePolicy() {
+        const name = elements.policySelect.value;
+        const policies = state.policies.filter(saved => saved.name !== name);
+        if (policies.length === state.policies.length) return;
+
+        try {
+            localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(policies));
+        } catch (error) {
+            showError(`Policy error: could not delete the template (${error.message})`);
+            console.error('Policy error:', error);
+            return;
+        }
+
+        state.policies = policies;
+        renderPolicyOptions();
+        showSuccess(`Policy template "${name}" deleted.`);
+    }
+
+    /**
+     * Handle route summarization
+     */
+    function handleSummarize() {
+        try {
+            const networks = elements.summarizeInput.value.split(/[\s,;]+/).filter(Boolean);
+            if (networks.length === 0) {
+                showError('Enter at least one network to summarize (e.g., 172.16.0.0/24).');
+                return;
+            }
+
+            const result = SubnetEngine.summarizeRoutes(networks);
+            const { supernet } = result;
+
+            elements.summarizeSupernet.textContent = `${supernet.networkAddress}/${supernet.prefix}`;
+            elements.summarizeCount.textContent = result.summaries.length;
+            elements.summarizeOverCoverage.textContent = result.overCoverage === 0
+                ? 'None'
+                : `${result.overCoverage.toLocaleString()} (${result.overCoveragePercent.toFixed(1)}%)`;
+
+            elements.summarizeTableBody.innerHTML = result.summaries.map(route => `
+                <tr>
+                    <td>${route.subnetNumber}</td>
+                    <td>${route.networkAddress}/${route.prefix}</td>
+                    <td>${route.subnetMask}</td>
+                    <td>${route.networkAddress} → ${route.broadcastAddress}</td>
+                    <td>${route.totalAddresses.toLocaleString()}</td>
+                </tr>
+            `).join('');
+
+            elements.summarizeExplanation.innerHTML = Explanations.renderSteps(
+                Explanations.generateSummarizationExplanation(result)
+            );
+
+            elements.summarizeResults.classList.remove('hidden');
+            elements.summarizeResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Summarization error: ${error.message}`);
+            console.error('Summarization error:', error);
+        }
+    }
+
+    /**
+     * Handle range <-> CIDR conversion
+     */
+    function handleRangeConvert() {
+        try {
+            const direction = elements.rangeDirection.value;
+            const lines = elements.rangeInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+            if (lines.length === 0) {
+                showError('Enter at least one range or CIDR block to convert.');
+                return;
+            }
+
+            if (direction === 'range-to-cidr') {
+                const items = lines.map(line => {
+                    const parts = line.split(/\s*(?:-|–|—|\bto\b)\s*/);
+                    if (parts.length !== 2) {
+                        throw new Error(`"${line}" is not a range (expected e.g. 192.168.1.10 - 192.168.3.77)`);
+                    }
+                    return {
+                        startAddress: parts[0],
+                        endAddress: parts[1],
+                        blocks: SubnetEngine.rangeToCIDR(parts[0], parts[1])
+                    };
+                });
+
+                state.lastRangeConversion = { direction, items };
+                renderRangeToCIDR(items);
+            } else {
+                const items = SubnetEngine.cidrsToRanges(lines.join(' ').split(/[\s,;]+/).filter(Boolean));
+
+                state.lastRangeConversion = { direction, items };
+                renderCIDRToRanges(items);
+            }
+
+            elements.rangeResults.classList.remove('hidden');
+            elements.rangeResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Conversion error: ${error.message}`);
+            console.error('Conversion error:', error);
+        }
+    }
+
+    /**
+     * Render CIDR blocks produced from address ranges
+     * @param {Array} items - Array of { startAddress, endAddress, blocks }
+     */
+    function renderRangeToCIDR(items) {
+        const blockCount = items.reduce((sum, item) => sum + item.blocks.length, 0);
+        elements.rangeResultsTitle.textContent = `${blockCount} CIDR block${blockCount !== 1 ? 's' : ''}`;
+        elements.rangeTableHead.innerHTML = `
+            <tr>
+                <th>Source Range</th>
+                <th>#</th>
+                <th>CIDR Block</th>
+                <th>Subnet Mask</th>
+                <th>Address Range</th>
+                <th>Total Addresses</th>
+            </tr>
+        `;
+        elements.rangeTableBody.innerHTML = items.map(item => item.blocks.map(block => `
+            <tr>
+                <td>${item.startAddress} – ${item.endAddress}</td>
+                <td>${block.subnetNumber}</td>
+                <td>${block.networkAddress}/${block.prefix}</td>
+                <td>${block.subnetMask}</td>
+                <td>${block.networkAddress} → ${block.broadcastAddress}</td>
+                <td>${block.totalAddresses.toLocaleString()}</td>
+            </tr>
+        `).join('')).join('');
+    }
+
+    /**
+     * Render merged address ranges produced from CIDR blocks
+     * @param {Array} ranges - Array of range objects from SubnetEngine.cidrsToRanges
+     */
+    function renderCIDRToRanges(ranges) {
+        elements.rangeResultsTitle.textContent = `${ranges.length} merged range${ranges.length !== 1 ? 's' : ''}`;
+        elements.rangeTableHead.innerHTML = `
+            <tr>
+                <th>#</th>
+                <th>Start Address</th>
+                <th>End Address</th>
+                <th>Total Addresses</th>
+                <th>Minimal CIDR Blocks</th>
+            </tr>
+        `;
+        elements.rangeTableBody.innerHTML = ranges.map(range => `
+            <tr>
+                <td>${range.rangeNumber}</td>
+                <td>${range.startAddress}</td>
+                <td>${range.endAddress}</td>
+                <td>${range.totalAddresses.toLocaleString()}</td>
+                <td>${range.blocks}</td>
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Handle range conversion CSV export
+     */
+    function handleRangeExportCSV() {
+        if (!state.lastRangeConversion) {
+            showError('No conversion results to export. Please convert first.');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        Exporter.exportRangeConversionToCSV(state.lastRangeConversion, `range-conversion-${timestamp}.csv`);
+        showSuccess('Conversion exported to CSV successfully!');
+    }
+
+    /**
+     * Handle address exclusion (parent minus used networks)
+     */
+    function handleExclude() {
+        try {
+            const parent = elements.excludeParent.value.trim();
+            const exclusions = elements.excludeInput.value.split(/[\s,;]+/).filter(Boolean);
+
+            if (!parent) {
+                showError('Enter the parent network (e.g., 10.0.0.0/16).');
+                return;
+            }
+
+            const result = SubnetEngine.excludeNetworks(parent, exclusions);
+
+            elements.excludeFreeAddresses.textContent = result.freeAddresses.toLocaleString();
+            elements.excludeExcludedAddresses.textContent = result.excludedAddresses.toLocaleString();
+            elements.excludeFreeCount.textContent = result.freeBlocks.length;
+
+            elements.excludeTableBody.innerHTML = result.blocks.map(block => `
+                <tr>
+                    <td><span class="status-badge ${block.status}">${block.status === 'free' ? 'Free' : 'Excluded'}</span></td>
+                    <td>${block.networkAddress}/${block.prefix}</td>
+                    <td>${block.subnetMask}</td>
+                    <td>${block.networkAddress} → ${block.broadcastAddress}</td>
+                    <td>${block.totalAddresses.toLocaleString()}</td>
+                </tr>
+            `).join('');
+
+            Visualizer.renderAddressSpaceMap(result.blocks, 'excludeMap');
+
+            elements.excludeResults.classList.remove('hidden');
+            elements.excludeResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Exclusion error: ${error.message}`);
+            console.error('Exclusion error:', error);
+        }
+    }
+
+    /**
+     * Handle subnet conflict check
+     */
+    function handleConflictCheck() {
+        try {
+            const entries = elements.conflictInput.value.split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .map(line => {
+                    // The CIDR may sit before or after its label
+                    const match = line.match(/\d{1,3}(?:\.\d{1,3}){3}(?:\/\d{1,2})?/);
+                    if (!match) {
+                        throw new Error(`No subnet found in "${line}"`);
+                    }
+                    const label = line.replace(match[0], '').replace(/^[\s,:;-]+|[\s,:;-]+$/g, '');
+                    return { cidr: match[0], label: label };
+                });
+
+            if (entries.length === 0) {
+                showError('Enter at least one subnet to check (e.g., 10.0.0.0/24 Site-A LAN).');
+                return;
+            }
+
+            const report = SubnetEngine.checkSubnetConflicts(entries);
+            state.lastConflictReport = report;
+
+            elements.conflictDuplicates.textContent = report.counts.duplicate;
+            elements.conflictOverlaps.textContent = report.counts.contains;
+            elements.conflictAdjacent.textContent = report.counts.adjacent;
+            elements.conflictAggregatable.textContent = report.counts.aggregatable;
+
+            const describe = subnet => `${subnet.networkAddress}/${subnet.prefix}` +
+                (subnet.label ? `<span class="subnet-name">${escapeHTML(subnet.label)}</span>` : '');
+            const details = {
+                duplicate: () => 'Same block entered twice',
+                contains: finding => `A contains B (${finding.b.totalAddresses.toLocaleString()} of ${finding.a.totalAddresses.toLocaleString()} addresses overlap)`,
+                adjacent: finding => finding.aggregate
+                    ? `Adjacent — can aggregate to <strong>${finding.aggregate}</strong>`
+                    : 'Adjacent, but not alignable into one block'
+            };
+            const titles = { duplicate: 'Duplicate', contains: 'Overlap', adjacent: 'Adjacent' };
+
+            elements.conflictTableBody.innerHTML = report.findings.length
+                ? report.findings.map(finding => `
+                    <tr>
+                        <td><span class="status-badge ${finding.severity}">${titles[finding.type]}</span></td>
+                        <td>${describe(finding.a)}</td>
+                        <td>${describe(finding.b)}</td>
+                        <td>${details[finding.type](finding)}</td>
+                    </tr>
+                `).join('')
+                : `
+                    <tr class="table-note">
+                        <td colspan="4">No overlaps, duplicates or adjacent subnets found</td>
+                    </tr>
+                `;
+
+            const byAddress = report.subnets.slice()
+                .sort((a, b) => SubnetEngine.ipToInt(a.networkAddress) - SubnetEngine.ipToInt(b.networkAddress));
+            Visualizer.renderAddressSpaceMap(byAddress, 'conflictMap');
+
+            elements.conflictResults.classList.remove('hidden');
+            elements.conflictResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Conflict check error: ${error.message}`);
+            console.error('Conflict check error:', error);
+        }
+    }
+
+    /**
+     * Read one host's address, mask and gateway from the reachability inputs
+     * @param {string} label - 'A' or 'B'
+     * @param {HTMLInputElement} addressInput - Address with prefix or mask
+     * @param {HTMLInputElement} gatewayInput - Optional gateway
+     * @returns {Object} - { ip, prefix, gateway }
+     */
+    function readHostConfig(label, addressInput, gatewayInput) {
+        const text = addressInput.value.trim();
+        if (!text) {
+            throw new Error(`Enter host ${label}'s address and mask (e.g., 192.168.1.10/24)`);
+        }
+
+        const parsed = SubnetEngine.parseAddressInput(text);
+        if (parsed.version !== 4 || parsed.format === 'range') {
+            throw new Error(`Host ${label} needs a single IPv4 address with a prefix or mask`);
+        }
+        if (parsed.prefix === null) {
+            throw new Error(`Host ${label} needs a prefix or mask (e.g., ${parsed.ip}/24)`);
+        }
+
+        return { ip: parsed.ip, prefix: parsed.prefix, gateway: gatewayInput.value.trim() };
+    }
+
+    /**
+     * Handle the host-to-host reachability check
+     */
+    function handleHostPairCheck() {
+        try {
+            const result = SubnetEngine.checkHostPair(
+                readHostConfig('A', elements.hostAInput, elements.hostAGateway),
+                readHostConfig('B', elements.hostBInput, elements.hostBGateway)
+            );
+            const verdicts = { direct: 'Same subnet', gateway: 'Via gateways', asymmetric: 'Asymmetric' };
+            const describeRoute = perspective => perspective.onLink
+                ? 'Direct (on-link)'
+                : perspective.nextHop ? `Via ${perspective.nextHop}` : 'Unreachable';
+            const errors = result.issues.filter(issue => issue.severity === 'error').length;
+
+            elements.hostPairVerdict.textContent = verdicts[result.verdict];
+            elements.hostPairAtoB.textContent = describeRoute(result.perspectives[0]);
+            elements.hostPairBtoA.textContent = describeRoute(result.perspectives[1]);
+            elements.hostPairIssueCount.textContent = errors
+                ? `${errors} error${errors !== 1 ? 's' : ''}`
+                : result.issues.length ? `${result.issues.length} warning${result.issues.length !== 1 ? 's' : ''}` : 'None';
+
+            // Each host's AND: its own address, then the peer's, both against its own mask
+            elements.hostPairAnd.innerHTML = result.perspectives.map((perspective, i) => {
+                const self = result.hosts[i];
+                const { binary } = self;
+                const peer = perspective.peerBinary;
+                return `
+                    <div>
+                        <h3>From host ${perspective.from}'s view (/${perspective.prefix})</h3>
+                        <div class="table-container">
+                            <table class="results-table">
+                                <tbody>
+                                    <tr><td>Host ${perspective.from}</td><td>${binary.ip.decimal}</td><td>${binary.ip.fullBinary}</td></tr>
+                                    <tr><td>AND mask</td><td>${binary.mask.decimal}</td><td>${binary.mask.fullBinary}</td></tr>
+                                    <tr class="selected-row"><td>= Own network</td><td>${binary.network.decimal}</td><td>${binary.network.fullBinary}</td></tr>
+                                    <tr><td>Host ${perspective.to}</td><td>${peer.ip.decimal}</td><td>${peer.ip.fullBinary}</td></tr>
+                                    <tr><td>AND mask</td><td>${peer.mask.decimal}</td><td>${peer.mask.fullBinary}</td></tr>
+                                    <tr class="selected-row"><td>= Peer's network</td><td>${peer.network.decimal}</td><td>${peer.network.fullBinary}</td></tr>
+                                </tbody>
+                            </table>
+                        </div>
+                        <p class="verdict">
+                            <span class="status-badge ${perspective.onLink ? 'ok' : 'info'}">${perspective.onLink ? 'Match' : 'Differ'}</span>
+                            ${perspective.onLink
+                                ? `Host ${perspective.to} is on-link: ${perspective.from} ARPs for ${peer.ip.decimal} and delivers directly.`
+                                : perspective.nextHop
+                                    ? `Host ${perspective.to} is remote: ${perspective.from} sends the frame to its gateway ${perspective.nextHop}.`
+                                    : `Host ${perspective.to} is remote and ${perspective.from} has no gateway, so the traffic is dropped.`}
+                        </p>
+                    </div>
+                `;
+            }).join('');
+
+            const badges = { error: 'conflict', warning: 'info' };
+            elements.hostPairTableBody.innerHTML = result.issues.length
+                ? result.issues.map(issue => `
+                    <tr>
+                        <td><span class="status-badge ${badges[issue.severity]}">${issue.severity === 'error' ? 'Error' : 'Warning'}</span></td>
+                        <td>${issue.host || 'Both'}</td>
+                        <td>${issue.message}</td>
+                    </tr>
+                `).join('')
+                : `
+                    <tr class="table-note">
+                        <td colspan="3">No misconfigurations found</td>
+                    </tr>
+                `;
+
+            elements.hostPairExplanation.innerHTML = Explanations.renderSteps(
+                Explanations.generateHostPairExplanation(result)
+            );
+
+            elements.hostPairResults.classList.remove('hidden');
+            elements.hostPairResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Host check error: ${error.message}`);
+            console.error('Host check error:', error);
+        }
+    }
+
+    /**
+     * Parse the routing table textarea
+     * @returns {Array} - Route objects, one per non-empty line
+     */
+    function readRoutingTable() {
+        const lines = elements.routeInput.value.split('\n');
+        const routes = [];
+
+        lines.forEach((line, i) => {
+            if (!line.trim()) {
+                return;
+            }
+            try {
+                routes.push(SubnetEngine.parseRoute(line));
+            } catch (error) {
+                throw new Error(`Route line ${i + 1} ("${line.trim()}"): ${error.message}`);
+            }
+        });
+
+        return routes;
+    }
+
+    /**
+     * Append route lines to the routing table textarea
+     * @param {Array} routes - Route objects to add
+     */
+    function appendRoutes(routes) {
+        const existing = elements.routeInput.value.replace(/\s+$/, '');
+        const added = routes.map(SubnetEngine.formatRoute).join('\n');
+        elements.routeInput.value = existing ? `${existing}\n${added}` : added;
+    }
+
+    /**
+     * Handle adding a default route to the routing table
      */
-    function init() {
-        // Load saved preferences
-        loadPreferences();
-        
-        // Set up event listeners
-        setupEventListeners();
-        
-        // Apply initial theme
-        applyTheme(state.theme);
-        
-        // Apply initial mode
-        applyMode(state.mode);
-        
-        console.log('Subnet Tutor v2.0 initialized successfully');
+    function handleAddDefaultRoute() {
+        try {
+            const nextHop = elements.defaultNextHop.value.trim();
+            if (!nextHop) {
+                showError('Enter the default route\'s next hop (e.g., 203.0.113.1).');
+                return;
+            }
+            appendRoutes([SubnetEngine.parseRoute(`default ${nextHop}`)]);
+        } catch (error) {
+            showError(`Routing error: ${error.message}`);
+            console.error('Routing error:', error);
+        }
     }
 
     /**
-     * Set up all event listeners
+     * Handle adding the subnets on the current results page as connected routes
      */
-    function setupEventListeners() {
-        // Calculate button
-        elements.calculateBtn.addEventListener('click', handleCalculate);
-        
-        // Enter key on inputs
-        [elements.baseIP, elements.basePrefix, elements.newPrefix].forEach(input => {
-            input.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    handleCalculate();
-                }
-            });
-        });
-        
-        // Mode toggle
-        elements.modeToggle.addEventListener('click', toggleMode);
-        
-        // Theme toggle
-        elements.themeToggle.addEventListener('click', toggleTheme);
-        
-        // Export buttons
-        elements.exportCSV.addEventListener('click', handleExportCSV);
-        elements.exportPDF.addEventListener('click', handleExportPDF);
+    function handleAddConnectedRoutes() {
+        if (!state.lastCalculation || !state.pageSubnets.length) {
+            showError('No subnets available. Please calculate first.');
+            return;
+        }
+        if (state.lastCalculation.summary.version === 6) {
+            showError('The routing table simulator supports IPv4 routes only.');
+            return;
+        }
+        appendRoutes(SubnetEngine.getConnectedRoutes(state.pageSubnets));
     }
 
     /**
-     * Handle calculate button click
+     * Handle a routing table lookup
      */
-    function handleCalculate() {
+    function handleRouteLookup() {
         try {
-            // Get input values
-            const baseIP = elements.baseIP.value.trim();
-            const basePrefix = parseInt(elements.basePrefix.value, 10);
-            const newPrefixValue = elements.newPrefix.value.trim();
-            const newPrefix = newPrefixValue ? parseInt(newPrefixValue, 10) : null;
-
-            // Validate inputs
-            if (!SubnetEngine.isValidIP(baseIP)) {
-                showError('Invalid IP address. Please enter a valid IPv4 address (e.g., 192.168.1.0)');
+            const routes = readRoutingTable();
+            if (!routes.length) {
+                showError('Enter at least one route (e.g., 10.0.0.0/8 192.168.1.1 Gi0/1).');
                 return;
             }
 
-            if (!SubnetEngine.isValidPrefix(basePrefix)) {
-                showError('Invalid base prefix. Please enter a value between 8 and 30.');
+            const destination = elements.routeDestination.value.trim();
+            if (!destination) {
+                showError('Enter a destination IP address to look up.');
                 return;
             }
 
-            if (newPrefix !== null && !SubnetEngine.isValidPrefix(newPrefix)) {
-                showError('Invalid new prefix. Please enter a value between 8 and 30, or leave empty.');
+            const result = SubnetEngine.lookupRoute(routes, destination);
+            const { winners } = result;
+            const best = winners.length ? winners[0].route : null;
+
+            elements.routeResultDestination.textContent = result.destination;
+            elements.routeResultWinner.textContent = best
+                ? `${best.networkAddress}/${best.prefix}${winners.length > 1 ? ` (${winners.length} equal-cost)` : ''}`
+                : 'No match (dropped)';
+            elements.routeResultNextHop.textContent = best
+                ? winners.map(winner => winner.route.nextHop || 'Connected').join(', ')
+                : '-';
+            elements.routeResultInterface.textContent = best
+                ? winners.map(winner => winner.route.iface || '-').join(', ')
+                : '-';
+
+            const outcomes = {
+                'selected': ['ok', 'Selected'],
+                'ecmp': ['ok', 'Equal cost'],
+                'shorter-prefix': ['info', 'Shorter prefix'],
+                'higher-ad': ['info', 'Higher AD'],
+                'higher-metric': ['info', 'Higher metric'],
+                'no-match': ['conflict', 'No match']
+            };
+
+            // Matching routes first, most specific at the top
+            const rows = result.candidates.slice().sort((a, b) =>
+                (b.matches - a.matches) || (b.route.prefix - a.route.prefix) || (a.index - b.index)
+            );
+
+            elements.routeTableBody.innerHTML = rows.map(({ route, matchingBits, outcome }) => {
+                const [badge, label] = outcomes[outcome];
+                return `
+                    <tr class="${outcome === 'selected' || outcome === 'ecmp' ? 'selected-row' : ''}">
+                        <td>${route.networkAddress}/${route.prefix}</td>
+                        <td>${route.nextHop || 'Connected'}</td>
+                        <td>${escapeHTML(route.iface) || '-'}</td>
+                        <td>${route.ad} / ${route.metric}</td>
+                        <td>${Math.min(matchingBits, route.prefix)} of ${route.prefix}</td>
+                        <td><span class="status-badge ${badge}">${label}</span></td>
+                    </tr>
+                `;
+            }).join('');
+
+            elements.routeExplanation.innerHTML = Explanations.renderSteps(
+                Explanations.generateRouteLookupExplanation(result)
+            );
+
+            elements.routeResults.classList.remove('hidden');
+            elements.routeResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Routing error: ${error.message}`);
+            console.error('Routing error:', error);
+        }
+    }
+
+    /**
+     * Find a plan block by its dotted path ("" is the root)
+     * @param {string} path - Dotted child indices, e.g. "0.2"
+     * @returns {Object} - Plan block
+     */
+    function getPlanNode(path) {
+        return path === ''
+            ? state.plan
+            : path.split('.').reduce((node, index) => node.children[Number(index)], state.plan);
+    }
+
+    /**
+     * Start a new plan from the top-level block
+     */
+    function handlePlanStart() {
+        const cidr = elements.planRootInput.value.trim();
+        if (!cidr) {
+            showError('Enter the top-level block of the plan (e.g., 10.0.0.0/8).');
+            return;
+        }
+
+        try {
+            state.plan = SubnetEngine.createPlanNode(cidr, { name: elements.planRootName.value });
+            state.planSelected = '';
+            renderPlan();
+        } catch (error) {
+            showError(`Plan error: ${error.message}`);
+            console.error('Plan error:', error);
+        }
+    }
+
+    /**
+     * Save the plan in this browser
+     */
+    function handlePlanSave() {
+        try {
+            localStorage.setItem(PLAN_STORAGE_KEY, SubnetEngine.serializePlan(state.plan));
+            showSuccess('Address plan saved in this browser.');
+        } catch (error) {
+            showError(`Plan error: could not save the plan (${error.message})`);
+            console.error('Plan error:', error);
+        }
+    }
+
+    /**
+     * Load the plan saved in this browser
+     */
+    function handlePlanLoad() {
+        try {
+            const saved = localStorage.getItem(PLAN_STORAGE_KEY);
+            if (!saved) {
+                showError('No saved address plan found in this browser.');
                 return;
             }
+            state.plan = SubnetEngine.parsePlan(saved);
+            state.planSelected = '';
+            renderPlan();
+        } catch (error) {
+            showError(`Plan error: ${error.message}`);
+            console.error('Plan error:', error);
+        }
+    }
 
-            if (newPrefix !== null && newPrefix <= basePrefix) {
-                showError('New prefix must be larger than base prefix to split the network.');
-                return;
+    /**
+     * Load a plan from an exported JSON file
+     */
+    function handlePlanImport() {
+        const file = elements.planImportFile.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                state.plan = SubnetEngine.parsePlan(reader.result);
+                state.planSelected = '';
+                renderPlan();
+            } catch (error) {
+                showError(`Plan import error: ${error.message}`);
+                console.error('Plan import error:', error);
             }
+        };
+        reader.readAsText(file);
 
-            // Perform calculation
-            const summary = SubnetEngine.getCalculationSummary(baseIP, basePrefix, newPrefix);
-            const binary = SubnetEngine.getBinaryBreakdown(baseIP, basePrefix);
+        // Allow the same file to be imported again after edits
+        elements.planImportFile.value = '';
+    }
+
+    /**
+     * Select a plan block for editing
+     * @param {string} path - Dotted path of the block
+     */
+    function selectPlanBlock(path) {
+        state.planSelected = path;
+        renderPlan();
+    }
 
-            // Store calculation
-            state.lastCalculation = { summary, binary };
+    /**
+     * Show the inputs for the chosen carving method
+     */
+    function applyPlanCarveMode() {
+        const mode = elements.planCarveMode.value;
+        elements.planCarvePrefixGroup.classList.toggle('hidden', mode !== 'equal');
+        elements.planCarveVLSMGroup.classList.toggle('hidden', mode !== 'vlsm');
+        elements.planCarveCIDRGroup.classList.toggle('hidden', mode !== 'single');
+    }
 
-            // Display results
-            displayResults(summary);
-            
-            // Display learning content (if in beginner mode)
-            if (state.mode === 'beginner') {
-                displayLearningContent(summary, binary);
-            }
+    /**
+     * Apply the name, VLAN and description of the selected block
+     */
+    function handlePlanNodeSave() {
+        const node = getPlanNode(state.planSelected);
+        const vlan = elements.planNodeVlan.value.trim();
 
-            // Show results section
-            elements.resultsSection.classList.remove('hidden');
-            
-            // Smooth scroll to results
-            elements.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        node.name = elements.planNodeName.value.trim();
+        node.vlan = vlan === '' ? null : Number(vlan);
+        node.description = elements.planNodeDescription.value.trim();
+        renderPlan();
+    }
+
+    /**
+     * Remove the selected block and everything carved from it
+     */
+    function handlePlanNodeRemove() {
+        if (state.planSelected === '') {
+            showError('The top-level block cannot be removed; start a new plan instead.');
+            return;
+        }
 
+        const path = state.planSelected.split('.');
+        const index = Number(path.pop());
+        const parentPath = path.join('.');
+
+        getPlanNode(parentPath).children.splice(index, 1);
+        state.planSelected = parentPath;
+        renderPlan();
+    }
+
+    /**
+     * Carve child blocks out of the selected block
+     */
+    function handlePlanCarve() {
+        const node = getPlanNode(state.planSelected);
+        const mode = elements.planCarveMode.value;
+
+        try {
+            if (mode === 'single') {
+                const cidr = elements.planCarveCIDR.value.trim();
+                if (!cidr) {
+                    showError('Enter the child block to add (e.g., 10.1.0.0/16).');
+                    return;
+                }
+                node.children.push(SubnetEngine.createPlanNode(cidr));
+                node.children.sort((a, b) =>
+                    SubnetEngine.ipToInt(a.networkAddress) - SubnetEngine.ipToInt(b.networkAddress) || a.prefix - b.prefix
+                );
+            } else if (mode === 'vlsm') {
+                const { requirements, errors } = SubnetEngine.parseHostRequirements(elements.planCarveRequirements.value);
+                showFormErrors(PLAN_CARVE_FIELD_INPUTS, errors);
+                if (errors.length > 0) {
+                    showError(`Plan error: ${errors[0].message}`);
+                    return;
+                }
+                node.children = SubnetEngine.carvePlanNode(node, { mode: 'vlsm', requirements: requirements });
+            } else {
+                const newPrefix = parseInt(elements.planCarvePrefix.value, 10);
+                if (isNaN(newPrefix)) {
+                    showError(`Enter the child prefix (e.g., ${Math.min(node.prefix + 8, 32)}).`);
+                    return;
+                }
+                node.children = SubnetEngine.carvePlanNode(node, { mode: 'equal', newPrefix: newPrefix });
+            }
+            renderPlan();
         } catch (error) {
-            showError(`Calculation error: ${error.message}`);
-            console.error('Calculation error:', error);
+            if (PLAN_CARVE_FIELD_INPUTS[error.field]) {
+                showFormErrors(PLAN_CARVE_FIELD_INPUTS, [error]);
+            }
+            showError(`Plan error: ${error.message}`);
+            console.error('Plan error:', error);
         }
     }
 
     /**
-     * Display calculation results
-     * @param {Object} summary - Calculation summary
+     * Validate the plan and redraw the tree, block table, issues and editor
      */
-    function displayResults(summary) {
-        const firstSubnet = summary.subnets[0];
-        
-        // Populate Standard Subnetting Outputs
-        // Network Information
-        elements.networkAddress.textContent = firstSubnet.networkAddress;
-        elements.broadcastAddress.textContent = firstSubnet.broadcastAddress;
-        elements.subnetMaskDecimal.textContent = summary.subnetMask;
-        elements.subnetMaskBinary.textContent = SubnetEngine.ipToBinary(summary.subnetMask);
-        elements.cidrNotation.textContent = `${firstSubnet.networkAddress}/${summary.effectivePrefix}`;
-        
-        // Host Information
-        elements.firstUsableHost.textContent = firstSubnet.firstUsable;
-        elements.lastUsableHost.textContent = firstSubnet.lastUsable;
-        elements.totalUsableHosts.textContent = summary.hostsPerSubnet.toLocaleString();
-        elements.totalAddresses.textContent = summary.totalAddresses.toLocaleString();
-        elements.networkClassDisplay.textContent = summary.networkClass;
-        
-        // Subnet Information
-        elements.totalSubnetsOutput.textContent = summary.totalSubnets;
-        elements.hostsPerSubnetOutput.textContent = summary.hostsPerSubnet.toLocaleString();
-        elements.networkBits.textContent = summary.effectivePrefix + ' bits';
-        elements.hostBits.textContent = (32 - summary.effectivePrefix) + ' bits';
-        elements.ipType.textContent = summary.isPrivate ? 'Private IP' : 'Public IP';
-        
-        // Update summary cards (keep for visual balance)
-        elements.totalSubnets.textContent = summary.totalSubnets;
-        elements.hostsPerSubnet.textContent = summary.hostsPerSubnet;
-        elements.subnetMask.textContent = `${summary.subnetMask} /${summary.effectivePrefix}`;
-        elements.networkClass.textContent = summary.networkClass;
+    function renderPlan() {
+        const analysis = SubnetEngine.analyzePlan(state.plan);
+        const [root] = analysis.blocks;
+        const errors = analysis.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = analysis.issues.length - errors;
+        state.planAnalysis = analysis;
 
-        // Build table rows
-        let tableHTML = '';
-        summary.subnets.forEach(subnet => {
-            tableHTML += `
-                <tr>
-                    <td>${subnet.subnetNumber}</td>
-                    <td>${subnet.networkAddress}</td>
-                    <td>${subnet.broadcastAddress}</td>
-                    <td>${subnet.firstUsable} → ${subnet.lastUsable}</td>
-                    <td>${subnet.usableHosts}</td>
-                    <td>${subnet.subnetMask} /${subnet.prefix}</td>
+        elements.planBlockCount.textContent = analysis.blocks.length.toLocaleString();
+        elements.planLevelCount.textContent = analysis.levels;
+        elements.planAllocated.textContent = `${(root.allocatedAddresses / state.plan.totalAddresses * 100).toFixed(1)}%`;
+        elements.planIssueCount.textContent = errors
+            ? `${errors} error${errors !== 1 ? 's' : ''}`
+            : warnings ? `${warnings} warning${warnings !== 1 ? 's' : ''}` : 'None';
+
+        const badges = { ok: ['ok', 'OK'], warning: ['info', 'Warning'], error: ['conflict', 'Error'] };
+        elements.planTableBody.innerHTML = analysis.blocks.map(({ node, path, depth, allocatedAddresses, status }) => {
+            const [badge, label] = badges[status];
+            const dottedPath = path.join('.');
+            return `
+                <tr data-plan-path="${dottedPath}" class="${dottedPath === state.planSelected ? 'selected-row' : ''}">
+                    <td style="padding-left: ${1 + depth * 1.5}rem">${node.networkAddress}/${node.prefix}</td>
+                    <td>${escapeHTML(node.name) || '-'}</td>
+                    <td>${node.vlan === null ? '-' : escapeHTML(node.vlan)}</td>
+                    <td>${escapeHTML(node.description) || '-'}</td>
+                    <td>${node.totalAddresses.toLocaleString()}</td>
+                    <td>${node.children.length
+                        ? `${(allocatedAddresses / node.totalAddresses * 100).toFixed(1)}% (${node.children.length} block${node.children.length !== 1 ? 's' : ''})`
+                        : '-'}</td>
+                    <td><span class="status-badge ${badge}">${label}</span></td>
                 </tr>
             `;
-        });
+        }).join('');
 
-        elements.resultsTableBody.innerHTML = tableHTML;
+        elements.planIssuesBody.innerHTML = analysis.issues.length
+            ? analysis.issues.map(issue => `
+                <tr data-plan-path="${issue.path.join('.')}">
+                    <td><span class="status-badge ${badges[issue.severity][0]}">${badges[issue.severity][1]}</span></td>
+                    <td>${escapeHTML(issue.label)}</td>
+                    <td>${escapeHTML(issue.message)}</td>
+                </tr>
+            `).join('')
+            : `
+                <tr class="table-note">
+                    <td colspan="3">No overlaps or blocks outside their parent</td>
+                </tr>
+            `;
 
-        // Add fade-in animation
-        elements.resultsSection.classList.add('fade-in');
+        Visualizer.renderPlanTree(analysis, 'planTree', state.planSelected);
+
+        // Editor for the selected block
+        const node = getPlanNode(state.planSelected);
+        elements.planEditorTitle.textContent = `${node.networkAddress}/${node.prefix}${node.name ? ` (${node.name})` : ''}`;
+        elements.planNodeName.value = node.name;
+        elements.planNodeVlan.value = node.vlan === null ? '' : node.vlan;
+        elements.planNodeDescription.value = node.description;
+        elements.planNodeRemoveBtn.disabled = state.planSelected === '';
+        elements.planCarvePrefix.min = Math.min(node.prefix + 1, 32);
+        elements.planCarvePrefix.placeholder = `e.g., ${Math.min(node.prefix + 8, 32)}`;
+
+        elements.planWorkspace.classList.remove('hidden');
     }
 
     /**
-     * Display learning content (beginner mode)
-     * @param {Object} summary - Calculation summary
-     * @param {Object} binary - Binary breakdown
+     * Handle multicast group analysis
      */
-    function displayLearningContent(summary, binary) {
-        // Generate and display explanations
-        const explanationHTML = Explanations.generateFullExplanation(summary, binary);
-        elements.explanationContent.innerHTML = explanationHTML;
-        
-        // Show learning panels
-        elements.learningPanel.classList.remove('hidden');
-        elements.visualComponents.classList.remove('hidden');
+    function handleMulticastAnalyze() {
+        const address = elements.multicastInput.value.trim();
+        if (!address) {
+            showError('Enter a multicast group address (e.g., 239.1.1.1).');
+            return;
+        }
 
-        // Render visualizations
-        Visualizer.renderBinaryVisualization(binary, 'binaryVisualization');
-        Visualizer.renderSubnetTree(
-            summary.subnets,
-            summary.basePrefix,
-            summary.newPrefix,
-            'subnetTree'
-        );
+        try {
+            const result = SubnetEngine.analyzeMulticast(address);
 
-        // Add animations
-        elements.learningPanel.classList.add('fade-in');
-        elements.visualComponents.classList.add('fade-in');
+            elements.multicastScope.textContent = result.glopAS === null
+                ? result.scope.name
+                : `${result.scope.name} (AS ${result.glopAS})`;
+            elements.multicastBlock.textContent = `${result.scope.network} (${result.scope.rfc})`;
+            elements.multicastMac.textContent = result.mac;
+            elements.multicastShared.textContent = result.aliases.length;
+
+            elements.multicastAliasBody.innerHTML = result.aliases.map((alias, i) => `
+                <tr class="${alias === result.address ? 'selected-row' : ''}">
+                    <td>${i + 1}</td>
+                    <td>${alias}</td>
+                    <td>${SubnetEngine.analyzeMulticast(alias).scope.name}</td>
+                </tr>
+            `).join('');
+
+            elements.multicastExplanation.innerHTML = Explanations.renderSteps(
+                Explanations.generateMulticastExplanation(result)
+            );
+
+            elements.multicastResults.classList.remove('hidden');
+            elements.multicastResults.classList.add('fade-in');
+        } catch (error) {
+            showError(`Multicast error: ${error.message}`);
+            console.error('Multicast error:', error);
+        }
+    }
+
+    /**
+     * Read the split the Nth subnet finder counts through
+     * @returns {Object} - { ip, basePrefix, newPrefix, options } for SubnetEngine
+     */
+    function readIndexSplit() {
+        const parsed = SubnetEngine.parseAddressInput(elements.indexNetwork.value);
+        if (parsed.prefix === null) {
+            throw new Error('Enter the network with its prefix (e.g., 10.0.0.0/8)');
+        }
+
+        const newPrefix = parseInt(elements.indexPrefix.value, 10);
+        if (isNaN(newPrefix)) {
+            throw new Error('Enter the prefix to split into (e.g., 20)');
+        }
+
+        return {
+            ip: parsed.ip,
+            basePrefix: parsed.prefix,
+            newPrefix: newPrefix,
+            options: { zeroBased: elements.indexBase.value === '0' }
+        };
+    }
+
+    /**
+     * Show the subnet and host an index query landed on
+     * @param {Object} result - Result of SubnetEngine.getNthSubnet or getAddressIndex
+     * @param {string} hostAddress - Host address to show, if any
+     * @param {number|bigint|null} hostIndex - Host number to show, if any
+     * @param {Array} steps - Explanation steps
+     */
+    function showIndexResult(result, hostAddress, hostIndex, steps) {
+        elements.indexSubnetValue.textContent = `${result.subnet.networkAddress}/${result.subnet.prefix}`;
+        elements.indexSubnetNumber.textContent = result.subnetIndex.toLocaleString();
+        elements.indexHostAddress.textContent = hostAddress || '-';
+        elements.indexHostNumber.textContent = hostIndex === null ? '-' : hostIndex.toLocaleString();
+        elements.indexExplanation.innerHTML = Explanations.renderSteps(steps);
+
+        elements.indexResults.classList.remove('hidden');
+        elements.indexResults.classList.add('fade-in');
+    }
+
+    /**
+     * Handle finding the Nth subnet (and host) of a split
+     */
+    function handleIndexFind() {
+        try {
+            const split = readIndexSplit();
+            const result = SubnetEngine.getNthSubnet(
+                split.ip, split.basePrefix, split.newPrefix,
+                elements.indexSubnet.value, elements.indexHost.value, split.options
+            );
+
+            showIndexResult(
+                result,
+                result.host ? result.host.address : null,
+                result.host ? result.host.index : null,
+                Explanations.generateNthSubnetExplanation(result)
+            );
+        } catch (error) {
+            showError(`Index error: ${error.message}`);
+            console.error('Index error:', error);
+        }
+    }
+
+    /**
+     * Handle working out the subnet and host number of an address
+     */
+    function handleIndexLookup() {
+        const address = elements.indexAddress.value.trim();
+        if (!address) {
+            showError('Enter an address to find its index (e.g., 10.2.64.200).');
+            return;
+        }
+
+        try {
+            const split = readIndexSplit();
+            const result = SubnetEngine.getAddressIndex(split.ip, split.basePrefix, split.newPrefix, address, split.options);
+
+            showIndexResult(
+                result,
+                result.address,
+                result.hostIndex,
+                Explanations.generateAddressIndexExplanation(result)
+            );
+        } catch (error) {
+            showError(`Index error: ${error.message}`);
+            console.error('Index error:', error);
+        }
+    }
+
+    /**
+     * Handle conflict report CSV export
+     */
+    function handleConflictExportCSV() {
+        if (!state.lastConflictReport) {
+            showError('No conflict report to export. Please check subnets first.');
+            return;
+        }
+
+        const timestamp = new Date().toISOString().split('T')[0];
+        Exporter.exportConflictReportToCSV(state.lastConflictReport, `subnet-conflicts-${timestamp}.csv`);
+        showSuccess('Conflict report exported to CSV successfully!');
     }
 
     /**
@@ -269,6 +2975,11 @@
      * @param {string} mode - 'beginner' or 'expert'
      */
     function applyMode(mode) {
+        // Tool explanations follow the learning panel
+        document.querySelectorAll('.tool-explanation').forEach(el => {
+            el.classList.toggle('hidden', mode !== 'beginner');
+        });
+
         if (mode === 'beginner') {
             elements.modeToggle.innerHTML = `
                 <svg class="icon"><use href="#icon-beginner"></use></svg>
@@ -331,7 +3042,7 @@
         const timestamp = new Date().toISOString().split('T')[0];
         const filename = `subnet-results-${timestamp}.csv`;
         
-        Exporter.exportToCSV(state.lastCalculation.summary, filename);
+        Exporter.exportToCSV(state.lastCalculation.summary, filename, state.ipam);
         showSuccess('Results exported to CSV successfully!');
     }
 
@@ -347,16 +3058,73 @@
         const timestamp = new Date().toISOString().split('T')[0];
         const filename = `subnet-results-${timestamp}.pdf`;
         
-        Exporter.exportToPDF(state.lastCalculation.summary, filename);
+        Exporter.exportToPDF(state.lastCalculation.summary, filename, state.ipam);
         showSuccess('Results exported to PDF successfully!');
     }
 
+    /**
+     * Handle copy report button click
+     */
+    function handleCopyReport() {
+        if (!state.lastCalculation) {
+            showError('No calculation results to copy. Please calculate first.');
+            return;
+        }
+
+        Exporter.copyToClipboard(state.lastCalculation.summary).then(copied => {
+            if (copied) {
+                showSuccess('Results copied to clipboard!');
+            } else {
+                showError('Failed to copy to clipboard. Please copy manually.');
+            }
+        });
+    }
+
+    /**
+     * Show a non-blocking notification in the corner of the page
+     * @param {string} message - Notification text
+     * @param {string} type - 'success', 'error' or 'info'
+     * @returns {HTMLElement} - The toast element
+     */
+    function showToast(message, type = 'info') {
+        const icons = { success: '✅', error: '❌', info: 'ℹ️' };
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+        toast.innerHTML = `
+            <span class="toast-icon" aria-hidden="true">${icons[type]}</span>
+            <span class="toast-message">${escapeHTML(message)}</span>
+            <button type="button" class="toast-close" aria-label="Dismiss notification">×</button>
+        `;
+
+        let timer = null;
+        const dismiss = () => {
+            clearTimeout(timer);
+            if (toast.classList.contains('toast-leaving')) return;
+            toast.classList.add('toast-leaving');
+            setTimeout(() => toast.remove(), 300);
+        };
+        const schedule = () => {
+            clearTimeout(timer);
+            timer = setTimeout(dismiss, TOAST_DURATION[type]);
+        };
+
+        // Hovering keeps the toast up while it is being read
+        toast.querySelector('.toast-close').addEventListener('click', dismiss);
+        toast.addEventListener('mouseenter', () => clearTimeout(timer));
+        toast.addEventListener('mouseleave', schedule);
+
+        elements.toastContainer.appendChild(toast);
+        schedule();
+        return toast;
+    }
+
     /**
      * Show error message
      * @param {string} message - Error message
      */
     function showError(message) {
-        alert(`❌ Error: ${message}`);
+        showToast(message, 'error');
     }
 
     /**
@@ -364,30 +3132,7 @@
      * @param {string} message - Success message
      */
     function showSuccess(message) {
-        // Create temporary success notification
-        const notification = document.createElement('div');
-        notification.style.cssText = `
-            position: fixed;
-            top: 20px;
-            right: 20px;
-            background: var(--color-success);
-            color: white;
-            padding: 1rem 1.5rem;
-            border-radius: var(--border-radius);
-            box-shadow: var(--shadow-lg);
-            z-index: 10000;
-            animation: slideIn 0.3s ease;
-        `;
-        notification.textContent = `✅ ${message}`;
-        
-        document.body.appendChild(notification);
-        
-        setTimeout(() => {
-            notification.style.animation = 'fadeOut 0.3s ease';
-            setTimeout(() => {
-                document.body.removeChild(notification);
-            }, 300);
-        }, 3000);
+        showToast(message, 'success');
     }
 
     /**
@@ -443,18 +3188,6 @@
         }
     });
 
-    /**
-     * Add CSS animation for notifications
-     */
-    const style = document.createElement('style');
-    style.textContent = `
-        @keyframes fadeOut {
-            from { opacity: 1; }
-            to { opacity: 0; }
-        }
-    `;
-    document.head.appendChild(style);
-
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -10,22 +10,52 @@
 const Explanations = (function() {
     'use strict';
 
+    /**
+     * Escapes user-supplied text for HTML output (shared by the visualizer and app)
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    function escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Generates step-by-step explanation for subnet calculation
      * @param {Object} summary - Calculation summary from SubnetEngine
      * @returns {Array} - Array of explanation step objects
      */
     function generateExplanation(summary) {
+        // A merged plan is the original calculation plus the merges made since
+        if (summary.mode === 'merged') {
+            return [...generateExplanation(summary.source), buildMergeStep(summary)];
+        }
+
+        if (summary.version === 6) {
+            return generateExplanationV6(summary);
+        }
+
         const steps = [];
         const { basePrefix, newPrefix, effectivePrefix, subnetMask, totalSubnets, hostsPerSubnet } = summary;
+        const isVLSM = summary.mode === 'vlsm';
+        const isPointToPoint = effectivePrefix === 31;
+        const isHostRoute = effectivePrefix === 32;
+        // Large splits only list their first page of subnets, so count equal splits by formula
+        const totalCapacity = isVLSM
+            ? summary.subnets.reduce((sum, subnet) => sum + subnet.usableHosts, 0)
+            : totalSubnets * hostsPerSubnet;
 
         // Step 1: Understanding the Network
         steps.push({
             title: '🌐 Understanding the Network',
             content: `
                 <p>You started with the network <code>${summary.baseNetwork}/${basePrefix}</code>.</p>
-                <p>This is a <strong>Class ${summary.networkClass}</strong> network, which is ${summary.isPrivate ? 'a <strong>private</strong> address range' : 'a <strong>public</strong> address'}.</p>
-                ${newPrefix ? `<p>You're splitting this network into smaller subnets using a /${newPrefix} prefix.</p>` : '<p>You\'re analyzing this single network without subdivision.</p>'}
+                <p>This is a <strong>Class ${summary.networkClass}</strong> network. ${describeClassification(summary)}</p>
+                ${summary.classful ? `<p><strong>Classful rules:</strong> the first octet (${summary.baseNetwork.split('.')[0]}) makes this Class ${summary.networkClass}, whose default mask is <code>/${basePrefix}</code> (${SubnetEngine.prefixToMask(basePrefix)}). Classful addressing always starts from the default mask, and subnets borrow their bits from the host portion that is left.</p>` : ''}
+                ${isVLSM ? `<p>You're dividing this network with <strong>VLSM</strong>, sizing each subnet to its own host requirement.</p>` : newPrefix ? `<p>You're splitting this network into smaller subnets using a /${newPrefix} prefix.</p>` : '<p>You\'re analyzing this single network without subdivision.</p>'}
             `,
             icon: '🌐'
         });
@@ -46,8 +76,30 @@ const Explanations = (function() {
             icon: '🔢'
         });
 
+        // A subnet or host requirement picks the prefix used from here on
+        if (summary.requirement) {
+            steps.push(buildRequirementStep(summary));
+        }
+
         // Step 3: Calculating Number of Subnets
-        if (newPrefix && newPrefix > basePrefix) {
+        if (isVLSM) {
+            steps.push({
+                title: '🧮 Sizing Subnets with VLSM',
+                content: `
+                    <p>Variable Length Subnet Masking gives every group a subnet just big enough for its hosts.</p>
+                    <p><strong>Step 1:</strong> Sort the requirements from largest to smallest. Allocating big blocks first keeps every block on a boundary that is a multiple of its own size.</p>
+                    <p><strong>Step 2:</strong> For each requirement, find the smallest number of host bits <em>h</em> where 2<sup>h</sup> - 2 ≥ required hosts. The prefix is 32 - h.</p>
+                    <div class="formula-box">
+                        ${summary.subnets.map(subnet => `${escapeHTML(subnet.name)}: ${subnet.requiredHosts} hosts → 2<sup>${32 - subnet.prefix}</sup> - 2 = ${subnet.usableHosts} → /${subnet.prefix} at ${subnet.networkAddress}`).join('<br>')}
+                    </div>
+                    <p><strong>Step 3:</strong> Place each block at the next free address, moving on by the block size (2<sup>h</sup> addresses) each time.</p>
+                    <p>Allocated <strong>${summary.allocatedAddresses}</strong> of ${summary.baseAddresses} addresses; ${summary.freeBlocks.length ? `the rest stays free as ${summary.freeBlocks.map(block => `<code>${block.networkAddress}/${block.prefix}</code>`).join(', ')}` : 'nothing is left over'}.</p>
+                `,
+                icon: '🧮'
+            });
+        } else if (newPrefix && newPrefix > basePrefix && summary.excludedSubnets.length > 0) {
+            steps.push(buildSubnetZeroStep(summary));
+        } else if (newPrefix && newPrefix > basePrefix) {
             const borrowedBits = newPrefix - basePrefix;
             steps.push({
                 title: '📊 Calculating Number of Subnets',
@@ -98,22 +150,44 @@ const Explanations = (function() {
         }
 
         // Step 4: Calculating Usable Hosts
-        steps.push({
-            title: '👥 Calculating Usable Hosts',
-            content: `
-                <p>With <strong>${32 - effectivePrefix} host bits</strong>, we can calculate the number of usable host addresses.</p>
-                <div class="formula-box">
-                    Usable Hosts = 2<sup>${32 - effectivePrefix}</sup> - 2 = ${hostsPerSubnet}
-                </div>
-                <p><strong>Why subtract 2?</strong> Every subnet has two special addresses:</p>
-                <ul>
-                    <li><strong>Network Address:</strong> The first address (all host bits = 0) identifies the subnet itself</li>
-                    <li><strong>Broadcast Address:</strong> The last address (all host bits = 1) is used for broadcasting to all hosts</li>
-                </ul>
-                <p>These two addresses cannot be assigned to individual hosts, so we subtract them from the total.</p>
-            `,
-            icon: '👥'
-        });
+        if (isPointToPoint || isHostRoute) {
+            steps.push({
+                title: '👥 Calculating Usable Hosts',
+                content: isPointToPoint ? `
+                    <p>A <code>/31</code> has only <strong>1 host bit</strong>, so it holds just 2 addresses.</p>
+                    <div class="formula-box">
+                        Usual formula: 2<sup>1</sup> - 2 = 0 usable hosts<br>
+                        RFC 3021: 2<sup>1</sup> = <strong>2 usable hosts</strong>
+                    </div>
+                    <p><strong>Why no subtraction?</strong> On a point-to-point link there is only one other device, so nothing needs a broadcast address. RFC 3021 lets both addresses be assigned to the two router interfaces, saving half the space of a /30.</p>
+                ` : `
+                    <p>A <code>/32</code> has <strong>no host bits</strong>: it describes exactly one address.</p>
+                    <div class="formula-box">
+                        Usual formula: 2<sup>0</sup> - 2 = -1 (meaningless)<br>
+                        Host route: <strong>1 address</strong>, the host itself
+                    </div>
+                    <p>/32 prefixes are <strong>host routes</strong>, used for loopback interfaces, static routes to a single device and ACL <code>host</code> entries. There is no network or broadcast address to subtract.</p>
+                `,
+                icon: '👥'
+            });
+        } else {
+            steps.push({
+                title: '👥 Calculating Usable Hosts',
+                content: `
+                    <p>With <strong>${32 - effectivePrefix} host bits</strong>, we can calculate the number of usable host addresses.</p>
+                    <div class="formula-box">
+                        Usable Hosts = 2<sup>${32 - effectivePrefix}</sup> - 2 = ${hostsPerSubnet}
+                    </div>
+                    <p><strong>Why subtract 2?</strong> Every subnet has two special addresses:</p>
+                    <ul>
+                        <li><strong>Network Address:</strong> The first address (all host bits = 0) identifies the subnet itself</li>
+                        <li><strong>Broadcast Address:</strong> The last address (all host bits = 1) is used for broadcasting to all hosts</li>
+                    </ul>
+                    <p>These two addresses cannot be assigned to individual hosts, so we subtract them from the total.</p>
+                `,
+                icon: '👥'
+            });
+        }
 
         // Step 5: Network Address Calculation
         steps.push({
@@ -133,50 +207,104 @@ const Explanations = (function() {
         });
 
         // Step 6: Broadcast Address Calculation
-        steps.push({
-            title: '📢 Finding the Broadcast Address',
-            content: `
-                <p>The <strong>Broadcast Address</strong> is the last address in the subnet, used to send data to all hosts simultaneously.</p>
-                <p><strong>Process:</strong></p>
-                <ol>
-                    <li>Start with the network address</li>
-                    <li>Set all host bits to 1</li>
-                    <li>This gives the highest address in the subnet</li>
-                </ol>
-                <p><strong>Example:</strong> For the subnet ${summary.subnets[0].networkAddress}/${effectivePrefix}, the broadcast address is <code>${summary.subnets[0].broadcastAddress}</code></p>
-            `,
-            icon: '📢'
-        });
+        if (isPointToPoint || isHostRoute) {
+            steps.push({
+                title: '📢 Finding the Broadcast Address',
+                content: `
+                    <p>A <code>/${effectivePrefix}</code> has <strong>no broadcast address</strong>.</p>
+                    <p>${isPointToPoint
+                        ? 'Setting the single host bit to 1 gives the second of the two addresses, which RFC 3021 assigns to the far end of the link instead of reserving it for broadcast.'
+                        : 'With no host bits there is nothing to set to 1; the only address is the host itself.'}</p>
+                    <p><strong>Example:</strong> For the subnet ${summary.subnets[0].networkAddress}/${effectivePrefix}, the last address is <code>${summary.subnets[0].broadcastAddress}</code> and it is ${isPointToPoint ? 'a usable host' : 'the host'}.</p>
+                `,
+                icon: '📢'
+            });
+        } else {
+            steps.push({
+                title: '📢 Finding the Broadcast Address',
+                content: `
+                    <p>The <strong>Broadcast Address</strong> is the last address in the subnet, used to send data to all hosts simultaneously.</p>
+                    <p><strong>Process:</strong></p>
+                    <ol>
+                        <li>Start with the network address</li>
+                        <li>Set all host bits to 1</li>
+                        <li>This gives the highest address in the subnet</li>
+                    </ol>
+                    <p><strong>Example:</strong> For the subnet ${summary.subnets[0].networkAddress}/${effectivePrefix}, the broadcast address is <code>${summary.subnets[0].broadcastAddress}</code></p>
+                `,
+                icon: '📢'
+            });
+        }
 
         // Step 7: Usable Host Range
+        if (isPointToPoint || isHostRoute) {
+            steps.push({
+                title: '🔄 Determining Usable Host Range',
+                content: `
+                    <p>Because a <code>/${effectivePrefix}</code> reserves no network or broadcast address, <strong>every address is usable</strong>.</p>
+                    <div class="formula-box">
+                        First Usable: ${summary.subnets[0].firstUsable}<br>
+                        Last Usable: ${summary.subnets[0].lastUsable}
+                    </div>
+                    <p>${isPointToPoint
+                        ? 'Assign one address to each router interface on the link.'
+                        : 'Assign this address to a loopback or use it as a route to a single device.'}</p>
+                `,
+                icon: '🔄'
+            });
+        } else {
+            steps.push({
+                title: '🔄 Determining Usable Host Range',
+                content: `
+                    <p>The <strong>Usable Host Range</strong> includes all addresses between the network and broadcast addresses.</p>
+                    <p><strong>Calculation:</strong></p>
+                    <ul>
+                        <li><strong>First Usable:</strong> Network Address + 1</li>
+                        <li><strong>Last Usable:</strong> Broadcast Address - 1</li>
+                    </ul>
+                    <p><strong>Example for first subnet:</strong></p>
+                    <div class="formula-box">
+                        First Usable: ${summary.subnets[0].firstUsable}<br>
+                        Last Usable: ${summary.subnets[0].lastUsable}
+                    </div>
+                    <p>These are the addresses you can assign to devices like computers, printers, and servers.</p>
+                `,
+                icon: '🔄'
+            });
+        }
+
+        // Step 8: Wildcard Mask
+        const maskOctets = subnetMask.split('.');
+        const wildcardOctets = summary.wildcardMask.split('.');
         steps.push({
-            title: '🔄 Determining Usable Host Range',
+            title: '🃏 Deriving the Wildcard Mask',
             content: `
-                <p>The <strong>Usable Host Range</strong> includes all addresses between the network and broadcast addresses.</p>
-                <p><strong>Calculation:</strong></p>
-                <ul>
-                    <li><strong>First Usable:</strong> Network Address + 1</li>
-                    <li><strong>Last Usable:</strong> Broadcast Address - 1</li>
-                </ul>
-                <p><strong>Example for first subnet:</strong></p>
+                <p>Cisco ACLs and OSPF <code>network</code> statements use a <strong>wildcard mask</strong> instead of a subnet mask. It is the subnet mask inverted: every 1-bit becomes 0 and every 0-bit becomes 1.</p>
+                <p><strong>Shortcut:</strong> subtract each octet of the subnet mask from 255.</p>
+                <div class="formula-box">
+                    ${maskOctets.map((octet, i) => `255 - ${octet} = ${wildcardOctets[i]}`).join('<br>')}<br>
+                    Wildcard Mask: ${summary.wildcardMask}
+                </div>
+                <p>A 0-bit in the wildcard means "this bit must match" and a 1-bit means "ignore this bit", so the ${32 - effectivePrefix} host bits are ignored.</p>
+                <p><strong>Example:</strong></p>
                 <div class="formula-box">
-                    First Usable: ${summary.subnets[0].firstUsable}<br>
-                    Last Usable: ${summary.subnets[0].lastUsable}
+                    access-list 10 permit ${summary.subnets[0].networkAddress} ${summary.wildcardMask}<br>
+                    network ${summary.subnets[0].networkAddress} ${summary.wildcardMask} area 0
                 </div>
-                <p>These are the addresses you can assign to devices like computers, printers, and servers.</p>
+                <p>Wildcard <code>0.0.0.0</code> matches a single address (written <code>host</code>), and <code>255.255.255.255</code> matches everything (written <code>any</code>).</p>
             `,
-            icon: '🔄'
+            icon: '🃏'
         });
 
-        // Step 8: Practical Application
+        // Step 9: Practical Application
         steps.push({
             title: '🛠️ Practical Application',
             content: `
                 <p><strong>Summary of your subnet configuration:</strong></p>
                 <ul>
-                    <li>You have <strong>${totalSubnets}</strong> subnet${totalSubnets > 1 ? 's' : ''} available</li>
-                    <li>Each subnet can support <strong>${hostsPerSubnet}</strong> usable host${hostsPerSubnet !== 1 ? 's' : ''}</li>
-                    <li>Total capacity: <strong>${totalSubnets * hostsPerSubnet}</strong> devices across all subnets</li>
+                    <li>You have <strong>${totalSubnets.toLocaleString()}</strong> subnet${totalSubnets > 1 ? 's' : ''} available</li>
+                    ${isVLSM ? '<li>Each subnet is sized to its own host requirement</li>' : `<li>Each subnet can support <strong>${hostsPerSubnet}</strong> usable host${hostsPerSubnet !== 1 ? 's' : ''}</li>`}
+                    <li>Total capacity: <strong>${totalCapacity.toLocaleString()}</strong> devices across all subnets</li>
                 </ul>
                 <p><strong>Best Practices:</strong></p>
                 <ul>
@@ -192,6 +320,901 @@ const Explanations = (function() {
         return steps;
     }
 
+    /**
+     * Describes the special-purpose registry entry for a calculation's base network
+     * @param {Object} summary - Calculation summary with classification and specialCrossings
+     * @returns {string} - HTML sentences
+     */
+    function describeClassification(summary) {
+        const { classification, specialCrossings } = summary;
+        let html = classification.special
+            ? `It falls in the <strong>${classification.name}</strong> block <code>${classification.network}</code> (${classification.rfc}) of the IANA special-purpose registry: routers ${classification.forwardable ? 'may forward' : 'must not forward'} it, and it is ${classification.globallyReachable ? '' : '<strong>not</strong> '}reachable across the public Internet.`
+            : `It is ordinary ${summary.version === 6 ? 'global unicast' : '<strong>public</strong>'} address space, routable across the Internet.`;
+
+        if (specialCrossings.length > 0) {
+            html += ` <strong>Watch out:</strong> ${specialCrossings.map(crossing => `<code>${crossing.block.network}</code> (${crossing.block.name})`).join(', ')} ${specialCrossings.length === 1 ? 'is' : 'are'} smaller than your subnets, so ${specialCrossings.length === 1 ? 'it shares' : 'they share'} a subnet with regular addresses.`;
+        }
+
+        return html;
+    }
+
+    /**
+     * Builds the subnet-count step for a split that leaves out subnet zero and the all-ones subnet
+     * @param {Object} summary - Calculation summary with excludedSubnets
+     * @returns {Object} - Explanation step object
+     */
+    function buildSubnetZeroStep(summary) {
+        const { basePrefix, newPrefix, totalSubnets } = summary;
+        const borrowedBits = newPrefix - basePrefix;
+        const [subnetZero, allOnes] = summary.excludedSubnets;
+
+        return {
+            title: '📊 Calculating Number of Subnets (Classful Rules)',
+            content: `
+                <p><strong>Question:</strong> How many subnets can we use?</p>
+                <p>Splitting the <code>/${basePrefix}</code> network into <code>/${newPrefix}</code> subnets borrows <strong>${borrowedBits} bits</strong>, giving 2<sup>${borrowedBits}</sup> = ${Math.pow(2, borrowedBits).toLocaleString()} blocks. Under the old rules the first and last of them cannot be used.</p>
+
+                <div class="formula-box">
+                    <strong>Formula:</strong> Number of Subnets = 2<sup>borrowed bits</sup> - 2<br><br>
+                    Borrowed Bits = ${newPrefix} - ${basePrefix} = <strong>${borrowedBits} bits</strong><br><br>
+                    Number of Subnets = 2<sup>${borrowedBits}</sup> - 2 = <strong>${totalSubnets.toLocaleString()}</strong>
+                </div>
+
+                <p><strong>Why subtract 2?</strong> Classful routing protocols such as RIPv1 and IGRP send no masks in their updates, so two blocks were ambiguous:</p>
+                <ul>
+                    <li><strong>Subnet zero</strong> <code>${subnetZero}</code> (subnet bits all 0) has the same address as the major network itself</li>
+                    <li><strong>The all-ones subnet</strong> <code>${allOnes}</code> (subnet bits all 1) shares its broadcast address with the whole network</li>
+                </ul>
+                <p>That is why subnet 1 here starts at <code>${summary.subnets[0].networkAddress}</code>. Modern equipment uses both blocks (Cisco's <code>ip subnet-zero</code> has been on by default since IOS 12.0), which is where the classless formula 2<sup>n</sup> comes from.</p>
+            `,
+            icon: '📊'
+        };
+    }
+
+    /**
+     * Builds the step that works a subnet-count or hosts-per-subnet requirement back to a prefix
+     * @param {Object} summary - Calculation summary with a requirement plan
+     * @returns {Object} - Explanation step object
+     */
+    function buildRequirementStep(summary) {
+        const plan = summary.requirement;
+        const addressBits = summary.addressBits;
+        const bits = plan.bits;
+        const isSubnets = plan.type === 'subnets';
+        // The prefix one bit short of the requirement, when there is one
+        const shortOption = plan.tradeoffs.find(option => option.prefix === plan.newPrefix + (isSubnets ? -1 : 1));
+        const chosen = plan.tradeoffs.find(option => option.selected);
+        const count = plan.count.toLocaleString();
+
+        // IPv4 loses the network and broadcast addresses; IPv6 has no broadcast
+        const hostFormula = hostBits => addressBits === 128
+            ? `2<sup>${hostBits}</sup>`
+            : `2<sup>${hostBits}</sup> - 2`;
+
+        // Without subnet zero the first and last blocks of a split are lost
+        const noSubnetZero = plan.subnetZero === false;
+        const subnetFormula = borrowedBits => noSubnetZero && borrowedBits > 0
+            ? `2<sup>${borrowedBits}</sup> - 2`
+            : `2<sup>${borrowedBits}</sup>`;
+
+        const content = isSubnets ? `
+                <p><strong>Requirement:</strong> at least <strong>${count}</strong> subnet${Number(plan.count) !== 1 ? 's' : ''}.</p>
+                ${noSubnetZero
+                    ? `<p>Borrowing <em>n</em> bits from the host portion gives 2<sup>n</sup> blocks, but classful rules leave out subnet zero and the all-ones subnet, so find the smallest <em>n</em> where <strong>2<sup>n</sup> - 2 ≥ ${count}</strong>.</p>`
+                    : `<p>Borrowing <em>n</em> bits from the host portion gives 2<sup>n</sup> subnets, so find the smallest <em>n</em> where <strong>2<sup>n</sup> ≥ ${count}</strong>.</p>`}
+                <div class="formula-box">
+                    ${shortOption ? `n = ${bits - 1}: ${subnetFormula(bits - 1)} = ${shortOption.subnets.toLocaleString()} &lt; ${count} ✗<br>` : ''}
+                    n = ${bits}: ${subnetFormula(bits)} = ${chosen.subnets.toLocaleString()} ≥ ${count} ✓<br><br>
+                    New Prefix = ${summary.basePrefix} + ${bits} = <strong>/${plan.newPrefix}</strong>
+                </div>
+                <p>Borrowing more bits would still work, but every extra bit halves the hosts left in each subnet.</p>
+            ` : `
+                <p><strong>Requirement:</strong> at least <strong>${count}</strong> ${addressBits === 128 ? 'address' : 'usable host'}${Number(plan.count) !== 1 ? (addressBits === 128 ? 'es' : 's') : ''} in every subnet.</p>
+                <p>Keeping <em>h</em> host bits gives ${addressBits === 128 ? '2<sup>h</sup> addresses (IPv6 has no broadcast to subtract)' : '2<sup>h</sup> - 2 usable hosts (the network and broadcast addresses are reserved)'}, so find the smallest <em>h</em> where <strong>${addressBits === 128 ? '2<sup>h</sup>' : '2<sup>h</sup> - 2'} ≥ ${count}</strong>.</p>
+                <div class="formula-box">
+                    ${shortOption ? `h = ${bits - 1}: ${hostFormula(bits - 1)} = ${shortOption.hostsPerSubnet.toLocaleString()} &lt; ${count} ✗<br>` : ''}
+                    h = ${bits}: ${hostFormula(bits)} = ${chosen.hostsPerSubnet.toLocaleString()} ≥ ${count} ✓<br><br>
+                    New Prefix = ${addressBits} - ${bits} = <strong>/${plan.newPrefix}</strong>
+                </div>
+                ${noSubnetZero && plan.newPrefix > summary.basePrefix ? `<p>With subnet zero and the all-ones subnet left out, the split gives 2<sup>${plan.newPrefix - summary.basePrefix}</sup> - 2 = ${summary.totalSubnets.toLocaleString()} usable subnet${summary.totalSubnets !== 1 ? 's' : ''}.</p>` : ''}
+                <p>Keeping fewer host bits gives more subnets, but then they would be too small; keeping more wastes addresses in every subnet.</p>
+            `;
+
+        return {
+            title: '🎯 Working Back from the Requirement',
+            content: content,
+            icon: '🎯'
+        };
+    }
+
+    /**
+     * Builds the step listing the subnets merged back into larger blocks
+     * @param {Object} summary - Summary from SubnetEngine.getMergedSummary
+     * @returns {Object} - Explanation step
+     */
+    function buildMergeStep(summary) {
+        return {
+            title: '🧩 Merging Subnets Back Together',
+            content: `
+                <p>Adjacent subnets were then merged into larger blocks. Each group fills one aligned block exactly, so the merged block keeps only the network bits they all share and its prefix is shorter.</p>
+                <div class="formula-box">
+                    ${summary.merges.map(merge => `${merge.from.join(' + ')} → <strong>${merge.network}</strong>`).join('<br>')}
+                </div>
+                <p>The plan now has <strong>${summary.totalSubnets.toLocaleString()}</strong> subnets of mixed sizes.</p>
+            `,
+            icon: '🧩'
+        };
+    }
+
+    /**
+     * Generates step-by-step explanation for an IPv6 calculation
+     * @param {Object} summary - IPv6 calculation summary from SubnetEngine
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateExplanationV6(summary) {
+        const steps = [];
+        const { basePrefix, newPrefix, effectivePrefix, totalSubnets } = summary;
+        const firstSubnet = summary.subnets[0];
+        const interfaceBits = 128 - effectivePrefix;
+        const expanded = SubnetEngine.expandIPv6(summary.baseNetwork);
+
+        // Step 1: Reading the address
+        steps.push({
+            title: '🌐 Understanding the IPv6 Address',
+            content: `
+                <p>You started with the network <code>${summary.baseNetwork}/${basePrefix}</code>.</p>
+                <p>An IPv6 address is <strong>128 bits</strong>, written as eight groups of four hex digits (16 bits each):</p>
+                <div class="formula-box">
+                    Expanded: ${expanded}<br>
+                    Canonical: ${summary.baseNetwork}
+                </div>
+                <p><strong>Shortening rules (RFC 5952):</strong></p>
+                <ul>
+                    <li>Drop leading zeros in each group (<code>0db8</code> → <code>db8</code>)</li>
+                    <li>Replace the longest run of two or more all-zero groups with <code>::</code>, only once per address</li>
+                    <li>Write hex digits in lowercase</li>
+                </ul>
+                <p>IPv6 has no address classes. ${describeClassification(summary)}</p>
+            `,
+            icon: '🌐'
+        });
+
+        // Step 2: Prefix length
+        steps.push({
+            title: '🔢 Prefix Length',
+            content: `
+                <p>The prefix <code>/${effectivePrefix}</code> means the first <strong>${effectivePrefix} bits</strong> identify the network and the remaining <strong>${interfaceBits} bits</strong> identify the interface.</p>
+                <p>Each hex digit is 4 bits, so /${effectivePrefix} covers ${effectivePrefix % 4 === 0 ? `exactly <strong>${effectivePrefix / 4}</strong> hex digits` : `${Math.floor(effectivePrefix / 4)} full hex digits plus ${effectivePrefix % 4} bit${effectivePrefix % 4 > 1 ? 's' : ''} of the next one`}.</p>
+                <div class="formula-box">
+                    Prefix Mask: ${summary.subnetMask}<br>
+                    In CIDR: /${effectivePrefix}
+                </div>
+                <p><strong>Common sizes:</strong> /48 is a typical site allocation, and /64 is the standard size for a single LAN.</p>
+            `,
+            icon: '🔢'
+        });
+
+        // A subnet or host requirement picks the prefix used from here on
+        if (summary.requirement) {
+            steps.push(buildRequirementStep(summary));
+        }
+
+        // Step 3: Number of subnets
+        if (newPrefix && newPrefix > basePrefix) {
+            const borrowedBits = newPrefix - basePrefix;
+            steps.push({
+                title: '📊 Calculating Number of Subnets',
+                content: `
+                    <p>To split the <code>/${basePrefix}</code> into <code>/${newPrefix}</code> subnets, we use <strong>${borrowedBits} subnet bit${borrowedBits > 1 ? 's' : ''}</strong>.</p>
+                    <div class="formula-box">
+                        Subnet Bits = ${newPrefix} - ${basePrefix} = ${borrowedBits}<br>
+                        Number of Subnets = 2<sup>${borrowedBits}</sup> = <strong>${totalSubnets.toLocaleString()}</strong>
+                    </div>
+                    <p>Consecutive subnets differ by 1 in the subnet bits, so the second subnet is <code>${summary.subnets.length > 1 ? summary.subnets[1].networkAddress : firstSubnet.networkAddress}/${newPrefix}</code>.</p>
+                    ${summary.subnetsTruncated ? '<p>The results table generates each page of subnets on demand, so even huge splits stay fast.</p>' : ''}
+                `,
+                icon: '📊'
+            });
+        } else {
+            steps.push({
+                title: '📊 Single Network Analysis',
+                content: `
+                    <p>You're analyzing a single network without subdividing it.</p>
+                    <p><strong>Note:</strong> To create multiple subnets, enter a "New Prefix" larger than /${basePrefix} (for example /64).</p>
+                `,
+                icon: '📊'
+            });
+        }
+
+        // Step 4: Addresses per subnet
+        steps.push({
+            title: '👥 Addresses per Subnet',
+            content: `
+                <div class="formula-box">
+                    Addresses = 2<sup>${interfaceBits}</sup> = ${firstSubnet.totalAddresses.toLocaleString()}
+                </div>
+                <p><strong>Why no "- 2"?</strong> IPv6 has <strong>no broadcast address</strong> (multicast replaces it), so the last address is an ordinary address.</p>
+                <p>The all-zeros interface ID (<code>${firstSubnet.networkAddress}</code>) is the Subnet-Router anycast address, normally answered by the router.</p>
+            `,
+            icon: '👥'
+        });
+
+        // Step 5: Network prefix and range
+        steps.push({
+            title: '🎯 Finding the Network Prefix and Range',
+            content: `
+                <p>As in IPv4, the network prefix is the address AND the prefix mask: every interface bit becomes 0.</p>
+                <p>Setting every interface bit to 1 gives the last address of the subnet.</p>
+                <div class="formula-box">
+                    First Address: ${firstSubnet.networkAddress}<br>
+                    Last Address: ${firstSubnet.broadcastAddress}
+                </div>
+            `,
+            icon: '🎯'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Splits a dotted binary string after a number of bits, keeping the dots
+     * @param {string} binary - Dotted binary (e.g. 11000000.10101000...)
+     * @param {number} bits - Number of leading bits to mark
+     * @returns {string} - HTML with the leading bits highlighted
+     */
+    function highlightLeadingBits(binary, bits) {
+        // Each dot before the cut point shifts the split index by one
+        const cut = bits + Math.floor(Math.max(bits - 1, 0) / 8);
+        return `<span class="bit-common">${binary.slice(0, cut)}</span>${binary.slice(cut)}`;
+    }
+
+    /**
+     * Generates step-by-step explanation for route summarization
+     * @param {Object} result - Result of SubnetEngine.summarizeRoutes
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateSummarizationExplanation(result) {
+        const steps = [];
+        const { routes, supernet, commonBits, summaries } = result;
+        const lowest = Math.min(...routes.map(r => SubnetEngine.ipToInt(r.networkAddress)));
+        const highest = Math.max(...routes.map(r => SubnetEngine.ipToInt(r.broadcastAddress)));
+
+        // Step 1: Write the routes in binary
+        steps.push({
+            title: '🔢 Write Each Network in Binary',
+            content: `
+                <p>Route summarization (supernetting) replaces several routes with one shorter prefix that covers them all.</p>
+                <p>Start by writing every network address in binary:</p>
+                <div class="formula-box">
+                    ${routes.map(r => `${SubnetEngine.ipToBinary(r.networkAddress)} &nbsp; ${r.networkAddress}/${r.prefix}`).join('<br>')}
+                </div>
+                ${result.hostBitsCorrected.length ? `<p><strong>Note:</strong> ${result.hostBitsCorrected.map(c => `<code>${c}</code>`).join(', ')} had host bits set, so the network address was used instead.</p>` : ''}
+            `,
+            icon: '🔢'
+        });
+
+        // Step 2: Count the common leading bits
+        steps.push({
+            title: '🔍 Find the Common Bits',
+            content: `
+                <p>Compare the lowest and highest address covered by the routes, bit by bit from the left, and stop at the first bit that differs.</p>
+                <div class="formula-box">
+                    Lowest: &nbsp;${highlightLeadingBits(SubnetEngine.ipToBinary(SubnetEngine.intToIP(lowest)), commonBits)}<br>
+                    Highest: ${highlightLeadingBits(SubnetEngine.ipToBinary(SubnetEngine.intToIP(highest)), commonBits)}
+                </div>
+                <p>The first <strong>${commonBits} bit${commonBits !== 1 ? 's' : ''}</strong> match, so every route lies inside one /${commonBits} block.</p>
+            `,
+            icon: '🔍'
+        });
+
+        // Step 3: Build the summary route
+        steps.push({
+            title: '🎯 Build the Summary Route',
+            content: `
+                <p>Keep the ${commonBits} common bits and set every remaining bit to 0:</p>
+                <div class="formula-box">
+                    ${highlightLeadingBits(SubnetEngine.ipToBinary(supernet.networkAddress), commonBits)}<br>
+                    = <strong>${supernet.networkAddress}/${supernet.prefix}</strong> (mask ${supernet.subnetMask})
+                </div>
+                <p>This best-fit supernet holds ${supernet.totalAddresses.toLocaleString()} addresses; the routes use ${result.coveredAddresses.toLocaleString()} of them.</p>
+            `,
+            icon: '🎯'
+        });
+
+        // Step 4: Over-coverage
+        steps.push({
+            title: '⚖️ Checking Over-Coverage',
+            content: result.overCoverage === 0 ? `
+                <p>The summary covers <strong>exactly</strong> the original routes, so advertising <code>${supernet.networkAddress}/${supernet.prefix}</code> alone is safe.</p>
+            ` : `
+                <p>The supernet also covers <strong>${result.overCoverage.toLocaleString()}</strong> addresses (${result.overCoveragePercent.toFixed(1)}%) that none of the routes include. A router advertising it would attract traffic for space it cannot reach.</p>
+                <p>The smallest exact set of summary routes is:</p>
+                <div class="formula-box">
+                    ${summaries.map(r => `${r.networkAddress}/${r.prefix}`).join('<br>')}
+                </div>
+            `,
+            icon: '⚖️'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Highlights the leading bits of a dotted binary string and marks the rest
+     * @param {string} binary - Dotted binary address
+     * @param {number} bits - Number of leading bits to highlight
+     * @param {string} className - Class for the remaining bits
+     * @returns {string} - HTML with both parts wrapped in spans
+     */
+    function markTrailingBits(binary, bits, className) {
+        const cut = bits + Math.floor(Math.max(bits - 1, 0) / 8);
+        return `<span class="bit-common">${binary.slice(0, cut)}</span><span class="${className}">${binary.slice(cut)}</span>`;
+    }
+
+    /**
+     * Generates step-by-step explanation for merging subnets into a supernet
+     * @param {Object} result - Result of SubnetEngine.checkMerge
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateMergeExplanation(result) {
+        const steps = [];
+        const { blocks, code, neededPrefix, covering } = result;
+        const binaryOf = value => SubnetEngine.ipToBinary(SubnetEngine.intToIP(value));
+
+        // Step 1: Write the subnets in binary
+        steps.push({
+            title: '🔢 Write the Subnets in Binary',
+            content: `
+                <p>Merging undoes a split: the selected subnets must fill one larger block <strong>exactly</strong>, with nothing missing and nothing extra.</p>
+                <div class="formula-box">
+                    ${blocks.map(block => `${highlightLeadingBits(SubnetEngine.ipToBinary(block.networkAddress), block.prefix)} &nbsp; ${block.networkAddress}/${block.prefix}`).join('<br>')}
+                </div>
+                <p>The underlined bits are each subnet's network bits.</p>
+            `,
+            icon: '🔢'
+        });
+
+        if (code === 'TOO_FEW') {
+            steps.push({
+                title: '☝️ Nothing to Merge',
+                content: '<p>Select at least two subnets; a single subnet is already one block.</p>',
+                icon: '☝️'
+            });
+            return steps;
+        }
+
+        // Step 2: Adjacency
+        if (code === 'OVERLAP' || code === 'NOT_CONTIGUOUS') {
+            const index = blocks.findIndex((block, i) => i > 0 && block.start !== blocks[i - 1].end + 1);
+            const previous = blocks[index - 1];
+            const block = blocks[index];
+            steps.push({
+                title: code === 'OVERLAP' ? '⛔ The Subnets Overlap' : '🕳️ The Subnets Are Not Adjacent',
+                content: `
+                    <p>Compare where <code>${previous.networkAddress}/${previous.prefix}</code> ends with where <code>${block.networkAddress}/${block.prefix}</code> starts:</p>
+                    <div class="formula-box">
+                        Last of ${previous.networkAddress}/${previous.prefix}: &nbsp;${binaryOf(previous.end)} (${SubnetEngine.intToIP(previous.end)})<br>
+                        First of ${block.networkAddress}/${block.prefix}: ${binaryOf(block.start)} (${block.networkAddress})
+                    </div>
+                    ${code === 'OVERLAP'
+                        ? '<p>The second subnet starts before the first one ends, so some addresses belong to both. Remove one of them from the selection.</p>'
+                        : `<p>Adding 1 to the last address should give the next subnet's first address, but <code>${result.gap.from}</code> – <code>${result.gap.to}</code> lies between them. Those addresses are not selected, so no block can cover the subnets without also taking them.</p>
+                           <p>Select the subnets in between as well, or merge each adjacent pair separately.</p>`}
+                `,
+                icon: code === 'OVERLAP' ? '⛔' : '🕳️'
+            });
+            return steps;
+        }
+
+        // Step 3: Size
+        const total = result.totalAddresses;
+        const hostBits = Math.log2(total);
+        steps.push({
+            title: '📏 Count the Addresses',
+            content: `
+                <p>A prefix with <em>h</em> host bits always holds 2<sup>h</sup> addresses, so the merged block must hold a power of two.</p>
+                <div class="formula-box">
+                    ${blocks.map(block => `2<sup>${32 - block.prefix}</sup>`).join(' + ')} = <strong>${total.toLocaleString()}</strong> addresses
+                    ${code === 'NOT_POWER_OF_TWO' ? '' : `<br>${total.toLocaleString()} = 2<sup>${hostBits}</sup> → ${hostBits} host bits → <strong>/${neededPrefix}</strong>`}
+                </div>
+                ${code === 'NOT_POWER_OF_TWO'
+                    ? `<p>${total.toLocaleString()} lies between 2<sup>${Math.floor(Math.log2(total))}</sup> and 2<sup>${Math.ceil(Math.log2(total))}</sup>, so no single prefix covers exactly these subnets. Add or drop a subnet so the total is a power of two.</p>`
+                    : ''}
+            `,
+            icon: '📏'
+        });
+        if (code === 'NOT_POWER_OF_TWO') {
+            return steps;
+        }
+
+        // Step 4: Alignment
+        const first = blocks[0];
+        const firstBinary = SubnetEngine.ipToBinary(first.networkAddress);
+        steps.push(result.mergeable ? {
+            title: '✅ Check the Boundary',
+            content: `
+                <p>A /${neededPrefix} must start where its ${hostBits} host bits are all 0. The first subnet does:</p>
+                <div class="formula-box">
+                    ${markTrailingBits(firstBinary, neededPrefix, 'bit-mapped')}<br>
+                    = <strong>${result.supernet.networkAddress}/${neededPrefix}</strong> (mask ${result.supernet.subnetMask})
+                </div>
+                <p>Every selected subnet shares those ${neededPrefix} network bits, so together they are exactly one /${neededPrefix}.</p>
+            `,
+            icon: '✅'
+        } : {
+            title: '❌ Check the Boundary',
+            content: `
+                <p>A /${neededPrefix} must start where its ${hostBits} host bits are all 0, i.e. on a multiple of ${total.toLocaleString()}. The first subnet does not:</p>
+                <div class="formula-box">
+                    ${markTrailingBits(firstBinary, neededPrefix, 'bit-conflict')} &nbsp; ${first.networkAddress}
+                </div>
+                <p>A 1-bit among the marked bits means these subnets straddle the boundary between two /${neededPrefix} blocks. The selected subnets all fit only in the shorter prefix they have in common:</p>
+                <div class="formula-box">
+                    ${highlightLeadingBits(SubnetEngine.ipToBinary(covering.networkAddress), covering.prefix)} = <strong>${covering.networkAddress}/${covering.prefix}</strong>
+                </div>
+                <p>That block also contains addresses you did not select. Choose subnets that start on a /${neededPrefix} boundary instead.</p>
+            `,
+            icon: '❌'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Generates step-by-step explanation for a host-to-host reachability check
+     * @param {Object} result - Result of SubnetEngine.checkHostPair
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateHostPairExplanation(result) {
+        const steps = [];
+
+        // Step 1: The rule every host applies
+        steps.push({
+            title: '📐 The On-Link Test',
+            content: `
+                <p>Before sending, a host ANDs the destination address with <strong>its own</strong> subnet mask and compares the result with its own network address.</p>
+                <ul>
+                    <li><strong>Same network:</strong> the destination is on-link, so the host ARPs for it and delivers the frame directly.</li>
+                    <li><strong>Different network:</strong> the destination is remote, so the host ARPs for its default gateway and hands the packet to the router.</li>
+                </ul>
+                <p>The other host's mask plays no part in this decision, which is why each host has to be checked separately.</p>
+            `,
+            icon: '📐'
+        });
+
+        // Steps 2-3: Each host's decision
+        result.perspectives.forEach((perspective, i) => {
+            const self = result.hosts[i];
+            const peer = perspective.peerBinary;
+            steps.push({
+                title: `🖥️ Host ${perspective.from}'s Decision`,
+                content: `
+                    <p>Host ${perspective.from} is configured as <code>${self.ip}/${self.prefix}</code>, so it keeps the first ${self.prefix} bits of each address:</p>
+                    <div class="formula-box">
+                        ${highlightLeadingBits(self.binary.ip.fullBinary, self.prefix)} &nbsp; ${self.ip} (host ${perspective.from})<br>
+                        ${highlightLeadingBits(peer.ip.fullBinary, self.prefix)} &nbsp; ${peer.ip.decimal} (host ${perspective.to})<br><br>
+                        ${self.ip} AND ${self.binary.mask.decimal} = <strong>${perspective.ownNetwork}</strong><br>
+                        ${peer.ip.decimal} AND ${self.binary.mask.decimal} = <strong>${perspective.peerNetwork}</strong>
+                    </div>
+                    <p>${perspective.onLink
+                        ? `The networks match, so host ${perspective.from} treats ${perspective.to} as <strong>on-link</strong> and delivers directly.`
+                        : `The networks differ, so host ${perspective.from} treats ${perspective.to} as <strong>remote</strong> and ${perspective.nextHop ? `sends through its gateway <code>${perspective.nextHop}</code>` : 'needs a gateway, but none is configured'}.`}</p>
+                `,
+                icon: '🖥️'
+            });
+        });
+
+        // Step 4: Combining both views
+        const [fromA, fromB] = result.perspectives;
+        const conclusions = {
+            direct: 'Both hosts see each other as on-link, so they talk directly without the router.',
+            gateway: 'Both hosts see each other as remote, so every packet goes through the gateways; a router must connect the two subnets.',
+            asymmetric: `Host ${fromA.onLink ? 'A' : 'B'} delivers directly, but host ${fromA.onLink ? 'B' : 'A'} sends its replies to a gateway. The masks disagree, which is a classic misconfiguration: fix the mask so both hosts share one subnet definition.`
+        };
+        steps.push({
+            title: '🤝 Putting It Together',
+            content: `
+                <p>${conclusions[result.verdict]}</p>
+                ${fromB.prefix !== fromA.prefix && result.verdict !== 'asymmetric' ? '<p>The masks differ even though the decisions agree here; other addresses in the same range would be treated differently by the two hosts.</p>' : ''}
+                ${result.issues.length ? `<p>Fix the ${result.issues.length} issue${result.issues.length !== 1 ? 's' : ''} listed above before testing connectivity.</p>` : ''}
+            `,
+            icon: '🤝'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Generates step-by-step explanation for a routing table lookup
+     * @param {Object} result - Result of SubnetEngine.lookupRoute
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateRouteLookupExplanation(result) {
+        const steps = [];
+        const { destination, candidates, winners } = result;
+        const destBinary = SubnetEngine.ipToBinary(destination);
+        const matching = candidates.filter(candidate => candidate.matches);
+        const describe = route => `${route.networkAddress}/${route.prefix}`;
+        // Large tables (e.g. a page of connected routes) only show the routes that match
+        const shown = candidates.length <= 16 ? candidates : matching;
+
+        // Step 1: Compare the destination with every route
+        steps.push({
+            title: '🔢 Compare the Destination With Each Route',
+            content: `
+                <p>The router writes the destination <code>${escapeHTML(destination)}</code> in binary and checks every route. A route matches when the destination agrees with <strong>all</strong> of the route's prefix bits.</p>
+                <div class="formula-box">
+                    ${destBinary} &nbsp; ${escapeHTML(destination)} (destination)<br><br>
+                    ${shown.map(({ route, matchingBits, matches }) => `
+                        ${highlightLeadingBits(SubnetEngine.ipToBinary(route.networkAddress), route.prefix)} &nbsp; ${describe(route)}
+                        ${matches
+                            ? `- all ${route.prefix} prefix bits match ✓`
+                            : `- bit ${matchingBits + 1} differs, only ${matchingBits} of ${route.prefix} match ✗`}
+                    `).join('<br>')}
+                </div>
+                ${shown.length < candidates.length ? `<p>The other ${candidates.length - shown.length} routes differ from the destination within their prefix bits and are left out.</p>` : ''}
+                ${candidates.some(({ route }) => route.prefix === 0) ? '<p>The default route <code>0.0.0.0/0</code> has no prefix bits to check, so it matches every destination.</p>' : ''}
+            `,
+            icon: '🔢'
+        });
+
+        if (!winners.length) {
+            steps.push({
+                title: '🚫 No Matching Route',
+                content: `
+                    <p>${candidates.length === 1 ? 'The only route does not match' : `None of the ${candidates.length} routes match`}, so the router drops the packet and returns an ICMP "destination unreachable" message.</p>
+                    <p>A default route (<code>0.0.0.0/0</code>) would catch this traffic and send it towards a gateway of last resort.</p>
+                `,
+                icon: '🚫'
+            });
+            return steps;
+        }
+
+        const best = winners[0].route;
+        const samePrefix = matching.filter(({ route }) => route.prefix === best.prefix);
+
+        // Step 2: Longest prefix wins
+        steps.push({
+            title: '📏 Longest Prefix Wins',
+            content: `
+                <p>${matching.length === 1 ? 'Only one route matches' : `${matching.length} routes match`}. The most specific one (the longest prefix) describes the destination most precisely, so it wins regardless of the order of the table or the route source:</p>
+                <div class="formula-box">
+                    ${matching.slice().sort((a, b) => b.route.prefix - a.route.prefix).map(({ route }) =>
+                        `/${route.prefix} &nbsp; ${describe(route)}${route.prefix === best.prefix ? ' ← longest' : ''}`
+                    ).join('<br>')}
+                </div>
+            `,
+            icon: '📏'
+        });
+
+        // Step 3: Tie-breakers, only needed when several routes share the longest prefix
+        if (samePrefix.length > 1) {
+            steps.push({
+                title: '⚖️ Breaking the Tie',
+                content: `
+                    <p>${samePrefix.length} routes share the /${best.prefix} prefix, so the router compares them in order:</p>
+                    <ol>
+                        <li><strong>Administrative distance</strong> (how trusted the source is): lowest wins, e.g. connected 0, static 1, OSPF 110.</li>
+                        <li><strong>Metric</strong> (the cost reported by the routing protocol): lowest wins.</li>
+                    </ol>
+                    <div class="formula-box">
+                        ${samePrefix.map(({ route }) => `${describe(route)} via ${route.nextHop || 'connected'} &nbsp; AD ${route.ad}, metric ${route.metric}`).join('<br>')}
+                    </div>
+                    ${winners.length > 1 ? `<p>${winners.length} routes tie on distance and metric as well, so the router installs them all and load-balances across them (equal-cost multipath).</p>` : ''}
+                `,
+                icon: '⚖️'
+            });
+        }
+
+        // Step 4: Forwarding decision
+        steps.push({
+            title: '🚀 Forwarding Decision',
+            content: `
+                <p>${best.nextHop
+                    ? `The packet is forwarded to next hop <strong>${winners.map(({ route }) => route.nextHop || 'connected').join(', ')}</strong>${best.iface ? ` out of ${escapeHTML(best.iface)}` : ''}.`
+                    : `<code>${describe(best)}</code> is directly connected, so the router ARPs for <strong>${escapeHTML(destination)}</strong> itself${best.iface ? ` on ${escapeHTML(best.iface)}` : ''} and delivers the packet.`}</p>
+            `,
+            icon: '🚀'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Generates step-by-step explanation for a multicast group's scope and MAC mapping
+     * @param {Object} result - Result of SubnetEngine.analyzeMulticast
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateMulticastExplanation(result) {
+        const steps = [];
+        const { address, scope, bits, aliases } = result;
+        const octets = address.split('.');
+        const macBits = result.macBinary.replace(/:/g, '');
+        const controlAliases = aliases.filter(alias => alias !== address && /^224\.0\.[01]\./.test(alias));
+
+        // Step 1: Scope
+        steps.push({
+            title: '📡 Identify the Scope',
+            content: `
+                <p><code>${address}</code> starts with the bits <code>1110</code>, so it is a Class D multicast group. Its most specific block is <code>${scope.network}</code>: <strong>${scope.name}</strong> (${scope.rfc}).</p>
+                <p>${scope.description}</p>
+                ${result.glopAS !== null ? `
+                    <div class="formula-box">
+                        AS number = ${octets[1]} × 256 + ${octets[2]} = <strong>${result.glopAS}</strong><br>
+                        GLOP block for AS ${result.glopAS}: <strong>233.${octets[1]}.${octets[2]}.0/24</strong>
+                    </div>
+                ` : ''}
+            `,
+            icon: '📡'
+        });
+
+        // Step 2: Build the MAC
+        steps.push({
+            title: '🔌 Map the Group to an Ethernet MAC',
+            content: `
+                <p>IPv4 multicast frames go to a MAC address built from the fixed 25-bit prefix <code>01:00:5e</code> + <code>0</code> and the <strong>low 23 bits</strong> of the group address:</p>
+                <div class="formula-box">
+                    Group: &nbsp;${bits.fixed} <span class="bit-dropped">${bits.dropped}</span> <span class="bit-mapped">${bits.mapped}</span><br>
+                    MAC: &nbsp;&nbsp;&nbsp;${macBits.slice(0, 25)} <span class="bit-mapped">${macBits.slice(25)}</span><br>
+                    = <strong>${result.mac}</strong>
+                </div>
+                <p>The first 4 bits (<code>1110</code>) are the same for every group, and the next 5 bits (struck through) have no room in the MAC, so they are dropped.</p>
+            `,
+            icon: '🔌'
+        });
+
+        // Step 3: The 32:1 overlap
+        steps.push({
+            title: '🔁 The 32:1 Overlap',
+            content: `
+                <p>5 dropped bits can take 2<sup>5</sup> = <strong>32</strong> values, so 32 different groups share <code>${result.mac}</code>:</p>
+                <div class="formula-box">
+                    ${aliases.slice(0, 4).join(', ')}, … ${aliases[aliases.length - 1]}
+                </div>
+                <p>A host that joins one of them also receives frames for the other 31; its network card accepts them and the IP layer discards them. Switches with IGMP snooping also forward by MAC, so the groups share one forwarding entry.</p>
+                ${controlAliases.length ? `<p><strong>⚠️ Avoid this group:</strong> it shares its MAC with ${controlAliases.map(alias => `<code>${alias}</code>`).join(', ')}. Switches flood the 224.0.0.x / 224.0.1.x control groups to every port, so this group would be flooded too.</p>` : ''}
+            `,
+            icon: '🔁'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Generates step-by-step explanation for locating an address in a split
+     * @param {Object} result - Result of SubnetEngine.locateAddress
+     * @param {Object} summary - Calculation summary the address was located in
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateLocateExplanation(result, summary) {
+        const steps = [];
+        const { subnet, address, hostOffset, blockSize } = result;
+        const isMixed = summary.mode === 'vlsm' || summary.mode === 'merged';
+        const isIPv6 = summary.version === 6;
+        const hostBits = summary.addressBits - subnet.prefix;
+        // Without subnet zero the first block is skipped, so it is not counted as a subnet
+        const skipsSubnetZero = !isMixed && summary.excludedSubnets.length > 0;
+        const blocksBefore = BigInt(result.subnetNumber) - (skipsSubnetZero ? 0n : 1n);
+
+        // Step 1: Block size
+        steps.push({
+            title: '📏 Find the Block Size',
+            content: isMixed ? `
+                <p>${summary.mode === 'vlsm' ? 'VLSM subnets' : 'Subnets in a merged plan'} differ in size, so first find the allocated subnet whose range contains <code>${address}</code>: subnet #${result.subnetNumber}, <code>${subnet.networkAddress}/${subnet.prefix}</code>.</p>
+                <div class="formula-box">
+                    Block Size = 2<sup>${hostBits}</sup> = ${blockSize.toLocaleString()} addresses
+                </div>
+            ` : `
+                <p>Every <code>/${subnet.prefix}</code> subnet has ${hostBits} host bit${hostBits !== 1 ? 's' : ''}, so subnets start every 2<sup>${hostBits}</sup> addresses from <code>${summary.baseNetwork}</code>.</p>
+                <div class="formula-box">
+                    Block Size = 2<sup>${hostBits}</sup> = ${blockSize.toLocaleString()} addresses
+                </div>
+            `,
+            icon: '📏'
+        });
+
+        // Step 2: Whole blocks before the address (equal splits only)
+        if (!isMixed) {
+            let shortcut = '';
+            if (!isIPv6 && subnet.prefix % 8 !== 0) {
+                const octetIndex = Math.floor(subnet.prefix / 8);
+                const octetBlock = Math.pow(2, 8 - subnet.prefix % 8);
+                const octet = parseInt(address.split('.')[octetIndex], 10);
+                shortcut = `
+                    <p><strong>Shortcut:</strong> the /${subnet.prefix} boundary falls in octet ${octetIndex + 1}, where the mask is ${256 - octetBlock}. The block size there is 256 - ${256 - octetBlock} = ${octetBlock}, and ⌊${octet} ÷ ${octetBlock}⌋ × ${octetBlock} = ${Math.floor(octet / octetBlock) * octetBlock}, which gives the same network <code>${subnet.networkAddress}</code>.</p>
+                `;
+            }
+
+            steps.push({
+                title: '🧮 Count Whole Blocks',
+                content: `
+                    <p>Measure how far the address is from the start of the base network, then count how many whole blocks fit before it.</p>
+                    <div class="formula-box">
+                        Offset = ${address} - ${summary.baseNetwork} = ${result.offset.toLocaleString()}<br>
+                        Blocks Before = ⌊${result.offset.toLocaleString()} ÷ ${blockSize.toLocaleString()}⌋ = ${blocksBefore.toLocaleString()}<br>
+                        ${skipsSubnetZero
+                            ? `Subnet Number = <strong>#${result.subnetNumber.toLocaleString()}</strong> (subnet zero is not counted)<br>`
+                            : `Subnet Number = ${blocksBefore.toLocaleString()} + 1 = <strong>#${result.subnetNumber.toLocaleString()}</strong><br>`}
+                        Network = ${summary.baseNetwork} + ${blocksBefore.toLocaleString()} × ${blockSize.toLocaleString()} = <strong>${subnet.networkAddress}</strong>
+                    </div>
+                    <p>This is one division, so it takes the same time whether the split has 4 subnets or 4 million; none of the other subnets need to be generated.</p>
+                    ${shortcut}
+                `,
+                icon: '🧮'
+            });
+        }
+
+        // Step 3: Position inside the subnet
+        let role;
+        if (isIPv6) {
+            role = hostOffset === 0n
+                ? 'It is the all-zeros interface ID, the <strong>Subnet-Router anycast</strong> address. IPv6 has no broadcast, so every other address is an ordinary interface address.'
+                : 'IPv6 has no broadcast, so this is an ordinary <strong>interface address</strong>.';
+        } else if (subnet.prefix === 31) {
+            role = 'A /31 is an RFC 3021 point-to-point link: both addresses are <strong>usable hosts</strong>, with no network or broadcast address.';
+        } else if (subnet.prefix === 32) {
+            role = 'A /32 is a host route: its single address is the <strong>host</strong>.';
+        } else if (result.role === 'network') {
+            role = 'Offset 0 is the <strong>network address</strong>, which identifies the subnet and cannot be assigned to a host.';
+        } else if (result.role === 'broadcast') {
+            role = `Offset ${blockSize - 1} (the last in the block) is the <strong>broadcast address</strong>, which cannot be assigned to a host.`;
+        } else {
+            role = `Offsets 1 to ${blockSize - 2} are usable, so this is <strong>usable host ${hostOffset} of ${blockSize - 2}</strong>.`;
+        }
+
+        steps.push({
+            title: '🎯 Place the Address in Its Subnet',
+            content: `
+                <div class="formula-box">
+                    Position = ${isMixed ? `${address} - ${subnet.networkAddress}` : `${result.offset.toLocaleString()} mod ${blockSize.toLocaleString()}`} = <strong>${hostOffset.toLocaleString()}</strong>
+                </div>
+                <p>${role}</p>
+            `,
+            icon: '🎯'
+        });
+
+        return steps;
+    }
+
+    /**
+     * Builds the block-size step shared by the subnet and address index explanations
+     * @param {Object} result - Result of SubnetEngine.getNthSubnet or getAddressIndex
+     * @returns {Object} - Explanation step object
+     */
+    function buildIndexBlockStep(result) {
+        const { subnet, blockSize } = result;
+        const hostBits = (subnet.version === 6 ? 128 : 32) - subnet.prefix;
+
+        return {
+            title: '📏 Find the Block Size',
+            content: `
+                <p>Splitting <code>${result.baseNetwork}/${result.basePrefix}</code> into <code>/${subnet.prefix}</code> subnets leaves ${hostBits} host bit${hostBits !== 1 ? 's' : ''}, so a new subnet starts every 2<sup>${hostBits}</sup> addresses.</p>
+                <div class="formula-box">
+                    Block Size = 2<sup>${hostBits}</sup> = ${blockSize.toLocaleString()} addresses
+                </div>
+                <p>Subnets are counted ${result.zeroBased ? '<strong>from 0</strong>, so subnet 0 is the first one' : '<strong>from 1</strong>, so subnet 1 is the first one'}.</p>
+            `,
+            icon: '📏'
+        };
+    }
+
+    /**
+     * Writes an IPv4 offset as a dotted address, which adds to the base octet by octet
+     * @param {number|bigint} offset - Offset from the base network
+     * @param {number} version - IP version
+     * @returns {string} - HTML note, empty for IPv6
+     */
+    function describeDottedOffset(offset, version) {
+        if (version === 6) return '';
+        return ` (<code>${SubnetEngine.intToIP(Number(offset))}</code> as an address)`;
+    }
+
+    /**
+     * Generates step-by-step explanation for finding the Nth subnet and host of a split
+     * @param {Object} result - Result of SubnetEngine.getNthSubnet
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateNthSubnetExplanation(result) {
+        const steps = [buildIndexBlockStep(result)];
+        const { subnet, host, blockSize, zeroBased } = result;
+        const index = BigInt(result.subnetIndex);
+        const blocksBefore = BigInt(result.blocksBefore);
+        // Classful splits without subnet zero have one more block before every subnet
+        const skipsSubnetZero = blocksBefore > index - (zeroBased ? 0n : 1n);
+
+        // Step 2: Multiply to the subnet
+        steps.push({
+            title: '✖️ Multiply by the Block Size',
+            content: `
+                <p>Counting from ${zeroBased ? 0 : 1}, subnet <em>N</em> has ${zeroBased ? '<em>N</em>' : '<em>N</em> - 1'} whole blocks before it${skipsSubnetZero ? ', plus subnet zero, which classful rules leave out' : ''}. Multiplying them by the block size jumps straight to the subnet.</p>
+                <div class="formula-box">
+                    Blocks Before = ${zeroBased ? index.toLocaleString() : `${index.toLocaleString()} - 1`}${skipsSubnetZero ? ' + 1' : ''} = ${blocksBefore.toLocaleString()}<br>
+                    Offset = ${blocksBefore.toLocaleString()} × ${blockSize.toLocaleString()} = ${result.subnetOffset.toLocaleString()}${describeDottedOffset(result.subnetOffset, subnet.version)}<br>
+                    Network = ${result.baseNetwork} + ${result.subnetOffset.toLocaleString()} = <strong>${subnet.networkAddress}/${subnet.prefix}</strong>
+                </div>
+                <p>This is one multiplication, so it takes the same time for subnet 2 or subnet 2 million; none of the subnets before it are generated.</p>
+            `,
+            icon: '✖️'
+        });
+
+        // Step 3: Count to the host
+        if (host) {
+            const hostIndex = BigInt(host.index);
+            const firstUsable = BigInt(host.firstUsableOffset);
+            let reason;
+            if (subnet.version === 6) {
+                reason = 'IPv6 has no network or broadcast address, so the first address of the subnet is host offset 0.';
+            } else if (firstUsable === 0n) {
+                reason = `A /${subnet.prefix} has no network or broadcast address, so every address is usable.`;
+            } else {
+                reason = `Offset 0 is the network address and offset ${(blockSize - 1).toLocaleString()} the broadcast, so usable hosts run from offset 1 to ${(blockSize - 2).toLocaleString()}.`;
+            }
+
+            steps.push({
+                title: '🎯 Count to the Host',
+                content: `
+                    <p>${reason}</p>
+                    <div class="formula-box">
+                        Host Offset = ${firstUsable} + ${zeroBased ? hostIndex.toLocaleString() : `(${hostIndex.toLocaleString()} - 1)`} = ${host.offset.toLocaleString()}<br>
+                        Host Address = ${subnet.networkAddress} + ${host.offset.toLocaleString()} = <strong>${host.address}</strong>
+                    </div>
+                    <p>That is usable host ${(hostIndex + (zeroBased ? 1n : 0n)).toLocaleString()} of ${host.usableHosts.toLocaleString()} in the subnet.</p>
+                `,
+                icon: '🎯'
+            });
+        }
+
+        return steps;
+    }
+
+    /**
+     * Generates step-by-step explanation for working back from an address to its indexes
+     * @param {Object} result - Result of SubnetEngine.getAddressIndex
+     * @returns {Array} - Array of explanation step objects
+     */
+    function generateAddressIndexExplanation(result) {
+        const steps = [buildIndexBlockStep(result)];
+        const { subnet, blockSize, zeroBased } = result;
+        const blocksBefore = BigInt(result.blocksBefore);
+        const index = BigInt(result.subnetIndex);
+        const skipsSubnetZero = blocksBefore > index - (zeroBased ? 0n : 1n);
+
+        // Step 2: Divide by the block size
+        steps.push({
+            title: '➗ Divide by the Block Size',
+            content: `
+                <p>Division undoes the multiplication: the whole blocks before the address give the subnet, and the remainder is its place inside it.</p>
+                <div class="formula-box">
+                    Offset = ${result.address} - ${result.baseNetwork} = ${result.offset.toLocaleString()}<br>
+                    Blocks Before = ⌊${result.offset.toLocaleString()} ÷ ${blockSize.toLocaleString()}⌋ = ${blocksBefore.toLocaleString()}<br>
+                    Remainder = ${result.offset.toLocaleString()} mod ${blockSize.toLocaleString()} = ${result.hostOffset.toLocaleString()}<br>
+                    Subnet Index = ${skipsSubnetZero || !zeroBased
+                        ? `${blocksBefore.toLocaleString()}${skipsSubnetZero ? ' - 1 (subnet zero)' : ''}${zeroBased ? '' : ' + 1'} = `
+                        : 'Blocks Before = '}<strong>${index.toLocaleString()}</strong>
+                </div>
+                <p>The address is in <code>${subnet.networkAddress}/${subnet.prefix}</code>.</p>
+            `,
+            icon: '➗'
+        });
+
+        // Step 3: Host index from the remainder
+        const firstUsable = BigInt(result.firstUsableOffset);
+        steps.push({
+            title: '🎯 Read the Host Index',
+            content: result.hostIndex === null ? `
+                <p>Remainder ${result.hostOffset.toLocaleString()} is the <strong>${result.role} address</strong> of the subnet, so it has no host index.</p>
+            ` : `
+                <p>Usable hosts start at offset ${firstUsable}, so subtract that from the remainder${zeroBased ? '' : ' and count from 1'}.</p>
+                <div class="formula-box">
+                    Host Index = ${result.hostOffset.toLocaleString()} - ${firstUsable}${zeroBased ? '' : ' + 1'} = <strong>${result.hostIndex.toLocaleString()}</strong>
+                </div>
+            `,
+            icon: '🎯'
+        });
+
+        return steps;
+    }
+
     /**
      * Generates explanation for binary conversion
      * @param {Object} binary - Binary breakdown from SubnetEngine
@@ -243,7 +1266,9 @@ const Explanations = (function() {
                     /27 = 255.255.255.224 → 30 hosts<br>
                     /28 = 255.255.255.240 → 14 hosts<br>
                     /29 = 255.255.255.248 → 6 hosts<br>
-                    /30 = 255.255.255.252 → 2 hosts
+                    /30 = 255.255.255.252 → 2 hosts<br>
+                    /31 = 255.255.255.254 → 2 hosts (RFC 3021 point-to-point)<br>
+                    /32 = 255.255.255.255 → 1 host (host route)
                 </div>
 
                 <p><strong>Private IP Ranges:</strong></p>
@@ -259,6 +1284,7 @@ const Explanations = (function() {
                     <li>Hosts per Subnet = 2<sup>host bits</sup> - 2</li>
                     <li>Network Address = IP AND Subnet Mask</li>
                     <li>Broadcast Address = Network OR (NOT Subnet Mask)</li>
+                    <li>Wildcard Mask = 255.255.255.255 - Subnet Mask</li>
                 </ul>
             </div>
         `;
@@ -287,7 +1313,7 @@ const Explanations = (function() {
     function generateFullExplanation(summary, binary) {
         const steps = generateExplanation(summary);
         const stepsHTML = renderSteps(steps);
-        const quickRef = generateQuickReference();
+        const quickRef = summary.version === 6 ? '' : generateQuickReference();
         
         return stepsHTML + quickRef;
     }
@@ -295,10 +1321,19 @@ const Explanations = (function() {
     // Public API
     return {
         generateExplanation,
+        generateSummarizationExplanation,
+        generateMergeExplanation,
+        generateLocateExplanation,
+        generateNthSubnetExplanation,
+        generateAddressIndexExplanation,
+        generateHostPairExplanation,
+        generateRouteLookupExplanation,
+        generateMulticastExplanation,
         generateBinaryExplanation,
         generateQuickReference,
         renderSteps,
-        generateFullExplanation
+        generateFullExplanation,
+        escapeHTML
     };
 })();
 
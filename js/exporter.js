@@ -10,13 +10,23 @@
 const Exporter = (function() {
     'use strict';
 
+    // Most subnet rows written to a CSV (large splits are generated row by row)
+    const MAX_EXPORT_ROWS = 65536;
+
+    // Vertical space (points) for lines on the PDF's host assignment page
+    const PDF_ASSIGNMENT_PAGE_HEIGHT = 680;
+
     /**
      * Exports subnet data to CSV format
      * @param {Object} summary - Calculation summary
      * @param {string} filename - Output filename
+     * @param {Map} assignments - Subnet CIDR to host assignments (optional, from IPAMStore)
      */
-    function exportToCSV(summary, filename = 'subnet-results.csv') {
+    function exportToCSV(summary, filename = 'subnet-results.csv', assignments = new Map()) {
         const { subnets, baseNetwork, basePrefix, newPrefix, effectivePrefix, subnetMask } = summary;
+        const isVLSM = summary.mode === 'vlsm';
+        const isMerged = summary.mode === 'merged';
+        const hasNames = subnets.some(subnet => subnet.name);
 
         // Build CSV content
         let csv = 'Subnet Tutor v2.0 - Export Results\n';
@@ -24,42 +34,415 @@ const Exporter = (function() {
         csv += '\n';
         csv += 'Configuration Summary\n';
         csv += `Base Network,${baseNetwork}/${basePrefix}\n`;
-        csv += `Subnet Mask,${subnetMask}\n`;
-        csv += `Effective Prefix,/${effectivePrefix}\n`;
-        csv += `Total Subnets,${subnets.length}\n`;
-        csv += `Hosts per Subnet,${subnets[0].usableHosts}\n`;
+        if (isVLSM) {
+            csv += 'Mode,VLSM\n';
+            csv += `Allocated Addresses,${summary.allocatedAddresses} of ${summary.baseAddresses}\n`;
+        } else if (isMerged) {
+            csv += `Mode,${summary.source.mode === 'vlsm' ? 'VLSM' : 'Equal split'} with merged subnets\n`;
+        } else {
+            csv += `${summary.version === 6 ? 'Prefix Mask' : 'Subnet Mask'},${subnetMask}\n`;
+            if (summary.wildcardMask) {
+                csv += `Wildcard Mask,${summary.wildcardMask}\n`;
+            }
+            csv += `Effective Prefix,/${effectivePrefix}\n`;
+            if (summary.requirement) {
+                csv += `Requirement,At least ${summary.requirement.count} ${summary.requirement.type === 'subnets' ? 'subnets' : 'hosts per subnet'}\n`;
+            }
+            if (summary.classful) {
+                csv += `Rules,Classful${summary.excludedSubnets.length ? ` (excludes ${summary.excludedSubnets.join(' and ')})` : ''}\n`;
+            }
+        }
+        csv += `Total Subnets,${summary.totalSubnets}\n`;
+        if (!isVLSM && !isMerged) {
+            csv += `Hosts per Subnet,${subnets[0].usableHosts}\n`;
+        }
+        csv += `Address Type,${csvField(describeAddressType(summary.classification))}\n`;
+        csv += `Forwardable,${summary.classification.forwardable ? 'Yes' : 'No'}\n`;
+        csv += `Globally Reachable,${summary.classification.globallyReachable ? 'Yes' : 'No'}\n`;
         csv += '\n';
+
+        // Special-purpose blocks that share a subnet with other space
+        if (summary.specialCrossings.length > 0) {
+            csv += 'Special-Purpose Block Warnings\n';
+            csv += 'Block,Name,RFC,Subnet\n';
+            summary.specialCrossings.forEach(crossing => {
+                csv += `${crossing.block.network},${csvField(crossing.block.name)},${crossing.block.rfc},${crossing.subnet}\n`;
+            });
+            csv += '\n';
+        }
         
-        // Headers
-        csv += 'Subnet #,Network Address,Subnet Mask,Broadcast Address,First Usable,Last Usable,Usable Hosts,Total Addresses\n';
+        // Subnets merged back into larger blocks
+        if (isMerged) {
+            csv += 'Merged Blocks\n';
+            csv += 'Merged Block,Merged From\n';
+            summary.merges.forEach(merge => {
+                csv += `${merge.network},${csvField(merge.from.join(' + '))}\n`;
+            });
+            csv += '\n';
+        }
         
-        // Data rows
-        subnets.forEach(subnet => {
+        // Headers
+        csv += 'Subnet #,' + (hasNames ? 'Name,Required Hosts,' : '');
+        csv += summary.version === 6
+            ? 'Network Address,Prefix Mask,Last Address,First Usable,Last Usable,Usable Addresses,Total Addresses\n'
+            : 'Network Address,Subnet Mask,Broadcast Address,First Usable,Last Usable,Usable Hosts,Total Addresses\n';
+        
+        // Data rows (equal splits are generated lazily instead of read from the summary's first page)
+        const rows = isVLSM || isMerged
+            ? subnets
+            : SubnetEngine.iterateSubnets(baseNetwork, basePrefix, newPrefix, 1, { subnetZero: summary.subnetZero });
+        let exportedRows = 0;
+
+        for (const subnet of rows) {
+            if (exportedRows === MAX_EXPORT_ROWS) break;
+            exportedRows++;
+
             csv += `${subnet.subnetNumber},`;
+            if (hasNames) {
+                csv += `${csvField(subnet.name)},`;
+                csv += `${subnet.requiredHosts},`;
+            }
             csv += `${subnet.networkAddress},`;
             csv += `${subnet.subnetMask},`;
-            csv += `${subnet.broadcastAddress},`;
+            csv += `${subnet.hasBroadcast === false ? 'None' : subnet.broadcastAddress},`;
             csv += `${subnet.firstUsable},`;
             csv += `${subnet.lastUsable},`;
             csv += `${subnet.usableHosts},`;
             csv += `${subnet.totalAddresses}\n`;
-        });
+        }
+
+        // Unallocated space
+        if (summary.freeBlocks) {
+            csv += '\n';
+            csv += 'Unallocated Blocks\n';
+            csv += 'Network Address,Prefix,Total Addresses\n';
+            summary.freeBlocks.forEach(block => {
+                csv += `${block.networkAddress},/${block.prefix},${block.totalAddresses}\n`;
+            });
+        }
+
+        if (BigInt(exportedRows) < BigInt(summary.totalSubnets)) {
+            csv += '\n';
+            csv += `Note,Listed the first ${exportedRows} of ${summary.totalSubnets} subnets\n`;
+        }
+
+        // Recorded host assignments
+        const assigned = collectAssignments(summary, assignments);
+        if (assigned.length > 0) {
+            csv += '\n';
+            csv += 'Subnet Utilization\n';
+            csv += 'Subnet,Assigned,Usable Hosts,Utilization,Static,DHCP\n';
+            assigned.forEach(({ subnet, utilization }) => {
+                csv += `${subnet},${utilization.assigned},${utilization.usable},${utilization.percent}%,${utilization.static},${utilization.dhcp}\n`;
+            });
+
+            csv += '\n';
+            csv += 'Host Assignments\n';
+            csv += 'Subnet,Address,Hostname,MAC Address,Owner,Type,Notes\n';
+            assigned.forEach(({ subnet, assignments: entries }) => {
+                entries.forEach(entry => {
+                    csv += `${subnet},${entry.address},${csvField(entry.hostname)},${entry.mac},${csvField(entry.owner)},`;
+                    csv += `${entry.type === 'dhcp' ? 'DHCP' : 'Static'},${csvField(entry.notes)}\n`;
+                });
+            });
+        }
 
         // Download
         downloadFile(csv, filename, 'text/csv');
     }
 
+    /**
+     * Exports a range <-> CIDR conversion to CSV format
+     * @param {Object} conversion - { direction, items } from the range converter
+     * @param {string} filename - Output filename
+     */
+    function exportRangeConversionToCSV(conversion, filename = 'range-conversion.csv') {
+        let csv = 'Subnet Tutor v2.0 - Range Conversion\n';
+        csv += `Generated: ${new Date().toLocaleString()}\n`;
+        csv += '\n';
+
+        if (conversion.direction === 'range-to-cidr') {
+            csv += 'Source Start,Source End,Block #,CIDR Block,Subnet Mask,Network Address,Broadcast Address,Total Addresses\n';
+            conversion.items.forEach(item => {
+                item.blocks.forEach(block => {
+                    csv += `${item.startAddress},${item.endAddress},`;
+                    csv += `${block.subnetNumber},`;
+                    csv += `${block.networkAddress}/${block.prefix},`;
+                    csv += `${block.subnetMask},`;
+                    csv += `${block.networkAddress},`;
+                    csv += `${block.broadcastAddress},`;
+                    csv += `${block.totalAddresses}\n`;
+                });
+            });
+        } else {
+            csv += 'Range #,Start Address,End Address,Total Addresses,Minimal CIDR Blocks\n';
+            conversion.items.forEach(range => {
+                csv += `${range.rangeNumber},`;
+                csv += `${range.startAddress},`;
+                csv += `${range.endAddress},`;
+                csv += `${range.totalAddresses},`;
+                csv += `${range.blocks}\n`;
+            });
+        }
+
+        downloadFile(csv, filename, 'text/csv');
+    }
+
+    /**
+     * Exports a subnet conflict report to CSV format
+     * @param {Object} report - Result of SubnetEngine.checkSubnetConflicts
+     * @param {string} filename - Output filename
+     */
+    function exportConflictReportToCSV(report, filename = 'subnet-conflicts.csv') {
+        const { subnets, findings, counts } = report;
+
+        let csv = 'Subnet Tutor v2.0 - Subnet Conflict Report\n';
+        csv += `Generated: ${new Date().toLocaleString()}\n`;
+        csv += '\n';
+        csv += 'Summary\n';
+        csv += `Subnets Checked,${subnets.length}\n`;
+        csv += `Duplicates,${counts.duplicate}\n`;
+        csv += `Containments,${counts.contains}\n`;
+        csv += `Adjacent Pairs,${counts.adjacent}\n`;
+        csv += `Aggregatable Pairs,${counts.aggregatable}\n`;
+        csv += '\n';
+
+        csv += 'Findings\n';
+        csv += 'Type,Severity,Subnet A,Label A,Subnet B,Label B,Aggregate\n';
+        findings.forEach(finding => {
+            csv += `${finding.type},`;
+            csv += `${finding.severity},`;
+            csv += `${finding.a.networkAddress}/${finding.a.prefix},`;
+            csv += `${csvField(finding.a.label)},`;
+            csv += `${finding.b.networkAddress}/${finding.b.prefix},`;
+            csv += `${csvField(finding.b.label)},`;
+            csv += `${finding.aggregate || ''}\n`;
+        });
+        csv += '\n';
+
+        csv += 'Subnets\n';
+        csv += '#,Subnet,Label,Status,Network Address,Broadcast Address,Total Addresses\n';
+        subnets.forEach(subnet => {
+            csv += `${subnet.subnetNumber},`;
+            csv += `${subnet.networkAddress}/${subnet.prefix},`;
+            csv += `${csvField(subnet.label)},`;
+            csv += `${subnet.status},`;
+            csv += `${subnet.networkAddress},`;
+            csv += `${subnet.broadcastAddress},`;
+            csv += `${subnet.totalAddresses}\n`;
+        });
+
+        downloadFile(csv, filename, 'text/csv');
+    }
+
+    /**
+     * Exports a hierarchical address plan to CSV format
+     * @param {Object} analysis - Result of SubnetEngine.analyzePlan
+     * @param {string} filename - Output filename
+     */
+    function exportPlanToCSV(analysis, filename = 'address-plan.csv') {
+        const { blocks, issues } = analysis;
+
+        let csv = 'Subnet Tutor v2.0 - Address Plan\n';
+        csv += `Generated: ${new Date().toLocaleString()}\n`;
+        csv += '\n';
+        csv += 'Summary\n';
+        csv += `Blocks,${blocks.length}\n`;
+        csv += `Levels,${analysis.levels}\n`;
+        csv += `Errors,${issues.filter(issue => issue.severity === 'error').length}\n`;
+        csv += `Warnings,${issues.filter(issue => issue.severity === 'warning').length}\n`;
+        csv += '\n';
+
+        csv += 'Blocks\n';
+        csv += 'Level,Path,Block,Name,VLAN,Description,Subnet Mask,Network Address,Broadcast Address,Total Addresses,Allocated to Children,Status\n';
+        blocks.forEach(({ node, path, depth, allocatedAddresses, status }) => {
+            csv += `${depth},`;
+            csv += `${path.length ? path.map(i => i + 1).join('.') : 'root'},`;
+            csv += `${node.networkAddress}/${node.prefix},`;
+            csv += `${csvField(node.name)},`;
+            csv += `${node.vlan === null ? '' : node.vlan},`;
+            csv += `${csvField(node.description)},`;
+            csv += `${node.subnetMask},`;
+            csv += `${node.networkAddress},`;
+            csv += `${SubnetEngine.getBroadcastAddress(node.networkAddress, node.prefix)},`;
+            csv += `${node.totalAddresses},`;
+            csv += `${node.children.length ? allocatedAddresses : ''},`;
+            csv += `${status}\n`;
+        });
+
+        if (issues.length) {
+            csv += '\n';
+            csv += 'Issues\n';
+            csv += 'Severity,Block,Message\n';
+            issues.forEach(issue => {
+                csv += `${issue.severity},`;
+                csv += `${csvField(issue.label)},`;
+                csv += `${csvField(issue.message)}\n`;
+            });
+        }
+
+        downloadFile(csv, filename, 'text/csv');
+    }
+
+    /**
+     * Exports a hierarchical address plan as JSON that can be imported again
+     * @param {Object} root - Root plan block
+     * @param {string} filename - Output filename
+     */
+    function exportPlanToJSON(root, filename = 'address-plan.json') {
+        downloadFile(SubnetEngine.serializePlan(root), filename, 'application/json');
+    }
+
+    /**
+     * Generates BIND zone file skeletons (SOA, NS and PTR placeholders) for IPv4 subnets
+     * @param {Array} subnets - IPv4 subnet objects
+     * @param {Object} options - { nameserver, hostmaster, domain } used in the SOA, NS and PTR targets
+     * @returns {string} - Every zone file, each introduced by a "; ===== db.<zone> =====" banner
+     */
+    function generateReverseZoneFiles(subnets, options = {}) {
+        const fqdn = name => (name.endsWith('.') ? name : `${name}.`);
+        const nameserver = fqdn(options.nameserver || 'ns1.example.com');
+        const hostmaster = fqdn((options.hostmaster || 'hostmaster.example.com').replace('@', '.'));
+        const domain = fqdn(options.domain || 'example.com');
+        const now = new Date();
+        const serial = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}01`;
+
+        const plans = subnets.map(subnet => ({ subnet, reverse: SubnetEngine.getReverseZones(subnet.networkAddress, subnet.prefix) }));
+        const pointers = plans.reduce((total, { reverse }) => total + reverse.zones.reduce((sum, zone) =>
+            sum + SubnetEngine.ipToInt(zone.lastHost) - SubnetEngine.ipToInt(zone.firstHost) + 1, 0), 0);
+
+        if (pointers > MAX_EXPORT_ROWS) {
+            throw new Error(
+                `The selected subnets have ${pointers.toLocaleString()} usable hosts; ` +
+                `zone skeletons are limited to ${MAX_EXPORT_ROWS.toLocaleString()} PTR records`
+            );
+        }
+
+        let text = '; Subnet Tutor v2.0 - Reverse DNS Zone Skeletons\n';
+        text += `; Generated: ${now.toLocaleString()}\n`;
+        text += '; Replace the placeholder host names before loading these zones.\n';
+
+        plans.forEach(({ subnet, reverse }) => {
+            const { delegation } = reverse;
+
+            reverse.zones.forEach(zone => {
+                text += '\n';
+                text += `; ===== ${zone.fileName} =====\n`;
+                text += `; Reverse zone for ${zone.network} (subnet ${subnet.networkAddress}/${subnet.prefix})\n`;
+                text += `$ORIGIN ${zone.name}.\n`;
+                text += '$TTL 86400\n';
+                text += `@\tIN\tSOA\t${nameserver} ${hostmaster} (\n`;
+                text += `\t\t${serial} ; serial (YYYYMMDDnn)\n`;
+                text += '\t\t3600       ; refresh\n';
+                text += '\t\t900        ; retry\n';
+                text += '\t\t1209600    ; expire\n';
+                text += '\t\t86400 )    ; negative caching TTL\n';
+                text += `\tIN\tNS\t${nameserver}\n`;
+                text += '\n';
+                text += '; PTR placeholders for the usable hosts\n';
+
+                const last = SubnetEngine.ipToInt(zone.lastHost);
+                for (let host = SubnetEngine.ipToInt(zone.firstHost); host <= last; host++) {
+                    const ip = SubnetEngine.intToIP(host);
+                    const owner = ip.split('.').slice(4 - zone.ownerOctets).reverse().join('.');
+                    text += `${owner}\tIN\tPTR\thost-${ip.replace(/\./g, '-')}.${domain}\n`;
+                }
+            });
+
+            // RFC 2317: the /24 zone delegates the child zone and points each address into it
+            if (delegation) {
+                text += '\n';
+                text += `; ----- Add to the parent zone ${delegation.parentZone} (RFC 2317 delegation) -----\n`;
+                text += `${delegation.childLabel}\tIN\tNS\t${nameserver}\n`;
+                delegation.records.forEach(record => {
+                    text += `${record.owner}\tIN\t${record.type}\t${record.target}\n`;
+                });
+            }
+        });
+
+        return text;
+    }
+
+    /**
+     * Exports BIND reverse zone skeletons for IPv4 subnets
+     * @param {Array} subnets - IPv4 subnet objects
+     * @param {Object} options - See generateReverseZoneFiles
+     * @param {string} filename - Output filename
+     */
+    function exportReverseZones(subnets, options = {}, filename = 'reverse-zones.txt') {
+        downloadFile(generateReverseZoneFiles(subnets, options), filename, 'text/plain');
+    }
+
+    /**
+     * Formats a special-purpose classification for reports
+     * @param {Object} classification - Result of SubnetEngine.classifyAddress
+     * @returns {string} - e.g. "Private-Use (RFC 1918)"
+     */
+    function describeAddressType(classification) {
+        return classification.rfc ? `${classification.name} (${classification.rfc})` : classification.name;
+    }
+
+    /**
+     * Picks out the stored host assignments for subnets that are part of this plan
+     * @param {Object} summary - Calculation summary
+     * @param {Map} assignments - Subnet CIDR to host assignments
+     * @returns {Array} - { subnet, assignments, utilization } per subnet, in address order
+     */
+    function collectAssignments(summary, assignments) {
+        if (summary.version === 6 || assignments.size === 0) {
+            return [];
+        }
+
+        // Listed plans are checked directly; equal splits by locating the subnet's network address
+        const inPlan = cidr => {
+            if (summary.mode === 'vlsm' || summary.mode === 'merged') {
+                return summary.subnets.some(subnet => `${subnet.networkAddress}/${subnet.prefix}` === cidr);
+            }
+            const [address, prefix] = cidr.split('/');
+            if (Number(prefix) !== summary.newPrefix) {
+                return false;
+            }
+            try {
+                const found = SubnetEngine.locateAddress(summary.baseNetwork, summary.basePrefix, summary.newPrefix, address,
+                    { subnetZero: summary.subnetZero });
+                return found.role === 'network';
+            } catch (error) {
+                return false;
+            }
+        };
+
+        return [...assignments]
+            .filter(([cidr, entries]) => entries.length > 0 && inPlan(cidr))
+            .sort(([a], [b]) => SubnetEngine.ipToInt(a.split('/')[0]) - SubnetEngine.ipToInt(b.split('/')[0]))
+            .map(([cidr, entries]) => ({
+                subnet: cidr,
+                assignments: entries,
+                utilization: SubnetEngine.getAssignmentUtilization(cidr, entries)
+            }));
+    }
+
+    /**
+     * Quotes a CSV field when it contains separators or quotes
+     * @param {string} value - Field value
+     * @returns {string} - CSV-safe field
+     */
+    function csvField(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
     /**
      * Exports subnet data to PDF format
      * Pure JavaScript implementation without external libraries
      * @param {Object} summary - Calculation summary
      * @param {string} filename - Output filename
+     * @param {Map} assignments - Subnet CIDR to host assignments (optional, from IPAMStore)
      */
-    function exportToPDF(summary, filename = 'subnet-results.pdf') {
+    function exportToPDF(summary, filename = 'subnet-results.pdf', assignments = new Map()) {
         const { subnets, baseNetwork, basePrefix, newPrefix, effectivePrefix, subnetMask, networkClass } = summary;
 
         // Create PDF content using simplified PDF structure
-        const pdf = createSimplePDF(summary);
+        const pdf = createSimplePDF(summary, collectAssignments(summary, assignments));
         
         // Download
         downloadFile(pdf, filename, 'application/pdf');
@@ -69,9 +452,10 @@ const Exporter = (function() {
      * Creates a simple PDF file structure
      * This is a minimal PDF implementation that works offline
      * @param {Object} summary - Calculation summary
+     * @param {Array} assigned - Host assignments per subnet (from collectAssignments), given their own page
      * @returns {string} - PDF content
      */
-    function createSimplePDF(summary) {
+    function createSimplePDF(summary, assigned = []) {
         const { subnets, baseNetwork, basePrefix, effectivePrefix, subnetMask, networkClass } = summary;
         const timestamp = new Date().toLocaleString();
 
@@ -98,13 +482,20 @@ const Exporter = (function() {
         content += '0 -18 Td\n';
         content += `(Base Network: ${baseNetwork}/${basePrefix}) Tj\n`;
         content += '0 -15 Td\n';
-        content += `(Subnet Mask: ${subnetMask}) Tj\n`;
+        content += summary.mode === 'vlsm' ? '(Subnet Mask: Variable \\(VLSM\\)) Tj\n'
+            : summary.mode === 'merged' ? '(Subnet Mask: Variable \\(merged subnets\\)) Tj\n'
+            : `(Subnet Mask: ${subnetMask}) Tj\n`;
         content += '0 -15 Td\n';
         content += `(Network Class: ${networkClass}) Tj\n`;
         content += '0 -15 Td\n';
-        content += `(Total Subnets: ${subnets.length}) Tj\n`;
+        content += `(Address Type: ${pdfText(describeAddressType(summary.classification))}) Tj\n`;
         content += '0 -15 Td\n';
-        content += `(Hosts per Subnet: ${subnets[0].usableHosts}) Tj\n`;
+        content += `(Total Subnets: ${summary.totalSubnets}) Tj\n`;
+        content += '0 -15 Td\n';
+        content += summary.freeBlocks
+            ? `(Allocated: ${summary.allocatedAddresses} of ${summary.baseAddresses} addresses) Tj\n`
+            : summary.mode === 'merged' ? '(Hosts per Subnet: Varies) Tj\n'
+            : `(Hosts per Subnet: ${subnets[0].usableHosts}) Tj\n`;
         
         content += '0 -30 Td\n';
         content += '/F1 12 Tf\n';
@@ -120,66 +511,56 @@ const Exporter = (function() {
             if (yPos < -650) return; // Page boundary check
             
             content += `0 ${yPos} Td\n`;
-            content += `(Subnet ${subnet.subnetNumber}: ${subnet.networkAddress} - ${subnet.broadcastAddress}) Tj\n`;
+            const label = subnet.name ? ` [${pdfText(subnet.name)}]` : '';
+            content += `(Subnet ${subnet.subnetNumber}${label}: ${subnet.networkAddress}/${subnet.prefix} - ${subnet.broadcastAddress}) Tj\n`;
             yPos -= 12;
             content += `0 ${-12} Td\n`;
             content += `(  Usable: ${subnet.firstUsable} to ${subnet.lastUsable} \\(${subnet.usableHosts} hosts\\)) Tj\n`;
         });
         
-        if (subnets.length > 20) {
+        if (BigInt(summary.totalSubnets) > 20n) {
             yPos -= 15;
             content += `0 ${yPos} Td\n`;
-            content += `(... and ${subnets.length - 20} more subnets) Tj\n`;
+            content += `(... and ${BigInt(summary.totalSubnets) - 20n} more subnets) Tj\n`;
         }
         
         content += 'ET\n'; // End text
 
-        // Object 1: Catalog
-        const obj1 = '1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n';
-        
-        // Object 2: Pages
-        const obj2 = '2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n';
-        
-        // Object 3: Page
-        const obj3 = '3 0 obj\n<< /Type /Page /Parent 2 0 R /Resources 4 0 R /MediaBox [0 0 612 792] /Contents 5 0 R >>\nendobj\n';
-        
-        // Object 4: Resources
-        const obj4 = '4 0 obj\n<< /Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Courier >> >> >>\nendobj\n';
-        
-        // Object 5: Content stream
-        const contentLength = content.length;
-        const obj5 = `5 0 obj\n<< /Length ${contentLength} >>\nstream\n${content}endstream\nendobj\n`;
+        // Host assignments go on a second page
+        const pages = assigned.length > 0 ? [content, createAssignmentPage(assigned)] : [content];
+
+        // Objects 1-3: Catalog, Pages and Resources
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+            '<< /Font << /F1 << /Type /Font /Subtype /Type1 /BaseFont /Courier >> >> >>'
+        ];
+
+        // Then a Page and its Content stream for each page
+        pages.forEach((page, i) => {
+            objects.push(`<< /Type /Page /Parent 2 0 R /Resources 3 0 R /MediaBox [0 0 612 792] /Contents ${5 + i * 2} 0 R >>`);
+            objects.push(`<< /Length ${page.length} >>\nstream\n${page}endstream`);
+        });
         
         // Build complete PDF
-        const startObj1 = pdf.length;
-        pdf += obj1;
-        
-        const startObj2 = pdf.length;
-        pdf += obj2;
-        
-        const startObj3 = pdf.length;
-        pdf += obj3;
-        
-        const startObj4 = pdf.length;
-        pdf += obj4;
-        
-        const startObj5 = pdf.length;
-        pdf += obj5;
+        const offsets = objects.map((object, i) => {
+            const start = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return start;
+        });
         
         // Cross-reference table
         const xrefStart = pdf.length;
         pdf += 'xref\n';
-        pdf += '0 6\n';
+        pdf += `0 ${objects.length + 1}\n`;
         pdf += '0000000000 65535 f \n';
-        pdf += padOffset(startObj1) + ' 00000 n \n';
-        pdf += padOffset(startObj2) + ' 00000 n \n';
-        pdf += padOffset(startObj3) + ' 00000 n \n';
-        pdf += padOffset(startObj4) + ' 00000 n \n';
-        pdf += padOffset(startObj5) + ' 00000 n \n';
+        offsets.forEach(offset => {
+            pdf += padOffset(offset) + ' 00000 n \n';
+        });
         
         // Trailer
         pdf += 'trailer\n';
-        pdf += '<< /Size 6 /Root 1 0 R >>\n';
+        pdf += `<< /Size ${objects.length + 1} /Root 1 0 R >>\n`;
         pdf += 'startxref\n';
         pdf += xrefStart + '\n';
         pdf += '%%EOF\n';
@@ -187,6 +568,59 @@ const Exporter = (function() {
         return pdf;
     }
 
+    /**
+     * Builds the content stream of the host assignment page
+     * @param {Array} assigned - Host assignments per subnet (from collectAssignments)
+     * @returns {string} - PDF content stream
+     */
+    function createAssignmentPage(assigned) {
+        const lines = [];
+        assigned.forEach(({ subnet, assignments, utilization }) => {
+            lines.push({ gap: 20, text: `${subnet} - ${utilization.assigned} of ${utilization.usable} usable assigned (${utilization.percent}%)` });
+            assignments.forEach(entry => {
+                const type = entry.type === 'dhcp' ? 'DHCP' : 'Static';
+                const owner = [entry.owner, entry.notes].filter(Boolean).join(' - ');
+                const text = `  ${entry.address.padEnd(16)}${(entry.hostname || '-').padEnd(22)}${(entry.mac || '-').padEnd(19)}${type.padEnd(8)}${owner}`.trimEnd();
+                lines.push({ gap: 12, text: text.length > 92 ? `${text.slice(0, 89)}...` : text });
+            });
+        });
+
+        let content = '';
+        content += 'BT\n';
+        content += '/F1 14 Tf\n';
+        content += '50 750 Td\n';
+        content += '(Host Assignments) Tj\n';
+        content += '/F1 9 Tf\n';
+
+        // Stop while there is still room for the overflow note
+        let used = 0;
+        let written = 0;
+        for (const line of lines) {
+            if (used + line.gap > PDF_ASSIGNMENT_PAGE_HEIGHT) break;
+            used += line.gap;
+            written++;
+            content += `0 -${line.gap} Td\n`;
+            content += `(${pdfText(line.text)}) Tj\n`;
+        }
+
+        if (written < lines.length) {
+            content += '0 -15 Td\n';
+            content += `(... and ${lines.length - written} more lines in the CSV export) Tj\n`;
+        }
+
+        content += 'ET\n';
+        return content;
+    }
+
+    /**
+     * Escapes text for a PDF string literal
+     * @param {string} text - Raw text
+     * @returns {string} - Escaped text
+     */
+    function pdfText(text) {
+        return String(text).replace(/[\\()]/g, '\\$&');
+    }
+
     /**
      * Pads offset number for PDF xref table
      * @param {number} offset - Byte offset
@@ -232,20 +666,21 @@ const Exporter = (function() {
         report += '  CONFIGURATION SUMMARY\n';
         report += '─────────────────────────────────────────────────────── \n';
         report += `Base Network:      ${baseNetwork}/${basePrefix}\n`;
-        report += `Subnet Mask:       ${subnetMask}\n`;
-        report += `Effective Prefix:  /${effectivePrefix}\n`;
+        report += `Subnet Mask:       ${summary.mode === 'equal' ? subnetMask : 'Variable'}\n`;
+        report += `Effective Prefix:  ${summary.mode === 'equal' ? `/${effectivePrefix}` : 'Variable'}\n`;
         report += `Network Class:     ${networkClass}\n`;
-        report += `Total Subnets:     ${subnets.length}\n`;
-        report += `Hosts per Subnet:  ${subnets[0].usableHosts}\n\n`;
+        report += `Address Type:      ${describeAddressType(summary.classification)}\n`;
+        report += `Total Subnets:     ${summary.totalSubnets}\n`;
+        report += `Hosts per Subnet:  ${summary.mode === 'equal' ? subnets[0].usableHosts : 'Varies'}\n\n`;
         
         report += '─────────────────────────────────────────────────────── \n';
         report += '  SUBNET DETAILS\n';
         report += '─────────────────────────────────────────────────────── \n\n';
         
         subnets.forEach(subnet => {
-            report += `Subnet ${subnet.subnetNumber}:\n`;
+            report += `Subnet ${subnet.subnetNumber}${subnet.name ? ` (${subnet.name})` : ''}:\n`;
             report += `  Network:    ${subnet.networkAddress}\n`;
-            report += `  Broadcast:  ${subnet.broadcastAddress}\n`;
+            report += `  Broadcast:  ${subnet.hasBroadcast === false ? 'None' : subnet.broadcastAddress}\n`;
             report += `  Usable:     ${subnet.firstUsable} - ${subnet.lastUsable}\n`;
             report += `  Hosts:      ${subnet.usableHosts}\n`;
             report += `  Mask:       ${subnet.subnetMask}\n\n`;
@@ -261,25 +696,24 @@ const Exporter = (function() {
     /**
      * Copies results to clipboard
      * @param {Object} summary - Calculation summary
+     * @returns {Promise<boolean>} - Resolves to whether the copy succeeded
      */
     function copyToClipboard(summary) {
         const report = generateTextReport(summary);
         
         if (navigator.clipboard && navigator.clipboard.writeText) {
-            navigator.clipboard.writeText(report).then(() => {
-                alert('Results copied to clipboard!');
-            }).catch(err => {
+            return navigator.clipboard.writeText(report).then(() => true).catch(err => {
                 console.error('Failed to copy:', err);
-                fallbackCopy(report);
+                return fallbackCopy(report);
             });
-        } else {
-            fallbackCopy(report);
         }
+        return Promise.resolve(fallbackCopy(report));
     }
 
     /**
      * Fallback clipboard copy method
      * @param {string} text - Text to copy
+     * @returns {boolean} - True if the browser reported a successful copy
      */
     function fallbackCopy(text) {
         const textarea = document.createElement('textarea');
@@ -289,21 +723,27 @@ const Exporter = (function() {
         document.body.appendChild(textarea);
         textarea.select();
         
+        let copied = false;
         try {
-            document.execCommand('copy');
-            alert('Results copied to clipboard!');
+            copied = document.execCommand('copy');
         } catch (err) {
-            alert('Failed to copy to clipboard. Please copy manually.');
             console.error('Fallback copy failed:', err);
         }
         
         document.body.removeChild(textarea);
+        return copied;
     }
 
     // Public API
     return {
         exportToCSV,
         exportToPDF,
+        exportRangeConversionToCSV,
+        exportConflictReportToCSV,
+        exportPlanToCSV,
+        exportPlanToJSON,
+        generateReverseZoneFiles,
+        exportReverseZones,
         generateTextReport,
         copyToClipboard
     };
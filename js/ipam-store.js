@@ -0,0 +1,105 @@
+/**
+ * ============================================
+ * IPAM Store Module
+ * ============================================
+ * Keeps host assignments (hostname, MAC, owner, notes,
+ * static or DHCP) per subnet in the browser's IndexedDB
+ * Works offline - nothing leaves the browser
+ * ============================================
+ */
+
+const IPAMStore = (function() {
+    'use strict';
+
+    const DB_NAME = 'subnetTutorIPAM';
+    const DB_VERSION = 1;
+
+    // One record per subnet: { subnet: '192.168.1.0/26', assignments: [...], updated }
+    const STORE_NAME = 'subnets';
+
+    // Shared connection, opened on first use
+    let connection = null;
+
+    /**
+     * Whether this browser offers IndexedDB (private windows and file:// pages may not)
+     * @returns {boolean} - True if assignments can be stored
+     */
+    function isAvailable() {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    }
+
+    /**
+     * Opens the database, creating the subnet store on first run
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    function openDatabase() {
+        if (!isAvailable()) {
+            return Promise.reject(new Error('This browser does not support IndexedDB, so assignments cannot be saved'));
+        }
+
+        if (!connection) {
+            connection = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'subnet' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('The assignment database is open in another tab with an older version'));
+            }).catch(error => {
+                connection = null;
+                throw error;
+            });
+        }
+        return connection;
+    }
+
+    /**
+     * Runs one request against the subnet store and waits for its transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} - The request's result once the transaction completes
+     */
+    function withStore(mode, operation) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('The assignment database aborted the change'));
+        }));
+    }
+
+    /**
+     * Loads every subnet's assignments
+     * @returns {Promise<Map>} - Map of subnet CIDR to its assignment list
+     */
+    function loadAll() {
+        return withStore('readonly', store => store.getAll()).then(records => {
+            return new Map(records.map(record => [record.subnet, record.assignments]));
+        });
+    }
+
+    /**
+     * Replaces the assignments stored for one subnet (an empty list removes the record)
+     * @param {string} subnet - Subnet CIDR, e.g. '192.168.1.0/26'
+     * @param {Array} assignments - { address, hostname, mac, owner, notes, type } entries
+     * @returns {Promise<void>} - Resolves once the change is committed
+     */
+    function saveSubnet(subnet, assignments) {
+        return withStore('readwrite', store => assignments.length === 0
+            ? store.delete(subnet)
+            : store.put({ subnet: subnet, assignments: assignments, updated: new Date().toISOString() })
+        ).then(() => undefined);
+    }
+
+    // Public API
+    return {
+        isAvailable,
+        loadAll,
+        saveSubnet
+    };
+})();
+
+// Make available globally
+window.IPAMStore = IPAMStore;
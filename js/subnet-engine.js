@@ -8,12 +8,80 @@
  * - Network and broadcast address calculation
  * - Usable host range determination
  * - Binary conversions
+ * - IPv6 parsing, RFC 5952 formatting and BigInt math
+ * - RFC 6890 special-purpose address classification
  * ============================================
  */
 
 const SubnetEngine = (function() {
     'use strict';
 
+    // Most subnets listed in a summary; the rest are paged on demand (counts stay exact)
+    const MAX_LISTED_SUBNETS = 256;
+    const IPV6_ALL_ONES = (1n << 128n) - 1n;
+
+    // Most child blocks one plan block may be split into
+    const MAX_PLAN_CHILDREN = 256;
+
+    // Marks JSON files written by serializePlan
+    const PLAN_FILE_TYPE = 'subnet-tutor-plan';
+
+    // IPv4 multicast scopes (RFC 5771, RFC 2365, RFC 3180); the most specific match wins
+    const MULTICAST_SCOPES = [
+        { network: '224.0.0.0/4', scope: 'global', name: 'Globally Scoped', rfc: 'RFC 5771', description: 'Routable across the Internet when multicast routing is enabled; use a TTL to limit how far packets travel.' },
+        { network: '224.0.0.0/24', scope: 'link-local', name: 'Local Network Control Block', rfc: 'RFC 5771', description: 'Link-local: routers never forward these groups and packets are sent with TTL 1 (e.g. 224.0.0.5 OSPF, 224.0.0.18 VRRP).' },
+        { network: '224.0.1.0/24', scope: 'internetwork', name: 'Internetwork Control Block', rfc: 'RFC 5771', description: 'Protocol control traffic that may be routed (e.g. 224.0.1.1 NTP).' },
+        { network: '232.0.0.0/8', scope: 'ssm', name: 'Source-Specific Multicast', rfc: 'RFC 4607', description: 'Receivers join a (source, group) channel with IGMPv3, so no rendezvous point is needed.' },
+        { network: '233.0.0.0/8', scope: 'glop', name: 'GLOP Addressing', rfc: 'RFC 3180', description: 'The middle two octets hold a 16-bit AS number, giving every AS its own /24 of global groups.' },
+        { network: '233.252.0.0/14', scope: 'global', name: 'AD-HOC Block III', rfc: 'RFC 5771', description: 'Assigned by IANA to specific applications.' },
+        { network: '234.0.0.0/8', scope: 'global', name: 'Unicast-Prefix-based', rfc: 'RFC 6034', description: 'Groups derived from an organisation\'s unicast /24 prefix.' },
+        { network: '239.0.0.0/8', scope: 'admin', name: 'Administratively Scoped', rfc: 'RFC 2365', description: 'Private multicast: border routers drop these groups, like RFC 1918 space for unicast.' },
+        { network: '239.192.0.0/14', scope: 'admin', name: 'Organization-Local Scope', rfc: 'RFC 2365', description: 'Private multicast confined to one organisation.' },
+        { network: '239.255.0.0/16', scope: 'admin', name: 'IPv4 Local Scope', rfc: 'RFC 2365', description: 'Private multicast confined to one site (e.g. 239.255.255.250 SSDP).' }
+    ];
+
+    // IANA special-purpose address registries (RFC 6890 and later updates),
+    // plus the multicast scopes from RFC 5771. Parsed on first use.
+    const SPECIAL_PURPOSE_BLOCKS = [
+        { network: '0.0.0.0/8', name: 'This Network', rfc: 'RFC 791', forwardable: false, globallyReachable: false },
+        { network: '0.0.0.0/32', name: 'This Host on This Network', rfc: 'RFC 1122', forwardable: false, globallyReachable: false },
+        { network: '10.0.0.0/8', name: 'Private-Use', rfc: 'RFC 1918', forwardable: true, globallyReachable: false },
+        { network: '100.64.0.0/10', name: 'Shared Address Space (CGNAT)', rfc: 'RFC 6598', forwardable: true, globallyReachable: false },
+        { network: '127.0.0.0/8', name: 'Loopback', rfc: 'RFC 1122', forwardable: false, globallyReachable: false },
+        { network: '169.254.0.0/16', name: 'Link Local', rfc: 'RFC 3927', forwardable: false, globallyReachable: false },
+        { network: '172.16.0.0/12', name: 'Private-Use', rfc: 'RFC 1918', forwardable: true, globallyReachable: false },
+        { network: '192.0.0.0/24', name: 'IETF Protocol Assignments', rfc: 'RFC 6890', forwardable: false, globallyReachable: false },
+        { network: '192.0.0.0/29', name: 'IPv4 Service Continuity Prefix', rfc: 'RFC 7335', forwardable: true, globallyReachable: false },
+        { network: '192.0.2.0/24', name: 'Documentation (TEST-NET-1)', rfc: 'RFC 5737', forwardable: false, globallyReachable: false },
+        { network: '192.88.99.0/24', name: '6to4 Relay Anycast (Deprecated)', rfc: 'RFC 7526', forwardable: true, globallyReachable: true },
+        { network: '192.168.0.0/16', name: 'Private-Use', rfc: 'RFC 1918', forwardable: true, globallyReachable: false },
+        { network: '198.18.0.0/15', name: 'Benchmarking', rfc: 'RFC 2544', forwardable: true, globallyReachable: false },
+        { network: '198.51.100.0/24', name: 'Documentation (TEST-NET-2)', rfc: 'RFC 5737', forwardable: false, globallyReachable: false },
+        { network: '203.0.113.0/24', name: 'Documentation (TEST-NET-3)', rfc: 'RFC 5737', forwardable: false, globallyReachable: false },
+        { network: '224.0.0.0/4', name: 'Multicast', rfc: 'RFC 5771', forwardable: true, globallyReachable: true },
+        { network: '224.0.0.0/24', name: 'Multicast Local Network Control Block', rfc: 'RFC 5771', forwardable: false, globallyReachable: false },
+        { network: '232.0.0.0/8', name: 'Source-Specific Multicast', rfc: 'RFC 4607', forwardable: true, globallyReachable: true },
+        { network: '239.0.0.0/8', name: 'Administratively Scoped Multicast', rfc: 'RFC 2365', forwardable: true, globallyReachable: false },
+        { network: '240.0.0.0/4', name: 'Reserved (Class E)', rfc: 'RFC 1112', forwardable: false, globallyReachable: false },
+        { network: '255.255.255.255/32', name: 'Limited Broadcast', rfc: 'RFC 919', forwardable: false, globallyReachable: false },
+        { network: '::/128', name: 'Unspecified Address', rfc: 'RFC 4291', forwardable: false, globallyReachable: false },
+        { network: '::1/128', name: 'Loopback', rfc: 'RFC 4291', forwardable: false, globallyReachable: false },
+        { network: '::ffff:0:0/96', name: 'IPv4-Mapped Address', rfc: 'RFC 4291', forwardable: false, globallyReachable: false },
+        { network: '64:ff9b::/96', name: 'IPv4-IPv6 Translation', rfc: 'RFC 6052', forwardable: true, globallyReachable: true },
+        { network: '64:ff9b:1::/48', name: 'Local-Use IPv4-IPv6 Translation', rfc: 'RFC 8215', forwardable: true, globallyReachable: false },
+        { network: '100::/64', name: 'Discard-Only Address Block', rfc: 'RFC 6666', forwardable: true, globallyReachable: false },
+        { network: '2001::/23', name: 'IETF Protocol Assignments', rfc: 'RFC 2928', forwardable: false, globallyReachable: false },
+        { network: '2001::/32', name: 'TEREDO', rfc: 'RFC 4380', forwardable: true, globallyReachable: true },
+        { network: '2001:2::/48', name: 'Benchmarking', rfc: 'RFC 5180', forwardable: true, globallyReachable: false },
+        { network: '2001:20::/28', name: 'ORCHIDv2', rfc: 'RFC 7343', forwardable: true, globallyReachable: true },
+        { network: '2001:db8::/32', name: 'Documentation', rfc: 'RFC 3849', forwardable: false, globallyReachable: false },
+        { network: '2002::/16', name: '6to4', rfc: 'RFC 3056', forwardable: true, globallyReachable: true },
+        { network: 'fc00::/7', name: 'Unique-Local', rfc: 'RFC 4193', forwardable: true, globallyReachable: false },
+        { network: 'fe80::/10', name: 'Link-Local Unicast', rfc: 'RFC 4291', forwardable: false, globallyReachable: false },
+        { network: 'ff00::/8', name: 'Multicast', rfc: 'RFC 4291', forwardable: true, globallyReachable: true }
+    ];
+    let specialPurposeRanges = null;
+
     /**
      * Validates an IPv4 address
      * @param {string} ip - IP address to validate
@@ -32,10 +100,161 @@ const SubnetEngine = (function() {
     /**
      * Validates a CIDR prefix
      * @param {number} prefix - Prefix length to validate
+     * @param {number} version - IP version (4 or 6)
+     * @returns {boolean} - True if valid
+     */
+    function isValidPrefix(prefix, version = 4) {
+        const maxPrefix = version === 6 ? 128 : 32;
+        return prefix >= 0 && prefix <= maxPrefix && Number.isInteger(prefix);
+    }
+
+    /**
+     * Parses an IPv6 address, including :: compression and embedded IPv4
+     * @param {string} ip - IPv6 address
+     * @returns {bigint|null} - 128-bit value, or null if invalid
+     */
+    function parseIPv6(ip) {
+        if (typeof ip !== 'string' || ip.indexOf(':') === -1) return null;
+
+        let text = ip.trim().toLowerCase();
+
+        // Embedded IPv4 in the last 32 bits (e.g. ::ffff:192.0.2.1)
+        if (text.indexOf('.') !== -1) {
+            const lastColon = text.lastIndexOf(':');
+            const ipv4 = text.slice(lastColon + 1);
+            if (!isValidIP(ipv4)) return null;
+            const ipv4Int = ipToInt(ipv4);
+            text = text.slice(0, lastColon + 1) +
+                (ipv4Int >>> 16).toString(16) + ':' + (ipv4Int & 0xFFFF).toString(16);
+        }
+
+        const halves = text.split('::');
+        if (halves.length > 2) return null;
+
+        const toGroups = part => (part === '' ? [] : part.split(':'));
+        const head = toGroups(halves[0]);
+        const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+
+        if (halves.length === 2 ? head.length + tail.length > 7 : head.length !== 8) return null;
+        if (![...head, ...tail].every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+
+        const missing = 8 - head.length - tail.length;
+        const groups = [...head, ...Array(missing).fill('0'), ...tail];
+
+        return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+    }
+
+    /**
+     * Validates an IPv6 address
+     * @param {string} ip - IPv6 address to validate
      * @returns {boolean} - True if valid
      */
-    function isValidPrefix(prefix) {
-        return prefix >= 0 && prefix <= 32 && Number.isInteger(prefix);
+    function isValidIPv6(ip) {
+        return parseIPv6(ip) !== null;
+    }
+
+    /**
+     * Detects the IP version of an address
+     * @param {string} ip - IP address
+     * @returns {number|null} - 4, 6, or null if invalid
+     */
+    function getIPVersion(ip) {
+        if (isValidIP(ip)) return 4;
+        if (isValidIPv6(ip)) return 6;
+        return null;
+    }
+
+    /**
+     * Converts IPv6 address to 128-bit BigInt
+     * @param {string} ip - IPv6 address
+     * @returns {bigint} - 128-bit value
+     */
+    function ipv6ToBigInt(ip) {
+        const value = parseIPv6(ip);
+        if (value === null) {
+            throw new Error(`Invalid IPv6 address: ${ip}`);
+        }
+        return value;
+    }
+
+    /**
+     * Splits a 128-bit value into eight 16-bit groups
+     * @param {bigint} value - 128-bit value
+     * @returns {Array} - Array of 8 numbers
+     */
+    function toHextets(value) {
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(Number((value >> shift) & 0xFFFFn));
+        }
+        return groups;
+    }
+
+    /**
+     * Converts 128-bit BigInt to canonical IPv6 text (RFC 5952)
+     * @param {bigint} value - 128-bit value
+     * @returns {string} - Canonical IPv6 address
+     */
+    function bigIntToIPv6(value) {
+        const groups = toHextets(value);
+
+        // IPv4-mapped addresses keep the dotted quad (RFC 5952 section 5)
+        if (groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xFFFF) {
+            return '::ffff:' + intToIP(Number(value & 0xFFFFFFFFn));
+        }
+
+        // Find the longest run of zero groups (first one wins a tie)
+        let bestStart = -1;
+        let bestLength = 0;
+        for (let i = 0; i < 8; i++) {
+            let length = 0;
+            while (i + length < 8 && groups[i + length] === 0) length++;
+            if (length > bestLength) {
+                bestStart = i;
+                bestLength = length;
+            }
+            i += length;
+        }
+
+        const hex = groups.map(g => g.toString(16));
+
+        // A single zero group is never shortened to ::
+        if (bestLength < 2) return hex.join(':');
+
+        const head = hex.slice(0, bestStart).join(':');
+        const tail = hex.slice(bestStart + bestLength).join(':');
+        return `${head}::${tail}`;
+    }
+
+    /**
+     * Expands an IPv6 address to all eight 4-digit groups
+     * @param {string} ip - IPv6 address
+     * @returns {string} - Expanded address
+     */
+    function expandIPv6(ip) {
+        return toHextets(ipv6ToBigInt(ip))
+            .map(g => g.toString(16).padStart(4, '0'))
+            .join(':');
+    }
+
+    /**
+     * Converts IPv6 address to binary, 16 bits per group
+     * @param {string} ip - IPv6 address
+     * @returns {string} - Binary representation
+     */
+    function ipv6ToBinary(ip) {
+        return toHextets(ipv6ToBigInt(ip))
+            .map(g => g.toString(2).padStart(16, '0'))
+            .join(':');
+    }
+
+    /**
+     * Generates IPv6 prefix mask as a 128-bit BigInt
+     * @param {number} prefix - Prefix length (0-128)
+     * @returns {bigint} - Mask value
+     */
+    function prefixToMaskV6(prefix) {
+        return IPV6_ALL_ONES ^ ((1n << BigInt(128 - prefix)) - 1n);
     }
 
     /**
@@ -82,14 +301,32 @@ const SubnetEngine = (function() {
             .join('.');
     }
 
+    /**
+     * Generates subnet mask integer from prefix length
+     * (JavaScript shifts are mod 32, so /0 needs its own case)
+     * @param {number} prefix - Prefix length (0-32)
+     * @returns {number} - 32-bit mask
+     */
+    function prefixToMaskInt(prefix) {
+        return prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
+    }
+
     /**
      * Generates subnet mask from prefix length
      * @param {number} prefix - Prefix length (0-32)
      * @returns {string} - Subnet mask in dotted decimal
      */
     function prefixToMask(prefix) {
-        const mask = (0xFFFFFFFF << (32 - prefix)) >>> 0;
-        return intToIP(mask);
+        return intToIP(prefixToMaskInt(prefix));
+    }
+
+    /**
+     * Generates the wildcard (inverse) mask used by ACLs and OSPF
+     * @param {number} prefix - Prefix length (0-32)
+     * @returns {string} - Wildcard mask in dotted decimal
+     */
+    function prefixToWildcard(prefix) {
+        return intToIP(~prefixToMaskInt(prefix) >>> 0);
     }
 
     /**
@@ -100,7 +337,7 @@ const SubnetEngine = (function() {
      */
     function getNetworkAddress(ip, prefix) {
         const ipInt = ipToInt(ip);
-        const maskInt = (0xFFFFFFFF << (32 - prefix)) >>> 0;
+        const maskInt = prefixToMaskInt(prefix);
         const networkInt = (ipInt & maskInt) >>> 0;
         return intToIP(networkInt);
     }
@@ -113,7 +350,7 @@ const SubnetEngine = (function() {
      */
     function getBroadcastAddress(ip, prefix) {
         const networkInt = ipToInt(getNetworkAddress(ip, prefix));
-        const hostMask = (0xFFFFFFFF >>> prefix) >>> 0;
+        const hostMask = (~prefixToMaskInt(prefix)) >>> 0;
         const broadcastInt = (networkInt | hostMask) >>> 0;
         return intToIP(broadcastInt);
     }
@@ -121,9 +358,11 @@ const SubnetEngine = (function() {
     /**
      * Calculates first usable host address
      * @param {string} networkAddr - Network address
+     * @param {number} prefix - Prefix length (optional; /31 and /32 use every address)
      * @returns {string} - First usable host
      */
-    function getFirstUsable(networkAddr) {
+    function getFirstUsable(networkAddr, prefix = null) {
+        if (prefix >= 31) return networkAddr; // RFC 3021 point-to-point or host route
         const networkInt = ipToInt(networkAddr);
         return intToIP((networkInt + 1) >>> 0);
     }
@@ -131,9 +370,11 @@ const SubnetEngine = (function() {
     /**
      * Calculates last usable host address
      * @param {string} broadcastAddr - Broadcast address
+     * @param {number} prefix - Prefix length (optional; /31 and /32 use every address)
      * @returns {string} - Last usable host
      */
-    function getLastUsable(broadcastAddr) {
+    function getLastUsable(broadcastAddr, prefix = null) {
+        if (prefix >= 31) return broadcastAddr; // RFC 3021 point-to-point or host route
         const broadcastInt = ipToInt(broadcastAddr);
         return intToIP((broadcastInt - 1) >>> 0);
     }
@@ -144,7 +385,8 @@ const SubnetEngine = (function() {
      * @returns {number} - Number of usable hosts
      */
     function getUsableHosts(prefix) {
-        if (prefix >= 31) return 0; // /31 and /32 have no usable hosts in standard subnetting
+        if (prefix === 32) return 1; // Host route: the single address is the host
+        if (prefix === 31) return 2; // RFC 3021 point-to-point link: no network or broadcast address
         return Math.pow(2, 32 - prefix) - 2;
     }
 
@@ -163,6 +405,8 @@ const SubnetEngine = (function() {
      * @returns {string} - Network class (A, B, C, D, E)
      */
     function getNetworkClass(ip) {
+        if (isValidIPv6(ip)) return 'N/A (IPv6 is classless)';
+
         const firstOctet = parseInt(ip.split('.')[0], 10);
         
         if (firstOctet >= 1 && firstOctet <= 126) return 'A';
@@ -174,12 +418,127 @@ const SubnetEngine = (function() {
         return 'Unknown';
     }
 
+    /**
+     * Gives the default (classful) prefix of an IPv4 address, as pre-CIDR networks used
+     * @param {string} ip - IPv4 address
+     * @returns {number} - 8 for Class A, 16 for Class B, 24 for Class C
+     */
+    function getClassfulPrefix(ip) {
+        if (!isValidIP(ip)) {
+            throw validationError(validationIssue(
+                'CLASSFUL_IPV4_ONLY', 'address', ip,
+                isValidIPv6(ip) ? 'IPv6 is classless, so it has no default mask' : `"${ip}" is not a valid IPv4 address`,
+                'Enter an IPv4 network, or switch classful mode off'
+            ));
+        }
+
+        const networkClass = getNetworkClass(ip);
+        const prefix = { A: 8, B: 16, C: 24 }[networkClass];
+        if (prefix === undefined) {
+            throw validationError(validationIssue(
+                'CLASSFUL_NO_DEFAULT_MASK', 'address', ip,
+                networkClass === 'Unknown'
+                    ? `${ip} is outside Classes A, B and C, so it has no default mask`
+                    : `${ip} is Class ${networkClass}, which has no default mask`,
+                'Enter a Class A (1-126), B (128-191) or C (192-223) network'
+            ));
+        }
+
+        return prefix;
+    }
+
+    /**
+     * Analyzes an IPv4 multicast group: its scope and the Ethernet MAC address it maps to.
+     * Only the low 23 bits reach the MAC (after 01:00:5e), so the 5 bits after the leading
+     * 1110 are lost and 32 groups share every MAC address.
+     * @param {string} ip - IPv4 multicast address (224.0.0.0 - 239.255.255.255)
+     * @returns {Object} - { address, scope, glopAS, mac, bits, macBinary, aliases } where scope is
+     *                     { network, scope, name, rfc, description }, bits splits the address into
+     *                     { fixed, dropped, mapped } binary strings and aliases lists the 32 groups
+     *                     sharing the MAC in ascending order
+     */
+    function analyzeMulticast(ip) {
+        if (!isValidIP(ip)) {
+            throw new Error(`"${ip}" is not a valid IPv4 address`);
+        }
+
+        const value = ipToInt(ip);
+        if (value >>> 28 !== 0xE) {
+            throw new Error(`${ip} is not an IPv4 multicast address (224.0.0.0 - 239.255.255.255)`);
+        }
+
+        const scope = MULTICAST_SCOPES
+            .map(entry => ({ ...entry, ...parseCIDR(entry.network) }))
+            .filter(entry => ipToInt(getNetworkAddress(ip, entry.prefix)) === entry.networkInt)
+            .sort((a, b) => b.prefix - a.prefix)[0];
+
+        const mapped = value & 0x7FFFFF;
+        const macBytes = [0x01, 0x00, 0x5E, mapped >>> 16, (mapped >>> 8) & 0xFF, mapped & 0xFF];
+        const binary = value.toString(2).padStart(32, '0');
+        const aliases = [];
+
+        for (let dropped = 0; dropped < 32; dropped++) {
+            aliases.push(intToIP(((0xE << 28) | (dropped << 23) | mapped) >>> 0));
+        }
+
+        return {
+            address: ip,
+            scope: {
+                network: scope.network,
+                scope: scope.scope,
+                name: scope.name,
+                rfc: scope.rfc,
+                description: scope.description
+            },
+            glopAS: scope.scope === 'glop' ? ((value >>> 16) & 0xFF) * 256 + ((value >>> 8) & 0xFF) : null,
+            mac: macBytes.map(byte => byte.toString(16).padStart(2, '0')).join(':'),
+            bits: { fixed: binary.slice(0, 4), dropped: binary.slice(4, 9), mapped: binary.slice(9) },
+            macBinary: macBytes.map(toBinary8).join(':'),
+            aliases: aliases
+        };
+    }
+
+    /**
+     * Warns when a block reaches into multicast (Class D) or reserved (Class E) space,
+     * which cannot be subnetted into host networks like unicast space
+     * @param {number} start - First address of the block as an integer
+     * @param {number} prefix - Prefix length of the block
+     * @returns {Array} - Array of { space: 'multicast'|'reserved', block, message }
+     */
+    function findNonUnicastSpace(start, prefix) {
+        const end = start + getTotalAddresses(prefix) - 1;
+        const warnings = [];
+
+        if (start <= 0xEFFFFFFF && end >= 0xE0000000) {
+            warnings.push({
+                space: 'multicast',
+                block: '224.0.0.0/4',
+                message: 'Multicast (Class D) addresses name groups, not hosts. They have no network or broadcast address and are never configured with a subnet mask on an interface, so these subnets cannot be assigned to links.'
+            });
+        }
+
+        if (end >= 0xF0000000) {
+            warnings.push({
+                space: 'reserved',
+                block: '240.0.0.0/4',
+                message: 'Reserved (Class E) addresses are refused by most operating systems and routers, and 255.255.255.255 is the limited broadcast address.'
+            });
+        }
+
+        return warnings;
+    }
+
     /**
      * Determines if IP is private
      * @param {string} ip - IP address
      * @returns {boolean} - True if private
      */
     function isPrivateIP(ip) {
+        // IPv6 Unique Local Addresses: fc00::/7
+        if (isValidIPv6(ip)) {
+            return (ipv6ToBigInt(ip) >> 121n) === 0x7En;
+        }
+
         const ipInt = ipToInt(ip);
         
         // 10.0.0.0/8
@@ -194,138 +553,3130 @@ const SubnetEngine = (function() {
         return false;
     }
 
+    /**
+     * Converts a network to an inclusive BigInt range, for either IP version
+     * @param {string} ip - IPv4 or IPv6 address
+     * @param {number} prefix - Prefix length
+     * @returns {Object} - { version, start, end }
+     */
+    function toBigIntRange(ip, prefix) {
+        const version = getIPVersion(ip);
+        const bits = version === 6 ? 128n : 32n;
+        const value = version === 6 ? ipv6ToBigInt(ip) : BigInt(ipToInt(ip));
+        const size = 1n << (bits - BigInt(prefix));
+        const start = value - (value % size);
+
+        return { version: version, start: start, end: start + size - 1n };
+    }
+
+    /**
+     * Parses the special-purpose registry into BigInt ranges (cached)
+     * @returns {Array} - Registry entries with version, prefix, start and end
+     */
+    function getSpecialPurposeRanges() {
+        if (!specialPurposeRanges) {
+            specialPurposeRanges = SPECIAL_PURPOSE_BLOCKS.map(block => {
+                const [ip, prefixText] = block.network.split('/');
+                const prefix = Number(prefixText);
+                return { ...block, prefix: prefix, ...toBigIntRange(ip, prefix) };
+            });
+        }
+        return specialPurposeRanges;
+    }
+
+    /**
+     * Converts a registry range into the public classification shape
+     * @param {Object} entry - Parsed registry entry
+     * @returns {Object} - { network, name, rfc, forwardable, globallyReachable, special }
+     */
+    function toClassification(entry) {
+        return {
+            network: entry.network,
+            name: entry.name,
+            rfc: entry.rfc,
+            forwardable: entry.forwardable,
+            globallyReachable: entry.globallyReachable,
+            special: true
+        };
+    }
+
+    /**
+     * Classifies an address or subnet against the special-purpose registries
+     * @param {string} target - IPv4/IPv6 address, optionally with /prefix
+     * @returns {Object} - Most specific registry entry containing the whole target, or a
+     *                     public/global unicast entry with special: false
+     */
+    function classifyAddress(target) {
+        const [ip, prefixText] = String(target).trim().split('/');
+        const version = getIPVersion(ip);
+        if (version === null) {
+            throw new Error(`Invalid address "${target}"`);
+        }
+
+        const prefix = prefixText === undefined ? (version === 6 ? 128 : 32) : Number(prefixText);
+        if (!isValidPrefix(prefix, version)) {
+            throw new Error(`Invalid prefix in "${target}"`);
+        }
+
+        const { start, end } = toBigIntRange(ip, prefix);
+        const match = getSpecialPurposeRanges()
+            .filter(entry => entry.version === version && entry.start <= start && entry.end >= end)
+            .sort((a, b) => b.prefix - a.prefix)[0];
+
+        if (match) {
+            return toClassification(match);
+        }
+
+        return {
+            network: null,
+            name: version === 6 ? 'Global Unicast' : 'Public',
+            rfc: null,
+            forwardable: true,
+            globallyReachable: true,
+            special: false
+        };
+    }
+
+    /**
+     * Finds special-purpose blocks that a split into /subnetPrefix would cut across,
+     * i.e. blocks inside the network that are smaller than one subnet
+     * @param {string} ip - Network address (IPv4 or IPv6)
+     * @param {number} prefix - Network prefix length
+     * @param {number} subnetPrefix - Prefix of the subnets being created (defaults to prefix)
+     * @returns {Array} - Array of { block, subnet } where subnet is the CIDR that mixes
+     *                    the block with other address space
+     */
+    function findSpecialBlockCrossings(ip, prefix, subnetPrefix = prefix) {
+        const { version, start, end } = toBigIntRange(ip, prefix);
+
+        return getSpecialPurposeRanges()
+            .filter(entry => entry.version === version && entry.prefix > subnetPrefix &&
+                entry.start >= start && entry.end <= end)
+            .map(entry => {
+                const subnet = toBigIntRange(entry.network.split('/')[0], subnetPrefix);
+                const subnetAddress = version === 6 ? bigIntToIPv6(subnet.start) : intToIP(Number(subnet.start));
+                return {
+                    block: toClassification(entry),
+                    subnet: `${subnetAddress}/${subnetPrefix}`
+                };
+            });
+    }
+
+    /**
+     * Builds a subnet object for a network block
+     * @param {number} networkInt - Network address as 32-bit integer
+     * @param {number} prefix - Prefix length
+     * @param {number} subnetNumber - 1-based subnet number
+     * @returns {Object} - Subnet object (broadcastAddress always holds the last address;
+     *                     hasBroadcast is false for /31 and /32)
+     */
+    function buildSubnet(networkInt, prefix, subnetNumber) {
+        const networkAddr = intToIP(networkInt);
+        const broadcastAddr = intToIP((networkInt + getTotalAddresses(prefix) - 1) >>> 0);
+
+        return {
+            version: 4,
+            subnetNumber: subnetNumber,
+            networkAddress: networkAddr,
+            broadcastAddress: broadcastAddr,
+            firstUsable: getFirstUsable(networkAddr, prefix),
+            lastUsable: getLastUsable(broadcastAddr, prefix),
+            usableHosts: getUsableHosts(prefix),
+            subnetMask: prefixToMask(prefix),
+            prefix: prefix,
+            totalAddresses: getTotalAddresses(prefix),
+            hasBroadcast: prefix < 31
+        };
+    }
+
     /**
      * Calculates all subnets when splitting a network
      * @param {string} baseIP - Base network IP
      * @param {number} basePrefix - Base prefix length
      * @param {number} newPrefix - New prefix length (for splitting)
+     * @param {Object} options - { subnetZero } where false leaves out subnet zero and the
+     *                           all-ones subnet, as classful rules did (IPv4 only)
      * @returns {Array} - Array of subnet objects
      */
-    function calculateSubnets(baseIP, basePrefix, newPrefix = null) {
-        if (!isValidIP(baseIP)) {
-            throw new Error('Invalid IP address');
+    function calculateSubnets(baseIP, basePrefix, newPrefix = null, options = {}) {
+        if (isValidIPv6(baseIP)) {
+            return calculateSubnetsV6(baseIP, basePrefix, newPrefix, options);
         }
-        
-        if (!isValidPrefix(basePrefix)) {
-            throw new Error('Invalid base prefix');
+
+        return Array.from(iterateSubnets(baseIP, basePrefix, newPrefix, 1, options));
+    }
+
+    /**
+     * Builds an IPv6 subnet object (the last address takes the broadcast slot)
+     * @param {bigint} networkValue - Network address as BigInt
+     * @param {number} prefix - Prefix length
+     * @param {number} subnetNumber - 1-based subnet number
+     * @returns {Object} - Subnet object
+     */
+    function buildSubnetV6(networkValue, prefix, subnetNumber) {
+        const total = 1n << BigInt(128 - prefix);
+        const lastValue = networkValue + total - 1n;
+
+        return {
+            version: 6,
+            subnetNumber: subnetNumber,
+            networkAddress: bigIntToIPv6(networkValue),
+            broadcastAddress: bigIntToIPv6(lastValue),
+            firstUsable: bigIntToIPv6(networkValue),
+            lastUsable: bigIntToIPv6(lastValue),
+            usableHosts: total,
+            subnetMask: bigIntToIPv6(prefixToMaskV6(prefix)),
+            prefix: prefix,
+            totalAddresses: total
+        };
+    }
+
+    /**
+     * Calculates IPv6 subnets, listing at most MAX_LISTED_SUBNETS
+     * @param {string} baseIP - Base network IPv6 address
+     * @param {number} basePrefix - Base prefix length (0-128)
+     * @param {number} newPrefix - New prefix length (for splitting)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Array} - Array of subnet objects
+     */
+    function calculateSubnetsV6(baseIP, basePrefix, newPrefix = null, options = {}) {
+        return getSubnetPage(baseIP, basePrefix, newPrefix, 1, MAX_LISTED_SUBNETS, options);
+    }
+
+    /**
+     * Reads the subnet-zero option of a split
+     * @param {Object} options - { subnetZero } (anything but false allows subnet zero)
+     * @param {number} version - IP version of the split
+     * @returns {boolean} - Whether subnet zero and the all-ones subnet may be used
+     */
+    function allowsSubnetZero(options, version) {
+        if (!options || options.subnetZero !== false) {
+            return true;
         }
-        
-        // If no new prefix, return single network
-        if (newPrefix === null || newPrefix === basePrefix) {
-            const networkAddr = getNetworkAddress(baseIP, basePrefix);
-            const broadcastAddr = getBroadcastAddress(baseIP, basePrefix);
-            
-            return [{
-                subnetNumber: 1,
-                networkAddress: networkAddr,
-                broadcastAddress: broadcastAddr,
-                firstUsable: getFirstUsable(networkAddr),
-                lastUsable: getLastUsable(broadcastAddr),
-                usableHosts: getUsableHosts(basePrefix),
-                subnetMask: prefixToMask(basePrefix),
-                prefix: basePrefix,
-                totalAddresses: getTotalAddresses(basePrefix)
-            }];
+        if (version === 6) {
+            throw validationError(validationIssue(
+                'SUBNET_ZERO_IPV6', 'address', null,
+                'Subnet zero rules come from classful IPv4; every IPv6 subnet is usable',
+                'Allow subnet zero, or enter an IPv4 network'
+            ));
         }
-        
-        if (!isValidPrefix(newPrefix)) {
-            throw new Error('Invalid new prefix');
+        return false;
+    }
+
+    /**
+     * Validates split inputs and works out the sizes paging needs
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (null for no split)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Object} - { version, baseValue, prefix, subnetSize, count, skip } where skip
+     *                     is the number of blocks left out at each end (1 without subnet zero)
+     *                     (Numbers for IPv4, BigInts for IPv6)
+     */
+    function resolveSplit(baseIP, basePrefix, newPrefix, options = {}) {
+        const version = getIPVersion(baseIP);
+        if (version === null) {
+            throw validationError(addressIssue(baseIP));
         }
-        
-        if (newPrefix <= basePrefix) {
-            throw new Error('New prefix must be larger than base prefix');
+
+        if (!isValidPrefix(basePrefix, version)) {
+            throw validationError(prefixIssue('basePrefix', basePrefix, version));
         }
-        
-        const baseNetworkAddr = getNetworkAddress(baseIP, basePrefix);
-        const baseNetworkInt = ipToInt(baseNetworkAddr);
-        const subnetSize = Math.pow(2, 32 - newPrefix);
-        const numSubnets = Math.pow(2, newPrefix - basePrefix);
-        
-        const subnets = [];
-        
-        for (let i = 0; i < numSubnets; i++) {
-            const subnetNetworkInt = (baseNetworkInt + (i * subnetSize)) >>> 0;
-            const networkAddr = intToIP(subnetNetworkInt);
-            const broadcastAddr = intToIP((subnetNetworkInt + subnetSize - 1) >>> 0);
-            
-            subnets.push({
-                subnetNumber: i + 1,
-                networkAddress: networkAddr,
-                broadcastAddress: broadcastAddr,
-                firstUsable: getFirstUsable(networkAddr),
-                lastUsable: getLastUsable(broadcastAddr),
-                usableHosts: getUsableHosts(newPrefix),
-                subnetMask: prefixToMask(newPrefix),
-                prefix: newPrefix,
-                totalAddresses: getTotalAddresses(newPrefix)
-            });
+
+        const prefix = newPrefix === null ? basePrefix : newPrefix;
+        if (!isValidPrefix(prefix, version)) {
+            throw validationError(prefixIssue('newPrefix', prefix, version));
         }
-        
-        return subnets;
+
+        if (prefix < basePrefix) {
+            throw validationError(shortPrefixIssue(prefix, basePrefix, version));
+        }
+
+        // Without subnet zero the first and last blocks are lost: 2^n - 2 subnets
+        const borrowedBits = prefix - basePrefix;
+        const skip = borrowedBits > 0 && !allowsSubnetZero(options, version) ? 1 : 0;
+
+        if (version === 6) {
+            return {
+                version: 6,
+                baseValue: ipv6ToBigInt(baseIP) & prefixToMaskV6(basePrefix),
+                prefix: prefix,
+                subnetSize: 1n << BigInt(128 - prefix),
+                count: 1n << BigInt(prefix - basePrefix),
+                skip: 0n
+            };
+        }
+
+        if (skip && borrowedBits < 2) {
+            throw validationError(validationIssue(
+                'SUBNET_ZERO_TOO_FEW', 'newPrefix', prefix,
+                'Borrowing 1 bit leaves 2^1 - 2 = 0 subnets once subnet zero and the all-ones subnet are excluded',
+                `Borrow at least 2 bits (/${basePrefix + 2} or longer), or allow subnet zero`
+            ));
+        }
+
+        return {
+            version: 4,
+            baseValue: ipToInt(getNetworkAddress(baseIP, basePrefix)),
+            prefix: prefix,
+            subnetSize: getTotalAddresses(prefix),
+            count: Math.pow(2, borrowedBits) - 2 * skip,
+            skip: skip
+        };
     }
 
     /**
-     * Gets detailed information for binary visualization
-     * @param {string} ip - IP address
-     * @param {number} prefix - Prefix length
-     * @returns {Object} - Binary breakdown object
+     * Counts the subnets a split produces without building them
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (optional)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {number|bigint} - Subnet count (BigInt for IPv6)
      */
-    function getBinaryBreakdown(ip, prefix) {
-        const octets = ip.split('.').map(o => parseInt(o, 10));
-        const mask = prefixToMask(prefix);
-        const maskOctets = mask.split('.').map(o => parseInt(o, 10));
-        const networkAddr = getNetworkAddress(ip, prefix);
-        const networkOctets = networkAddr.split('.').map(o => parseInt(o, 10));
-        
-        const breakdown = {
-            ip: {
-                decimal: ip,
-                octets: octets,
-                binary: octets.map(o => toBinary8(o)),
-                fullBinary: ipToBinary(ip)
-            },
-            mask: {
-                decimal: mask,
-                octets: maskOctets,
-                binary: maskOctets.map(o => toBinary8(o)),
-                fullBinary: ipToBinary(mask),
-                prefix: prefix
-            },
-            network: {
-                decimal: networkAddr,
-                octets: networkOctets,
-                binary: networkOctets.map(o => toBinary8(o)),
-                fullBinary: ipToBinary(networkAddr)
-            },
-            networkBits: prefix,
-            hostBits: 32 - prefix
-        };
-        
-        return breakdown;
+    function countSubnets(baseIP, basePrefix, newPrefix = null, options = {}) {
+        return resolveSplit(baseIP, basePrefix, newPrefix, options).count;
     }
 
     /**
-     * Generates subnet calculation summary
-     * @param {string} baseIP - Base IP address
-     * @param {number} basePrefix - Base prefix
-     * @param {number} newPrefix - New prefix (optional)
-     * @returns {Object} - Calculation summary
+     * Builds the Nth subnet of a split directly, without generating the ones before it
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (optional)
+     * @param {number|bigint} index - 1-based subnet number
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Object} - Subnet object
      */
-    function getCalculationSummary(baseIP, basePrefix, newPrefix = null) {
-        const effectivePrefix = newPrefix || basePrefix;
-        const subnets = calculateSubnets(baseIP, basePrefix, newPrefix);
-        
-        return {
-            baseNetwork: getNetworkAddress(baseIP, basePrefix),
-            basePrefix: basePrefix,
-            newPrefix: newPrefix,
-            effectivePrefix: effectivePrefix,
-            subnetMask: prefixToMask(effectivePrefix),
-            totalSubnets: subnets.length,
+    function getSubnetAt(baseIP, basePrefix, newPrefix, index, options = {}) {
+        const split = resolveSplit(baseIP, basePrefix, newPrefix, options);
+        const position = split.version === 6 ? BigInt(index) : Number(index);
+
+        if (position < 1 || position > split.count || (split.version === 4 && !Number.isInteger(position))) {
+            throw new Error(`Subnet #${index} does not exist; this split has ${split.count.toLocaleString()} subnet${split.count === 1 || split.count === 1n ? '' : 's'}`);
+        }
+
+        return buildSplitSubnet(split, position);
+    }
+
+    /**
+     * Builds one subnet of a resolved split
+     * @param {Object} split - Result of resolveSplit
+     * @param {number|bigint} position - 1-based subnet number (BigInt for IPv6), counted
+     *                                    after any blocks the split skips
+     * @returns {Object} - Subnet object
+     */
+    function buildSplitSubnet(split, position) {
+        if (split.version === 6) {
+            // Subnet numbers stay plain numbers while they are exact
+            const subnetNumber = position <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(position) : position;
+            return buildSubnetV6(split.baseValue + (position - 1n) * split.subnetSize, split.prefix, subnetNumber);
+        }
+
+        return buildSubnet((split.baseValue + (position - 1 + split.skip) * split.subnetSize) >>> 0, split.prefix, position);
+    }
+
+    /**
+     * Lazily yields the subnets of a split, starting at any subnet number
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (optional)
+     * @param {number|bigint} firstIndex - 1-based subnet number to start from
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @yields {Object} - Subnet objects, in address order
+     */
+    function* iterateSubnets(baseIP, basePrefix, newPrefix = null, firstIndex = 1, options = {}) {
+        const split = resolveSplit(baseIP, basePrefix, newPrefix, options);
+        const one = split.version === 6 ? 1n : 1;
+        let position = split.version === 6 ? BigInt(firstIndex) : Number(firstIndex);
+
+        if (position < one) {
+            throw new Error('Subnet numbers start at 1');
+        }
+
+        for (; position <= split.count; position += one) {
+            yield buildSplitSubnet(split, position);
+        }
+    }
+
+    /**
+     * Builds one page of a split's subnets
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (optional)
+     * @param {number|bigint} firstIndex - 1-based subnet number of the first row
+     * @param {number} pageSize - Most subnets to return
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Array} - Up to pageSize subnet objects
+     */
+    function getSubnetPage(baseIP, basePrefix, newPrefix, firstIndex, pageSize, options = {}) {
+        const page = [];
+
+        for (const subnet of iterateSubnets(baseIP, basePrefix, newPrefix, firstIndex, options)) {
+            if (page.length === pageSize) break;
+            page.push(subnet);
+        }
+
+        return page;
+    }
+
+    /**
+     * Finds the subnet of a split that holds an address, straight from its offset
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length (optional)
+     * @param {string} address - Address to locate (same version as the split)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Object} - { address, subnet, subnetNumber, offset, blockSize, hostOffset, role }
+     *                     where role is 'network', 'broadcast' or 'usable'
+     *                     (Numbers for IPv4, BigInts for IPv6)
+     */
+    function locateAddress(baseIP, basePrefix, newPrefix, address, options = {}) {
+        const split = resolveSplit(baseIP, basePrefix, newPrefix, options);
+        const version = getIPVersion(address);
+
+        if (version === null) {
+            throw new Error(`"${address}" is not a valid IP address`);
+        }
+
+        if (version !== split.version) {
+            throw new Error(`${address} is an IPv${version} address, but this split is IPv${split.version}`);
+        }
+
+        const value = version === 6 ? ipv6ToBigInt(address) : ipToInt(address);
+        const offset = value - split.baseValue;
+        const zero = version === 6 ? 0n : 0;
+        // Blocks the base network holds, including any the split skips
+        const blocks = version === 6 ? split.count : split.count + 2 * split.skip;
+
+        if (offset < zero || offset >= split.subnetSize * blocks) {
+            const baseNetwork = version === 6 ? bigIntToIPv6(split.baseValue) : intToIP(split.baseValue);
+            throw new Error(`${address} is outside ${baseNetwork}/${basePrefix}`);
+        }
+
+        // Whole blocks before the address give the subnet; the remainder is its place inside it
+        const hostOffset = offset % split.subnetSize;
+        const index = version === 6 ? offset / split.subnetSize : Math.floor(offset / split.subnetSize);
+
+        if (split.skip && (index === 0 || index === blocks - 1)) {
+            const block = intToIP((split.baseValue + index * split.subnetSize) >>> 0);
+            throw new Error(`${address} is in ${index === 0 ? 'subnet zero' : 'the all-ones subnet'} (${block}/${split.prefix}), which is excluded when subnet zero is not allowed`);
+        }
+
+        const subnet = buildSplitSubnet(split, index + (version === 6 ? 1n : 1 - split.skip));
+
+        let role = 'usable';
+        if (version === 4 && subnet.hasBroadcast) {
+            if (hostOffset === 0) {
+                role = 'network';
+            } else if (hostOffset === split.subnetSize - 1) {
+                role = 'broadcast';
+            }
+        }
+
+        return {
+            address: version === 6 ? bigIntToIPv6(value) : address,
+            subnet: subnet,
+            subnetNumber: subnet.subnetNumber,
+            offset: offset,
+            blockSize: split.subnetSize,
+            hostOffset: hostOffset,
+            role: role
+        };
+    }
+
+    /**
+     * Reads a subnet or host index typed by the user
+     * @param {number|bigint|string} value - Whole number (commas, underscores and spaces are ignored)
+     * @param {string} label - What the index counts, for error messages
+     * @param {number} version - IP version, which decides Number or BigInt
+     * @returns {number|bigint} - The index (BigInt for IPv6)
+     */
+    function readIndex(value, label, version) {
+        const text = String(value === null || value === undefined ? '' : value).replace(/[,_\s]/g, '');
+        if (!/^\d+$/.test(text)) {
+            throw new Error(`${label} number must be a whole number${text ? `, not "${value}"` : ''}`);
+        }
+        return version === 6 ? BigInt(text) : Number(text);
+    }
+
+    /**
+     * Finds the Nth subnet of a split and optionally the Mth usable host in it, by multiplying
+     * the index by the block size instead of listing the subnets before it
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length
+     * @param {number|bigint|string} subnetIndex - Subnet index
+     * @param {number|bigint|string} hostIndex - Usable host index inside the subnet (null for none)
+     * @param {Object} options - { zeroBased, subnetZero } where zeroBased counts both indexes from 0
+     *                           and subnetZero is as in calculateSubnets
+     * @returns {Object} - { baseNetwork, basePrefix, zeroBased, subnetIndex, subnetNumber, blocksBefore,
+     *                     blockSize, subnetOffset, subnet, host } where host is null or { index, offset, address, usableHosts,
+     *                     firstUsableOffset } (offsets from the subnet's network address; Numbers
+     *                     for IPv4, BigInts for IPv6)
+     */
+    function getNthSubnet(baseIP, basePrefix, newPrefix, subnetIndex, hostIndex = null, options = {}) {
+        const split = resolveSplit(baseIP, basePrefix, newPrefix, options);
+        const isIPv6 = split.version === 6;
+        const one = isIPv6 ? 1n : 1;
+        const start = options.zeroBased ? (isIPv6 ? 0n : 0) : one;
+        const counting = options.zeroBased ? 'counting from 0' : 'counting from 1';
+
+        // Step 1: The subnet, skipping subnet zero when the rules leave it out
+        const n = readIndex(subnetIndex, 'Subnet', split.version);
+        const position = n - start + one;
+        if (position < one || position > split.count) {
+            throw new Error(`There is no subnet ${n.toLocaleString()} (${counting}); this split has ${split.count.toLocaleString()} subnet${split.count === one ? '' : 's'}, numbered ${start.toLocaleString()} to ${(split.count - one + start).toLocaleString()}`);
+        }
+
+        const subnet = buildSplitSubnet(split, position);
+        const blocksBefore = position - one + (isIPv6 ? 0n : split.skip);
+        const result = {
+            baseNetwork: isIPv6 ? bigIntToIPv6(split.baseValue) : intToIP(split.baseValue),
+            basePrefix: basePrefix,
+            zeroBased: Boolean(options.zeroBased),
+            subnetIndex: n,
+            subnetNumber: subnet.subnetNumber,
+            blocksBefore: blocksBefore,
+            blockSize: split.subnetSize,
+            subnetOffset: blocksBefore * split.subnetSize,
+            subnet: subnet,
+            host: null
+        };
+
+        if (hostIndex === null || hostIndex === undefined || String(hostIndex).trim() === '') {
+            return result;
+        }
+
+        // Step 2: The host, counted from the first usable address
+        const m = readIndex(hostIndex, 'Host', split.version);
+        const usableHosts = subnet.usableHosts;
+        const hostPosition = m - start + one;
+        if (hostPosition < one || hostPosition > usableHosts) {
+            throw new Error(`There is no host ${m.toLocaleString()} (${counting}) in ${subnet.networkAddress}/${subnet.prefix}, which has ${usableHosts.toLocaleString()} usable address${usableHosts === one ? '' : 'es'}`);
+        }
+
+        // IPv4 skips the network address, except on /31 and /32 (RFC 3021); IPv6 uses every address
+        const firstUsableOffset = !isIPv6 && subnet.hasBroadcast ? 1 : (isIPv6 ? 0n : 0);
+        const offset = firstUsableOffset + hostPosition - one;
+        result.host = {
+            index: m,
+            offset: offset,
+            address: isIPv6
+                ? bigIntToIPv6(ipv6ToBigInt(subnet.networkAddress) + offset)
+                : intToIP((ipToInt(subnet.networkAddress) + offset) >>> 0),
+            usableHosts: usableHosts,
+            firstUsableOffset: firstUsableOffset
+        };
+
+        return result;
+    }
+
+    /**
+     * Works out the subnet index and usable host index of an address in a split (the inverse
+     * of getNthSubnet)
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} newPrefix - New prefix length
+     * @param {string} address - Address to index (same version as the split)
+     * @param {Object} options - { zeroBased, subnetZero } as in getNthSubnet
+     * @returns {Object} - The locateAddress result plus { baseNetwork, basePrefix, zeroBased, subnetIndex,
+     *                     hostIndex, blocksBefore, firstUsableOffset } where hostIndex is null for
+     *                     the network and broadcast addresses
+     */
+    function getAddressIndex(baseIP, basePrefix, newPrefix, address, options = {}) {
+        const found = locateAddress(baseIP, basePrefix, newPrefix, address, options);
+        const isIPv6 = found.subnet.version === 6;
+        const start = options.zeroBased ? 0 : 1;
+        const { baseValue } = resolveSplit(baseIP, basePrefix, newPrefix, options);
+
+        if (isIPv6) {
+            return {
+                ...found,
+                baseNetwork: bigIntToIPv6(baseValue),
+                basePrefix: basePrefix,
+                zeroBased: Boolean(options.zeroBased),
+                subnetIndex: BigInt(found.subnetNumber) - 1n + BigInt(start),
+                hostIndex: found.hostOffset + BigInt(start),
+                blocksBefore: found.offset / found.blockSize,
+                firstUsableOffset: 0n
+            };
+        }
+
+        const firstUsableOffset = found.subnet.hasBroadcast ? 1 : 0;
+        return {
+            ...found,
+            baseNetwork: intToIP(baseValue),
+            basePrefix: basePrefix,
+            zeroBased: Boolean(options.zeroBased),
+            subnetIndex: found.subnetNumber - 1 + start,
+            hostIndex: found.role === 'usable' ? found.hostOffset - firstUsableOffset + start : null,
+            blocksBefore: Math.floor(found.offset / found.blockSize),
+            firstUsableOffset: firstUsableOffset
+        };
+    }
+
+    /**
+     * Reads a policy amount: a count ('10') or a share of the usable hosts ('20%')
+     * @param {string} field - Field the amount came from ('statics' or 'reserved')
+     * @param {*} value - Amount as entered (empty means 0)
+     * @returns {Object} - { amount } as { type: 'count' | 'percent', value }, or { issue }
+     */
+    function readPolicyAmount(field, value) {
+        const text = String(value === undefined || value === null ? '' : value).replace(/\s/g, '');
+        const label = field === 'statics' ? 'Static block' : 'Reserved block';
+        const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(text || '0');
+
+        if (!match || (!match[2] && match[1].includes('.'))) {
+            return { issue: validationIssue(
+                'POLICY_AMOUNT_INVALID', field, value,
+                `${label} "${text}" is neither a count nor a percentage`,
+                'Enter a whole number of addresses (e.g., 10) or a share of the usable hosts (e.g., 20%)'
+            ) };
+        }
+        if (match[2] && Number(match[1]) > 100) {
+            return { issue: validationIssue(
+                'POLICY_PERCENT_TOO_LARGE', field, value,
+                `${label} ${text} is more than the whole subnet`,
+                'Enter a percentage from 0% to 100%'
+            ) };
+        }
+
+        return { amount: { type: match[2] ? 'percent' : 'count', value: Number(match[1]) } };
+    }
+
+    /**
+     * Validates a DHCP scope policy template, collecting every problem
+     * @param {Object} input - Raw form values { name, gateway, statics, reserved, minPool } where statics and
+     *                         reserved are counts ('10') or percentages of the usable hosts ('20%')
+     * @returns {Object} - { valid, errors, value } where errors are validation issues on the 'name', 'gateway',
+     *                     'statics', 'reserved' or 'minPool' field and value is the policy
+     *                     { name, gateway, statics, reserved, minPool } with amounts as { type, value }
+     */
+    function validatePolicy(input) {
+        const errors = [];
+        const value = {
+            name: String(input.name === undefined ? '' : input.name).trim(),
+            gateway: input.gateway || 'first'
+        };
+
+        if (!value.name) {
+            errors.push(validationIssue(
+                'POLICY_NAME_REQUIRED', 'name', input.name,
+                'A policy needs a name',
+                'Name it after where it is used (e.g., Office LAN)'
+            ));
+        }
+
+        if (!['first', 'last', 'none'].includes(value.gateway)) {
+            errors.push(validationIssue(
+                'POLICY_GATEWAY_INVALID', 'gateway', value.gateway,
+                `Unknown gateway position "${value.gateway}"`,
+                'Choose first, last or none'
+            ));
+        }
+
+        ['statics', 'reserved'].forEach(field => {
+            const read = readPolicyAmount(field, input[field]);
+            if (read.issue) {
+                errors.push(read.issue);
+            } else {
+                value[field] = read.amount;
+            }
+        });
+
+        if (value.statics && value.reserved && value.statics.type === 'percent' && value.reserved.type === 'percent' &&
+            value.statics.value + value.reserved.value > 100) {
+            errors.push(validationIssue(
+                'POLICY_PERCENT_TOO_LARGE', 'reserved', input.reserved,
+                `Statics (${value.statics.value}%) and reserved (${value.reserved.value}%) add up to more than the whole subnet`,
+                'Keep the two percentages at 100% or less in total'
+            ));
+        }
+
+        const minPool = String(input.minPool === undefined || input.minPool === null ? '' : input.minPool).trim();
+        if (!/^\d*$/.test(minPool)) {
+            errors.push(validationIssue(
+                'POLICY_MIN_POOL_INVALID', 'minPool', input.minPool,
+                `Minimum DHCP pool "${minPool}" is not a whole number`,
+                'Enter how many addresses the pool keeps before statics and reserved shrink (e.g., 2)'
+            ));
+        } else {
+            value.minPool = minPool === '' ? 0 : Number(minPool);
+        }
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Lays out an IPv4 subnet by a DHCP scope policy: the gateway, a block of statics after it,
+     * reserved addresses at the top and the DHCP pool in between. Percentages are of the usable
+     * hosts, rounded down. When the subnet is too small the reserved block shrinks first, then the
+     * statics, so the pool keeps at least minPool addresses. A /30 keeps no pool (gateway plus one
+     * static), and /31 and /32 have no network or broadcast address to set aside.
+     * @param {string} networkAddress - Subnet network address
+     * @param {number} prefix - Subnet prefix length
+     * @param {Object} policy - Policy value from validatePolicy
+     * @returns {Object} - { gateway, staticRange, dhcpRange, reservedRange, counts, notes } with offsets from the
+     *                     network address ({ first, last } ranges, null when empty), counts
+     *                     { statics, dhcp, reserved } and notes explaining every adjustment
+     */
+    function applyRangePolicy(networkAddress, prefix, policy) {
+        const total = getTotalAddresses(prefix);
+        const notes = [];
+        const range = (first, count) => count > 0 ? { first: first, last: first + count - 1 } : null;
+        const layout = (gateway, statics, dhcp, reserved) => ({
+            gateway: gateway,
+            staticRange: range(statics.first, statics.count),
+            dhcpRange: range(dhcp.first, dhcp.count),
+            reservedRange: range(reserved.first, reserved.count),
+            counts: { statics: statics.count, dhcp: dhcp.count, reserved: reserved.count },
+            notes: notes
+        });
+
+        // Host routes and point-to-point links: every address is a host
+        if (prefix === 32) {
+            notes.push('A /32 is a single address, recorded as one static host with no gateway or DHCP pool');
+            return layout(null, { first: 0, count: 1 }, { first: 0, count: 0 }, { first: 0, count: 0 });
+        }
+        if (prefix === 31) {
+            notes.push('A /31 point-to-point link (RFC 3021) has two addresses and no network or broadcast; ' +
+                'there is no room for a DHCP pool or reserved block');
+            if (policy.gateway === 'none') {
+                return layout(null, { first: 0, count: 2 }, { first: 0, count: 0 }, { first: 0, count: 0 });
+            }
+            const gateway = policy.gateway === 'first' ? 0 : 1;
+            return layout(gateway, { first: 1 - gateway, count: 1 }, { first: 0, count: 0 }, { first: 0, count: 0 });
+        }
+
+        // Step 1: Place the gateway at either end of the usable range
+        const usable = total - 2;
+        let first = 1;
+        let last = total - 2;
+        let gateway = null;
+        if (policy.gateway === 'first') {
+            gateway = first++;
+        } else if (policy.gateway === 'last') {
+            gateway = last--;
+        }
+        const room = last - first + 1;
+
+        // Step 2: A /30 only has the two ends of a link
+        if (usable <= 2) {
+            notes.push(`A /${prefix} has ${usable} usable addresses, so every host ${gateway !== null ? 'besides the gateway ' : ''}is static; ` +
+                'there is no room for a DHCP pool or reserved block');
+            return layout(gateway, { first: first, count: room }, { first: first, count: 0 }, { first: last + 1, count: 0 });
+        }
+
+        // Step 3: Size the static and reserved blocks, then shrink them so the pool keeps its minimum
+        const sizeOf = amount => amount.type === 'percent' ? Math.floor(usable * amount.value / 100) : amount.value;
+        const wantStatics = sizeOf(policy.statics);
+        const wantReserved = sizeOf(policy.reserved);
+        const minPool = Math.min(policy.minPool, room);
+        const space = room - minPool;
+
+        const statics = Math.min(wantStatics, space);
+        const reserved = Math.min(wantReserved, space - statics);
+        if (reserved < wantReserved) {
+            notes.push(`Reserved block cut from ${wantReserved} to ${reserved} so ${minPool > 0 ? `the DHCP pool keeps at least ${minPool}` : 'it fits'}`);
+        }
+        if (statics < wantStatics) {
+            notes.push(`Static block cut from ${wantStatics} to ${statics} so ${minPool > 0 ? `the DHCP pool keeps at least ${minPool}` : 'it fits'}`);
+        }
+
+        return layout(
+            gateway,
+            { first: first, count: statics },
+            { first: first + statics, count: room - statics - reserved },
+            { first: last - reserved + 1, count: reserved }
+        );
+    }
+
+    /**
+     * Describes one address of an IPv4 subnet by its offset from the network address
+     * @param {string} networkAddress - Subnet network address
+     * @param {number} prefix - Subnet prefix length
+     * @param {number} offset - 0-based offset inside the subnet
+     * @param {Object} roles - Result of applyRangePolicy (optional)
+     * @returns {Object} - { offset, address, binary, hex, role } where role is 'network', 'broadcast',
+     *                     'gateway', 'static', 'dhcp', 'reserved' or 'usable'
+     */
+    function getHostAt(networkAddress, prefix, offset, roles = null) {
+        const networkInt = ipToInt(getNetworkAddress(networkAddress, prefix));
+        const total = getTotalAddresses(prefix);
+
+        if (!Number.isInteger(offset) || offset < 0 || offset >= total) {
+            throw new Error(`Offset ${offset} is outside this /${prefix}, which holds ${total.toLocaleString()} address${total !== 1 ? 'es' : ''}`);
+        }
+
+        const value = (networkInt + offset) >>> 0;
+        const inRange = range => range !== null && offset >= range.first && offset <= range.last;
+
+        let role = 'usable';
+        if (prefix < 31 && offset === 0) {
+            role = 'network';
+        } else if (prefix < 31 && offset === total - 1) {
+            role = 'broadcast';
+        } else if (roles && offset === roles.gateway) {
+            role = 'gateway';
+        } else if (roles && inRange(roles.staticRange)) {
+            role = 'static';
+        } else if (roles && inRange(roles.dhcpRange)) {
+            role = 'dhcp';
+        } else if (roles && roles.reservedRange && inRange(roles.reservedRange)) {
+            role = 'reserved';
+        }
+
+        return {
+            offset: offset,
+            address: intToIP(value),
+            binary: ipToBinary(intToIP(value)),
+            hex: '0x' + value.toString(16).toUpperCase().padStart(8, '0'),
+            role: role
+        };
+    }
+
+    /**
+     * Builds one page of a subnet's addresses on demand
+     * @param {string} networkAddress - Subnet network address
+     * @param {number} prefix - Subnet prefix length
+     * @param {number} firstOffset - Offset of the first address on the page
+     * @param {number} pageSize - Most addresses to return
+     * @param {Object} roles - Result of applyRangePolicy (optional)
+     * @returns {Array} - Up to pageSize host objects
+     */
+    function getHostPage(networkAddress, prefix, firstOffset, pageSize, roles = null) {
+        const total = getTotalAddresses(prefix);
+        const hosts = [];
+
+        for (let offset = firstOffset; offset < total && hosts.length < pageSize; offset++) {
+            hosts.push(getHostAt(networkAddress, prefix, offset, roles));
+        }
+
+        return hosts;
+    }
+
+    // Kinds of host assignment the address manager records
+    const ASSIGNMENT_TYPES = ['static', 'dhcp'];
+
+    /**
+     * Normalizes a MAC address written with colons, hyphens, Cisco dots or no separators
+     * @param {string} mac - MAC address as entered
+     * @returns {string|null} - Lowercase colon-separated MAC (e.g. 00:1a:2b:3c:4d:5e), or null if it is not one
+     */
+    function normalizeMAC(mac) {
+        const text = String(mac).trim().toLowerCase();
+        const patterns = [
+            /^[0-9a-f]{2}([:-])[0-9a-f]{2}(\1[0-9a-f]{2}){4}$/,
+            /^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/,
+            /^[0-9a-f]{12}$/
+        ];
+
+        if (!patterns.some(pattern => pattern.test(text))) {
+            return null;
+        }
+        return text.replace(/[:.-]/g, '').match(/../g).join(':');
+    }
+
+    /**
+     * Validates a host assignment recorded against an IPv4 subnet, collecting every problem.
+     * The address must be a free host address of the subnet; DHCP reservations also need a MAC.
+     * @param {string} cidr - Subnet the assignment belongs to, e.g. '192.168.1.0/26'
+     * @param {Object} input - Raw form values { address, hostname, mac, owner, notes, type }
+     * @param {Array} existing - Assignments already recorded for the subnet (leave out the one being edited)
+     * @returns {Object} - { valid, errors, value } where errors are validation issues on the
+     *                     'address', 'hostname', 'mac' or 'type' field and value is the cleaned
+     *                     assignment { address, hostname, mac, owner, notes, type }
+     */
+    function validateAssignment(cidr, input, existing = []) {
+        const subnet = parseCIDR(cidr);
+        const errors = [];
+        const text = field => String(input[field] === undefined || input[field] === null ? '' : input[field]).trim();
+        const value = {
+            address: text('address'),
+            hostname: text('hostname').toLowerCase(),
+            mac: text('mac'),
+            owner: text('owner'),
+            notes: text('notes'),
+            type: text('type') || 'static'
+        };
+
+        // Step 1: The address is a host address inside the subnet
+        const hostRange = `Use an address from ${getFirstUsable(subnet.networkAddress, subnet.prefix)} to ` +
+            `${getLastUsable(getBroadcastAddress(subnet.networkAddress, subnet.prefix), subnet.prefix)}`;
+        if (!isValidIP(value.address)) {
+            errors.push(validationIssue(
+                value.address ? 'ASSIGNMENT_ADDRESS_INVALID' : 'ASSIGNMENT_ADDRESS_REQUIRED', 'address', value.address,
+                value.address ? `"${value.address}" is not a valid IPv4 address` : 'An address is required',
+                hostRange
+            ));
+        } else {
+            const offset = ipToInt(value.address) - subnet.networkInt;
+            const total = getTotalAddresses(subnet.prefix);
+            if (offset < 0 || offset >= total) {
+                errors.push(validationIssue(
+                    'ASSIGNMENT_OUTSIDE_SUBNET', 'address', value.address,
+                    `${value.address} is not inside ${subnet.networkAddress}/${subnet.prefix}`,
+                    hostRange
+                ));
+            } else if (subnet.prefix < 31 && (offset === 0 || offset === total - 1)) {
+                errors.push(validationIssue(
+                    'ASSIGNMENT_RESERVED', 'address', value.address,
+                    `${value.address} is the ${offset === 0 ? 'network' : 'broadcast'} address of ${subnet.networkAddress}/${subnet.prefix}, so no host can use it`,
+                    hostRange
+                ));
+            } else {
+                const taken = existing.find(assignment => assignment.address === value.address);
+                if (taken) {
+                    errors.push(validationIssue(
+                        'ASSIGNMENT_ADDRESS_TAKEN', 'address', value.address,
+                        `${value.address} is already assigned${taken.hostname ? ` to ${taken.hostname}` : ''}`,
+                        'Edit the existing assignment instead, or pick another address'
+                    ));
+                }
+            }
+        }
+
+        // Step 2: Hostname follows RFC 1123 (letters, digits and hyphens in dot-separated labels)
+        const label = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/;
+        if (value.hostname && (value.hostname.length > 253 || !value.hostname.replace(/\.$/, '').split('.').every(part => label.test(part)))) {
+            errors.push(validationIssue(
+                'ASSIGNMENT_HOSTNAME_INVALID', 'hostname', value.hostname,
+                `"${value.hostname}" is not a valid hostname`,
+                'Use letters, digits and hyphens, with dots between labels (e.g., printer-2.lab.example)'
+            ));
+        }
+
+        // Step 3: MAC address (required to reserve an address in DHCP)
+        if (value.mac) {
+            const mac = normalizeMAC(value.mac);
+            if (mac === null) {
+                errors.push(validationIssue(
+                    'ASSIGNMENT_MAC_INVALID', 'mac', value.mac,
+                    `"${value.mac}" is not a valid MAC address`,
+                    'Enter six hex pairs, e.g. 00:1a:2b:3c:4d:5e, 00-1A-2B-3C-4D-5E or 001a.2b3c.4d5e'
+                ));
+            } else {
+                value.mac = mac;
+            }
+        } else if (value.type === 'dhcp') {
+            errors.push(validationIssue(
+                'ASSIGNMENT_MAC_REQUIRED', 'mac', value.mac,
+                'A DHCP reservation needs the client\'s MAC address',
+                'Enter the MAC address, or record the host as static'
+            ));
+        }
+
+        // Step 4: Assignment type
+        if (!ASSIGNMENT_TYPES.includes(value.type)) {
+            errors.push(validationIssue(
+                'ASSIGNMENT_TYPE_INVALID', 'type', value.type,
+                `Unknown assignment type "${value.type}"`,
+                'Choose static or dhcp'
+            ));
+        }
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Measures how much of a subnet's usable space has been assigned
+     * @param {string} cidr - Subnet, e.g. '192.168.1.0/26'
+     * @param {Array} assignments - Assignments recorded for the subnet
+     * @returns {Object} - { assigned, static, dhcp, usable, free, percent } where percent is
+     *                     rounded to one decimal place
+     */
+    function getAssignmentUtilization(cidr, assignments) {
+        const subnet = parseCIDR(cidr);
+        const usable = getUsableHosts(subnet.prefix);
+        const assigned = assignments.length;
+        const dhcp = assignments.filter(assignment => assignment.type === 'dhcp').length;
+
+        return {
+            assigned: assigned,
+            static: assigned - dhcp,
+            dhcp: dhcp,
+            usable: usable,
+            free: Math.max(usable - assigned, 0),
+            percent: usable === 0 ? 0 : Math.round(assigned / usable * 1000) / 10
+        };
+    }
+
+    /**
+     * Finds addresses and MACs recorded more than once, across every subnet.
+     * The same address can only repeat between overlapping subnets, which is still a clash.
+     * @param {Array} records - { subnet, assignments } per subnet
+     * @returns {Object} - { addresses, macs } where each is a list of { value, entries } and
+     *                     entries are { subnet, address, hostname, mac } in record order
+     */
+    function findDuplicateAssignments(records) {
+        const byAddress = new Map();
+        const byMAC = new Map();
+        const add = (map, key, entry) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(entry);
+        };
+
+        records.forEach(record => {
+            record.assignments.forEach(assignment => {
+                const entry = {
+                    subnet: record.subnet,
+                    address: assignment.address,
+                    hostname: assignment.hostname,
+                    mac: assignment.mac
+                };
+                add(byAddress, assignment.address, entry);
+                if (assignment.mac) {
+                    add(byMAC, assignment.mac, entry);
+                }
+            });
+        });
+
+        const repeated = map => [...map]
+            .filter(([, entries]) => entries.length > 1)
+            .map(([value, entries]) => ({ value, entries }));
+
+        return { addresses: repeated(byAddress), macs: repeated(byMAC) };
+    }
+
+    /**
+     * Finds the longest prefix whose subnet still holds the required hosts
+     * @param {number} hosts - Required number of usable hosts
+     * @returns {number} - Prefix length (2^host bits - 2 >= hosts)
+     */
+    function getPrefixForHosts(hosts) {
+        if (!Number.isInteger(hosts) || hosts < 1) {
+            throw new Error('Host requirement must be a positive whole number');
+        }
+
+        let hostBits = 2;
+        while (Math.pow(2, hostBits) - 2 < hosts) {
+            hostBits++;
+        }
+
+        if (hostBits > 32) {
+            throw new Error(`${hosts} hosts exceeds the IPv4 address space`);
+        }
+
+        return 32 - hostBits;
+    }
+
+    /**
+     * Works out the prefix a split needs from a subnet-count or hosts-per-subnet requirement
+     * @param {string} baseIP - Base network IP (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix length
+     * @param {Object} requirement - { type: 'subnets' | 'hosts', count } (count may be a BigInt)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Object} - { type, count, bits, newPrefix, subnetZero, tradeoffs } where bits are
+     *                     the borrowed subnet bits or the host bits, and tradeoffs lists
+     *                     { prefix, subnets, hostsPerSubnet, meetsRequirement, selected }
+     *                     for the prefixes either side of the chosen one
+     */
+    function planSplit(baseIP, basePrefix, requirement, options = {}) {
+        const version = getIPVersion(baseIP);
+        if (version === null) {
+            throw validationError(addressIssue(baseIP));
+        }
+
+        if (!isValidPrefix(basePrefix, version)) {
+            throw validationError(prefixIssue('basePrefix', basePrefix, version));
+        }
+
+        const { type } = requirement;
+        if (type !== 'subnets' && type !== 'hosts') {
+            throw new Error(`Unknown requirement type "${type}"`);
+        }
+
+        let needed;
+        try {
+            needed = BigInt(requirement.count);
+        } catch (error) {
+            needed = 0n;
+        }
+        if (needed < 1n) {
+            throw validationError(countIssue(type, requirement.count));
+        }
+
+        const addressBits = version === 6 ? 128 : 32;
+        const availableBits = addressBits - basePrefix;
+        const subnetZero = allowsSubnetZero(options, version);
+        // Without subnet zero a split loses its first and last blocks (2^n - 2); no split keeps the network
+        const subnetsAt = prefix => {
+            const blocks = 1n << BigInt(prefix - basePrefix);
+            return subnetZero || prefix === basePrefix ? blocks : blocks - 2n;
+        };
+        // IPv4 keeps its network and broadcast addresses; IPv6 uses them all. A hosts requirement
+        // sizes LAN subnets, so like getPrefixForHosts it needs at least 2 host bits (2^h - 2 >= count)
+        // and never settles on a /31 link or /32 host route
+        const hostsAt = prefix => {
+            if (version === 6) {
+                return 1n << BigInt(128 - prefix);
+            }
+            return type === 'hosts' && prefix > 30 ? 0n : BigInt(getUsableHosts(prefix));
+        };
+        const meets = prefix => type === 'subnets'
+            ? subnetsAt(prefix) >= needed
+            : hostsAt(prefix) >= needed && subnetsAt(prefix) >= 1n;
+
+        let newPrefix;
+        if (type === 'subnets') {
+            // Fewest borrowed bits n with 2^n >= subnets
+            newPrefix = basePrefix;
+            while (newPrefix < addressBits && !meets(newPrefix)) {
+                newPrefix++;
+            }
+            if (!meets(newPrefix)) {
+                throw validationError(validationIssue(
+                    'COUNT_TOO_LARGE', 'count', requirement.count,
+                    `${needed.toLocaleString()} subnets need more than the ${availableBits} bits a /${basePrefix} can lend`,
+                    `Ask for at most ${subnetsAt(addressBits).toLocaleString()} subnets, or start from a shorter base prefix`
+                ));
+            }
+        } else {
+            // Longest prefix whose subnets still hold the hosts
+            newPrefix = addressBits;
+            while (newPrefix > basePrefix && !meets(newPrefix)) {
+                newPrefix--;
+            }
+            if (!meets(newPrefix)) {
+                throw validationError(validationIssue(
+                    'COUNT_TOO_LARGE', 'count', requirement.count,
+                    `${needed.toLocaleString()} hosts per subnet do not fit in a /${basePrefix} (at most ${hostsAt(basePrefix).toLocaleString()})`,
+                    'Start from a shorter base prefix, or ask for fewer hosts per subnet'
+                ));
+            }
+        }
+
+        const tradeoffs = [];
+        for (let prefix = Math.max(basePrefix, newPrefix - 3); prefix <= Math.min(addressBits, newPrefix + 3); prefix++) {
+            const subnets = subnetsAt(prefix);
+            const hostsPerSubnet = hostsAt(prefix);
+            tradeoffs.push({
+                prefix: prefix,
+                subnets: version === 6 ? subnets : Number(subnets),
+                hostsPerSubnet: version === 6 ? hostsPerSubnet : Number(hostsPerSubnet),
+                meetsRequirement: meets(prefix),
+                selected: prefix === newPrefix
+            });
+        }
+
+        return {
+            type: type,
+            count: version === 6 ? needed : Number(needed),
+            bits: type === 'subnets' ? newPrefix - basePrefix : addressBits - newPrefix,
+            newPrefix: newPrefix,
+            subnetZero: subnetZero,
+            tradeoffs: tradeoffs
+        };
+    }
+
+    /**
+     * Splits an inclusive integer range into the fewest aligned CIDR blocks
+     * @param {number} startInt - First address as integer
+     * @param {number} endInt - Last address as integer
+     * @returns {Array} - Array of { networkInt, prefix } blocks
+     */
+    function rangeToBlocks(startInt, endInt) {
+        const blocks = [];
+        let current = startInt;
+
+        while (current <= endInt) {
+            // Largest block allowed by the alignment of the current address
+            let size = current === 0 ? Math.pow(2, 32) : ((current & -current) >>> 0);
+
+            // Shrink until the block fits inside the range
+            while (current + size - 1 > endInt) {
+                size /= 2;
+            }
+
+            blocks.push({ networkInt: current, prefix: 32 - Math.log2(size) });
+            current += size;
+        }
+
+        return blocks;
+    }
+
+    /**
+     * Lists the unallocated space left inside a parent network
+     * @param {number} parentStart - Parent network address as integer
+     * @param {number} parentEnd - Parent broadcast address as integer
+     * @param {Array} subnets - Allocated subnet objects inside the parent
+     * @returns {Array} - Array of subnet objects covering the free space
+     */
+    function getFreeBlocks(parentStart, parentEnd, subnets) {
+        const used = subnets
+            .map(s => [ipToInt(s.networkAddress), ipToInt(s.broadcastAddress)])
+            .sort((a, b) => a[0] - b[0]);
+
+        const blocks = [];
+        let cursor = parentStart;
+
+        used.forEach(([start, end]) => {
+            if (start > cursor) {
+                blocks.push(...rangeToBlocks(cursor, start - 1));
+            }
+            cursor = Math.max(cursor, end + 1);
+        });
+
+        if (cursor <= parentEnd) {
+            blocks.push(...rangeToBlocks(cursor, parentEnd));
+        }
+
+        return blocks.map((block, i) => buildSubnet(block.networkInt, block.prefix, i + 1));
+    }
+
+    /**
+     * Parses CIDR notation such as "10.1.0.0/16" (a bare address is a /32)
+     * @param {string} cidr - Network in CIDR notation
+     * @returns {Object} - { ip, prefix, networkInt, networkAddress, hostBitsSet }
+     */
+    function parseCIDR(cidr) {
+        const text = String(cidr).trim();
+        const [ip, prefixText, extra] = text.split('/');
+        const prefix = prefixText === undefined ? 32 : Number(prefixText);
+
+        if (extra !== undefined || !isValidIP(ip) || prefixText === '' || !isValidPrefix(prefix)) {
+            throw new Error(`Invalid network "${text}" (expected e.g. 10.1.0.0/16)`);
+        }
+
+        const networkInt = ipToInt(getNetworkAddress(ip, prefix));
+
+        return {
+            ip: ip,
+            prefix: prefix,
+            networkInt: networkInt,
+            networkAddress: intToIP(networkInt),
+            hostBitsSet: networkInt !== ipToInt(ip)
+        };
+    }
+
+    /**
+     * Creates a parse error that remembers where in the input it happened
+     * @param {string} message - Error message
+     * @param {number} position - 0-based character index of the problem
+     * @param {number} length - Number of characters at fault
+     * @returns {Error} - Error with position and length properties
+     */
+    function inputError(message, position, length = 1) {
+        const error = new Error(`${message} (at character ${position + 1})`);
+        error.position = position;
+        error.length = length;
+        return error;
+    }
+
+    /**
+     * Validates dotted-decimal IPv4 text octet by octet
+     * @param {string} token - Candidate address
+     * @param {number} offset - Position of the token in the full input
+     * @returns {number} - Address as 32-bit integer
+     */
+    function parseDottedDecimal(token, offset) {
+        const parts = token.split('.');
+        let cursor = offset;
+
+        for (let i = 0; i < parts.length; i++) {
+            const part = parts[i];
+            if (i === 4) {
+                throw inputError('Too many octets: an IPv4 address has exactly 4', cursor - 1, token.length - (cursor - 1 - offset));
+            }
+            if (part === '') {
+                throw inputError(`Octet ${i + 1} is empty`, Math.max(cursor - 1, offset), 1);
+            }
+
+            const bad = part.search(/\D/);
+            if (bad !== -1) {
+                throw inputError(`Unexpected "${part[bad]}" in octet ${i + 1}`, cursor + bad, 1);
+            }
+            if (part.length > 1 && part[0] === '0') {
+                throw inputError(`Octet ${i + 1} ("${part}") has a leading zero`, cursor, part.length);
+            }
+            if (Number(part) > 255) {
+                throw inputError(`Octet ${i + 1} (${part}) is greater than 255`, cursor, part.length);
+            }
+
+            cursor += part.length + 1;
+        }
+
+        if (parts.length < 4) {
+            throw inputError(`Only ${parts.length} of 4 octets given`, offset + token.length, 0);
+        }
+
+        return ipToInt(token);
+    }
+
+    /**
+     * Parses one address written in any supported notation
+     * @param {string} token - Dotted decimal, hex (0x...), 32-bit integer, binary or IPv6
+     * @param {number} offset - Position of the token in the full input
+     * @returns {Object} - { version, ip, value, format }
+     */
+    function parseAddressToken(token, offset) {
+        // IPv6
+        if (token.includes(':')) {
+            const bad = token.search(/[^0-9a-f:.]/i);
+            if (bad !== -1) {
+                throw inputError(`Unexpected "${token[bad]}" in IPv6 address`, offset + bad, 1);
+            }
+            if (!isValidIPv6(token)) {
+                throw inputError(`"${token}" is not a valid IPv6 address`, offset, token.length);
+            }
+            const value = ipv6ToBigInt(token);
+            return { version: 6, ip: bigIntToIPv6(value), value: value, format: 'address' };
+        }
+
+        // Hexadecimal, e.g. 0xC0A80100
+        if (/^0x/i.test(token)) {
+            const digits = token.slice(2);
+            const bad = digits.search(/[^0-9a-f]/i);
+            if (digits === '') {
+                throw inputError('Hex address has no digits after 0x', offset + 2, 0);
+            }
+            if (bad !== -1) {
+                throw inputError(`Unexpected "${digits[bad]}" in hex address`, offset + 2 + bad, 1);
+            }
+            if (digits.length > 8) {
+                throw inputError('Hex address is longer than 8 digits (32 bits)', offset + 10, digits.length - 8);
+            }
+            const value = parseInt(digits, 16);
+            return { version: 4, ip: intToIP(value), value: value, format: 'hex' };
+        }
+
+        // Binary: 32 bits, optionally in dotted 8-bit groups
+        const bits = token.replace(/\./g, '');
+        if (/^[01]{32}$/.test(bits) && (bits === token || /^[01]{8}(\.[01]{8}){3}$/.test(token))) {
+            const value = parseInt(bits, 2);
+            return { version: 4, ip: intToIP(value), value: value, format: 'binary' };
+        }
+
+        // 32-bit integer
+        if (/^\d+$/.test(token)) {
+            const value = Number(token);
+            if (value > 0xFFFFFFFF) {
+                throw inputError(`${token} is larger than the biggest 32-bit address (4294967295)`, offset, token.length);
+            }
+            return { version: 4, ip: intToIP(value), value: value, format: 'integer' };
+        }
+
+        if (token.includes('.')) {
+            const value = parseDottedDecimal(token, offset);
+            return { version: 4, ip: intToIP(value), value: value, format: 'address' };
+        }
+
+        const bad = token.search(/[^0-9.]/);
+        throw inputError(`Unexpected "${token[Math.max(bad, 0)]}" in address`, offset + Math.max(bad, 0), 1);
+    }
+
+    /**
+     * Describes how an address token was written, for parse feedback
+     * @param {string} token - Original token
+     * @param {Object} parsed - Result of parseAddressToken
+     * @returns {string} - e.g. "hex 0xC0A80100 = 192.168.1.0"
+     */
+    function describeAddressToken(token, parsed) {
+        const names = { hex: 'hex', integer: 'integer', binary: 'binary' };
+        return names[parsed.format] ? `${names[parsed.format]} ${token} = ${parsed.ip}` : parsed.ip;
+    }
+
+    /**
+     * Parses free-form address input into the engine's (ip, prefix) inputs.
+     * Accepts CIDR, address + subnet mask, address + wildcard mask, hex,
+     * 32-bit integers, binary and start-end ranges.
+     * @param {string} text - Raw input
+     * @returns {Object} - { ip, prefix (null when none given), version, format, description }
+     *                     Errors carry `position` and `length` pointing at the bad characters; a range
+     *                     that is not one CIDR block throws RANGE_NOT_CIDR with its exact `blocks`
+     *                     (IPv4) and the `coveringBlock` the user may choose instead.
+     */
+    function parseAddressInput(text) {
+        const source = String(text);
+        const start = source.search(/\S/);
+        if (start === -1) {
+            throw inputError('Enter an address, e.g. 192.168.1.0/24', 0, 0);
+        }
+        const input = source.trim();
+
+        // Step 1: Start-end ranges (a "/" means a prefix, so "10.0.0.0/-1" is not a range)
+        const range = !input.includes('/') && input.match(/^(\S+?)\s*(?:-|–|—|\s+to\s+)\s*(\S+)$/i);
+        if (range) {
+            const endOffset = start + input.lastIndexOf(range[2]);
+            const first = parseAddressToken(range[1], start);
+            const last = parseAddressToken(range[2], endOffset);
+
+            if (first.version !== last.version) {
+                throw inputError('Both ends of a range must be the same IP version', endOffset, range[2].length);
+            }
+            if (first.value > last.value) {
+                throw inputError(`End address ${last.ip} is before start address ${first.ip}`, endOffset, range[2].length);
+            }
+
+            let prefix;
+            let network;
+            let blocks = [];
+            let outside;
+            if (first.version === 6) {
+                prefix = 128;
+                while (prefix > 0 && (first.value >> BigInt(128 - prefix)) !== (last.value >> BigInt(128 - prefix))) {
+                    prefix--;
+                }
+                const size = 1n << BigInt(128 - prefix);
+                network = bigIntToIPv6(first.value - (first.value % size));
+                outside = size - (last.value - first.value + 1n);
+            } else {
+                prefix = commonPrefixLength(first.value, last.value);
+                network = getNetworkAddress(first.ip, prefix);
+                blocks = rangeToBlocks(first.value, last.value).map(block => `${intToIP(block.networkInt)}/${block.prefix}`);
+                outside = getTotalAddresses(prefix) - (last.value - first.value + 1);
+            }
+
+            // A range that is not one block is never widened silently: offer its exact blocks and the covering network
+            if (outside > 0) {
+                const coveringBlock = `${network}/${prefix}`;
+                const shown = blocks.slice(0, 4).join(', ') + (blocks.length > 4 ? ` and ${blocks.length - 4} more` : '');
+                const widen = `${coveringBlock}, which adds ${outside.toLocaleString()} address${outside !== 1 ? 'es' : ''} outside the range`;
+                throw Object.assign(inputError(`Range ${first.ip} – ${last.ip} is not a single CIDR block`, start, input.length), {
+                    code: 'RANGE_NOT_CIDR',
+                    suggestion: blocks.length
+                        ? `It splits exactly into ${blocks.length} blocks (${shown}); calculate one of them, or use ${widen}`
+                        : `Use ${widen}`,
+                    blocks: blocks,
+                    coveringBlock: coveringBlock
+                });
+            }
+
+            return {
+                ip: network,
+                prefix: prefix,
+                version: first.version,
+                format: 'range',
+                description: `Range ${first.ip} – ${last.ip} is exactly ${network}/${prefix}`
+            };
+        }
+
+        // Step 2: Address with /prefix
+        const slash = input.lastIndexOf('/');
+        if (slash !== -1) {
+            const addressText = input.slice(0, slash).trim();
+            const afterSlash = input.slice(slash + 1);
+            const prefixText = afterSlash.trim();
+            const prefixOffset = start + slash + 1 + (afterSlash.length - afterSlash.trimStart().length);
+            const address = parseAddressToken(addressText, start);
+            const maxPrefix = address.version === 6 ? 128 : 32;
+
+            const bad = prefixText.search(/\D/);
+            if (prefixText === '') {
+                throw inputError('Prefix length is missing after "/"', start + slash + 1, 0);
+            }
+            if (/^-\d+$/.test(prefixText)) {
+                throw inputError(`Prefix /${prefixText} is shorter than /0`, prefixOffset, prefixText.length);
+            }
+            if (bad !== -1) {
+                throw inputError(`Unexpected "${prefixText[bad]}" in prefix length`, prefixOffset + bad, 1);
+            }
+            if (Number(prefixText) > maxPrefix) {
+                throw inputError(`Prefix /${prefixText} is longer than /${maxPrefix}`, prefixOffset, prefixText.length);
+            }
+
+            const prefix = Number(prefixText);
+            return {
+                ip: address.ip,
+                prefix: prefix,
+                version: address.version,
+                format: 'cidr',
+                description: `IPv${address.version} network ${describeAddressToken(addressText, address)}/${prefix}`
+            };
+        }
+
+        // Step 3: Address followed by a subnet or wildcard mask
+        const tokens = [...input.matchAll(/\S+/g)].map(match => ({ text: match[0], offset: start + match.index }));
+        if (tokens.length > 2) {
+            throw inputError(`Unexpected "${tokens[2].text}": enter an address and at most one mask`, tokens[2].offset, tokens[2].text.length);
+        }
+
+        const address = parseAddressToken(tokens[0].text, tokens[0].offset);
+        if (tokens.length === 1) {
+            return {
+                ip: address.ip,
+                prefix: null,
+                version: address.version,
+                format: address.format,
+                description: `IPv${address.version} address ${describeAddressToken(tokens[0].text, address)} (no prefix given)`
+            };
+        }
+
+        const maskToken = tokens[1];
+        if (address.version === 6) {
+            throw inputError('IPv6 uses a /prefix, not a mask', maskToken.offset, maskToken.text.length);
+        }
+
+        const mask = parseAddressToken(maskToken.text, maskToken.offset);
+        const maskInt = mask.value;
+        const wildcardInt = ~maskInt >>> 0;
+        const isLowOnes = value => ((value + 1) & value) === 0; // 0...01...1
+
+        // A subnet mask is preferred when the value reads both ways (0.0.0.0, 255.255.255.255)
+        if (isLowOnes(wildcardInt)) {
+            const prefix = 32 - Math.log2(wildcardInt + 1);
+            return {
+                ip: address.ip,
+                prefix: prefix,
+                version: 4,
+                format: 'mask',
+                description: `IPv4 address ${describeAddressToken(tokens[0].text, address)} with subnet mask ${mask.ip} = /${prefix}`
+            };
+        }
+
+        if (isLowOnes(maskInt)) {
+            const prefix = 32 - Math.log2(maskInt + 1);
+            return {
+                ip: address.ip,
+                prefix: prefix,
+                version: 4,
+                format: 'wildcard',
+                description: `IPv4 address ${describeAddressToken(tokens[0].text, address)} with wildcard mask ${mask.ip} (inverts to ${prefixToMask(prefix)}) = /${prefix}`
+            };
+        }
+
+        // Point at the octet holding the first 1-bit that follows a 0-bit
+        const leadingOnes = Math.clz32(wildcardInt);
+        const badBit = leadingOnes + Math.clz32((maskInt << leadingOnes) >>> 0);
+        const octets = maskToken.text.split('.');
+        const message = `${mask.ip} is neither a subnet mask nor a wildcard mask (its 1-bits are not contiguous)`;
+        if (octets.length !== 4) {
+            throw inputError(message, maskToken.offset, maskToken.text.length);
+        }
+        const badOctet = Math.floor(badBit / 8);
+        const octetOffset = octets.slice(0, badOctet).reduce((sum, octet) => sum + octet.length + 1, maskToken.offset);
+        throw inputError(message, octetOffset, octets[badOctet].length);
+    }
+
+    /**
+     * Builds a structured validation issue
+     * @param {string} code - Machine-readable code, e.g. 'PREFIX_OUT_OF_RANGE'
+     * @param {string} field - Input the issue belongs to ('address', 'basePrefix', 'newPrefix', 'mode', 'count',
+     *                         'requirements', an assignment's 'hostname', 'mac' or 'type', or a policy's
+     *                         'name', 'gateway', 'statics', 'reserved' or 'minPool')
+     * @param {*} value - Offending value as entered
+     * @param {string} message - What is wrong
+     * @param {string} suggestion - How to fix it
+     * @returns {Object} - { code, field, value, message, suggestion }
+     */
+    function validationIssue(code, field, value, message, suggestion) {
+        return { code, field, value, message, suggestion };
+    }
+
+    /**
+     * Wraps a validation issue in an Error so calculators can throw it
+     * @param {Object} issue - Result of validationIssue
+     * @returns {Error} - Error carrying the issue's code, field, value and suggestion
+     */
+    function validationError(issue) {
+        return Object.assign(new Error(issue.message), issue);
+    }
+
+    /**
+     * Issue for an address the engine cannot parse
+     * @param {string} value - Address as entered
+     * @returns {Object} - Validation issue
+     */
+    function addressIssue(value) {
+        return validationIssue(
+            'ADDRESS_INVALID', 'address', value,
+            `"${value}" is not a valid IPv4 or IPv6 address`,
+            'Enter an address such as 192.168.1.0 or 2001:db8::'
+        );
+    }
+
+    /**
+     * Issue for a prefix length outside the address family's range
+     * @param {string} field - 'basePrefix' or 'newPrefix'
+     * @param {*} value - Prefix as entered
+     * @param {number} version - IP version (4 or 6)
+     * @returns {Object} - Validation issue
+     */
+    function prefixIssue(field, value, version) {
+        const maxPrefix = version === 6 ? 128 : 32;
+        const label = field === 'newPrefix' ? 'New prefix' : 'Base prefix';
+        return validationIssue(
+            'PREFIX_OUT_OF_RANGE', field, value,
+            `${label} /${value} is not valid for IPv${version}`,
+            `Enter a whole number from 0 to ${maxPrefix}`
+        );
+    }
+
+    /**
+     * Issue for a split prefix that is shorter than the network being split
+     * @param {*} value - New prefix as entered
+     * @param {number} basePrefix - Base prefix length
+     * @param {number} version - IP version (4 or 6)
+     * @returns {Object} - Validation issue
+     */
+    function shortPrefixIssue(value, basePrefix, version) {
+        const maxPrefix = version === 6 ? 128 : 32;
+        return validationIssue(
+            'NEW_PREFIX_TOO_SHORT', 'newPrefix', value,
+            `New prefix /${value} must be longer than the base prefix /${basePrefix} to split the network`,
+            basePrefix < maxPrefix
+                ? `Enter a prefix from ${basePrefix + 1} to ${maxPrefix}, or leave it empty`
+                : `A /${maxPrefix} cannot be split; leave the new prefix empty`
+        );
+    }
+
+    /**
+     * Issue for a subnet or host count that is not a whole number of at least 1
+     * @param {string} type - 'subnets' or 'hosts'
+     * @param {*} value - Count as entered
+     * @returns {Object} - Validation issue
+     */
+    function countIssue(type, value) {
+        const text = String(value).trim();
+        return validationIssue(
+            text ? 'COUNT_INVALID' : 'COUNT_REQUIRED', 'count', value,
+            type === 'subnets'
+                ? 'Required subnet count must be a whole number of at least 1'
+                : 'Required hosts per subnet must be a whole number of at least 1',
+            type === 'subnets' ? 'Enter how many subnets you need, e.g. 12' : 'Enter how many hosts each subnet needs, e.g. 500'
+        );
+    }
+
+    /**
+     * Reads a prefix length typed into a form field ("24" or "/24")
+     * @param {string} field - 'basePrefix' or 'newPrefix'
+     * @param {*} value - Raw field value
+     * @param {number|null} version - IP version, or null when the address is invalid
+     * @returns {Object} - { prefix } or { issue }
+     */
+    function readPrefixField(field, value, version) {
+        const text = String(value === null || value === undefined ? '' : value).trim().replace(/^\//, '');
+        if (text === '') {
+            return {
+                issue: validationIssue(
+                    'PREFIX_REQUIRED', field, value,
+                    `${field === 'newPrefix' ? 'New' : 'Base'} prefix is missing`,
+                    'Enter a prefix length such as 24'
+                )
+            };
+        }
+        if (!/^\d+$/.test(text)) {
+            return {
+                issue: validationIssue(
+                    'PREFIX_INVALID', field, value,
+                    `"${value}" is not a prefix length`,
+                    'Enter the number of network bits, e.g. 24 for 255.255.255.0'
+                )
+            };
+        }
+
+        const prefix = Number(text);
+        if (!isValidPrefix(prefix, version || 6)) {
+            return { issue: prefixIssue(field, text, version || 6) };
+        }
+        return { prefix };
+    }
+
+    /**
+     * Parses VLSM host requirements, one "Name hosts" pair per line
+     * @param {string} text - Requirement lines such as "Sales 100" (names are optional)
+     * @returns {Object} - { requirements: [{ name, hosts }], errors } where each error is a
+     *                     validation issue with the 1-based line number it came from
+     */
+    function parseHostRequirements(text) {
+        const requirements = [];
+        const errors = [];
+        const lines = String(text).split('\n');
+
+        lines.forEach((rawLine, i) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            const match = line.match(/^(.*?)[\s,:=]+(\d+)$/) || line.match(/^()(\d+)$/);
+            if (!match) {
+                errors.push({
+                    ...validationIssue(
+                        'REQUIREMENT_SYNTAX', 'requirements', line,
+                        `Host requirements line ${i + 1} ("${line}") must look like "Sales 100"`,
+                        'Write a name followed by the number of hosts it needs'
+                    ),
+                    line: i + 1
+                });
+                return;
+            }
+
+            const hosts = parseInt(match[2], 10);
+            if (hosts < 1 || hosts > 4294967294) {
+                errors.push({
+                    ...validationIssue(
+                        'REQUIREMENT_HOSTS', 'requirements', line,
+                        `Host requirements line ${i + 1}: ${hosts < 1 ? 'host count must be at least 1' : `${hosts} hosts exceeds the IPv4 address space`}`,
+                        'Enter a host count from 1 to 4294967294'
+                    ),
+                    line: i + 1
+                });
+                return;
+            }
+
+            requirements.push({
+                name: match[1].trim() || `Subnet ${requirements.length + 1}`,
+                hosts: hosts
+            });
+        });
+
+        if (requirements.length === 0 && errors.length === 0) {
+            errors.push(validationIssue(
+                'REQUIREMENTS_EMPTY', 'requirements', String(text),
+                'Enter at least one host requirement',
+                'Add one line per subnet, e.g. "Sales 100"'
+            ));
+        }
+
+        return { requirements, errors };
+    }
+
+    /**
+     * Validates the subnet calculator form in one pass, collecting every problem
+     * instead of stopping at the first. A prefix, mask or range in the address
+     * overrides the base prefix field, as it does in the form. In classful mode the
+     * base prefix comes from the address class and a longer mask is the subnet mask.
+     * @param {Object} input - Raw form values { address, basePrefix, mode, newPrefix, count, requirements,
+     *                         classful, subnetZero } where mode is 'equal', 'subnets', 'hosts' or 'vlsm'
+     * @returns {Object} - { valid, errors, values } where errors are
+     *                     { code, field, value, message, suggestion } (address errors add
+     *                     position and length) and values holds { ip, version, addressPrefix,
+     *                     basePrefix, newPrefix, count, requirements, classful, subnetZero }
+     *                     for the fields that parsed
+     */
+    function validateCalculationInput(input) {
+        const errors = [];
+        const values = {};
+        const mode = input.mode || 'equal';
+        const options = { classful: Boolean(input.classful), subnetZero: input.subnetZero !== false };
+        values.classful = options.classful;
+        values.subnetZero = options.subnetZero;
+
+        // Step 1: Address (any notation parseAddressInput understands)
+        let parsed = null;
+        try {
+            parsed = parseAddressInput(input.address === undefined ? '' : input.address);
+            values.ip = parsed.ip;
+            values.version = parsed.version;
+            values.addressPrefix = parsed.prefix;
+        } catch (error) {
+            const empty = !String(input.address === undefined ? '' : input.address).trim();
+            errors.push({
+                ...validationIssue(
+                    empty ? 'ADDRESS_REQUIRED' : error.code || 'ADDRESS_INVALID', 'address', input.address,
+                    empty ? 'An address is required' : error.message,
+                    error.suggestion || 'Enter a network such as 192.168.1.0/24, 192.168.1.0 255.255.255.0 or 2001:db8::/48'
+                ),
+                position: error.position,
+                length: error.length,
+                ...(error.coveringBlock ? { blocks: error.blocks, coveringBlock: error.coveringBlock } : {})
+            });
+        }
+        const version = parsed ? parsed.version : null;
+
+        // Step 2: Base prefix (classful mode takes it from the address class instead)
+        let addressMask = null;
+        if (options.classful) {
+            if (parsed) {
+                try {
+                    values.basePrefix = getClassfulPrefix(parsed.ip);
+                } catch (error) {
+                    errors.push(validationIssue(error.code, error.field, input.address, error.message, error.suggestion));
+                }
+            }
+            if (mode === 'vlsm') {
+                errors.push(validationIssue(
+                    'CLASSFUL_VLSM', 'mode', mode,
+                    'VLSM needs classless addressing, so it cannot run in classful mode',
+                    'Switch classful mode off, or use an equal split'
+                ));
+            }
+            // A mask typed with the address is the subnet mask, never a different class
+            if (values.basePrefix !== undefined && parsed.prefix !== null && parsed.prefix !== values.basePrefix) {
+                if (parsed.prefix < values.basePrefix) {
+                    errors.push(validationIssue(
+                        'CLASSFUL_SUPERNET', 'address', input.address,
+                        `/${parsed.prefix} is shorter than the Class ${getNetworkClass(parsed.ip)} default /${values.basePrefix}; classful networks cannot be supernetted`,
+                        `Use /${values.basePrefix} or longer, or switch classful mode off`
+                    ));
+                } else if (mode === 'equal') {
+                    addressMask = parsed.prefix;
+                } else {
+                    errors.push(validationIssue(
+                        'CLASSFUL_MASK_CONFLICT', 'address', input.address,
+                        `This mode works out the subnet mask itself, so /${parsed.prefix} on the address is not used`,
+                        'Leave the mask off the address, or use an equal split'
+                    ));
+                }
+            }
+        } else if (parsed && parsed.prefix !== null) {
+            values.basePrefix = parsed.prefix;
+        } else {
+            const base = readPrefixField('basePrefix', input.basePrefix, version);
+            if (base.issue) {
+                errors.push(base.issue);
+            } else {
+                values.basePrefix = base.prefix;
+            }
+        }
+
+        // Step 3: The inputs the selected mode uses
+        if (mode === 'equal') {
+            const text = String(input.newPrefix === undefined || input.newPrefix === null ? '' : input.newPrefix).trim();
+            values.newPrefix = addressMask;
+            if (text !== '' && addressMask !== null) {
+                const split = readPrefixField('newPrefix', text, version);
+                if (split.issue) {
+                    errors.push(split.issue);
+                } else if (split.prefix !== addressMask) {
+                    errors.push(validationIssue(
+                        'CLASSFUL_MASK_CONFLICT', 'newPrefix', text,
+                        `The address says /${addressMask} but the new prefix says ${text}`,
+                        'Give the subnet mask in only one place'
+                    ));
+                }
+            } else if (text !== '') {
+                const split = readPrefixField('newPrefix', text, version);
+                if (split.issue) {
+                    errors.push(split.issue);
+                } else if (values.basePrefix !== undefined && split.prefix <= values.basePrefix) {
+                    errors.push(shortPrefixIssue(split.prefix, values.basePrefix, version || 4));
+                } else {
+                    values.newPrefix = split.prefix;
+                }
+            }
+        } else if (mode === 'subnets' || mode === 'hosts') {
+            const text = String(input.count === undefined ? '' : input.count).replace(/[,_\s]/g, '');
+            if (!/^\d+$/.test(text) || BigInt(text) < 1n) {
+                errors.push(countIssue(mode, input.count === undefined ? '' : input.count));
+            } else {
+                values.count = BigInt(text);
+            }
+        } else if (mode === 'vlsm') {
+            if (version === 6) {
+                errors.push(validationIssue(
+                    'VLSM_IPV6', 'mode', mode,
+                    'VLSM mode supports IPv4 networks only',
+                    'Use an equal split for IPv6, or enter an IPv4 network'
+                ));
+            }
+            const parsedRequirements = parseHostRequirements(input.requirements === undefined ? '' : input.requirements);
+            errors.push(...parsedRequirements.errors);
+            values.requirements = parsedRequirements.requirements;
+        } else {
+            errors.push(validationIssue(
+                'MODE_INVALID', 'mode', mode,
+                `Unknown calculation mode "${mode}"`,
+                'Choose equal, subnets, hosts or vlsm'
+            ));
+        }
+
+        // Step 4: Whether the request fits the network, once every field parsed
+        if (errors.length === 0) {
+            try {
+                if (mode === 'vlsm') {
+                    calculateVLSM(values.ip, values.basePrefix, values.requirements);
+                } else if (mode === 'equal') {
+                    countSubnets(values.ip, values.basePrefix, values.newPrefix, options);
+                } else {
+                    planSplit(values.ip, values.basePrefix, { type: mode, count: values.count }, options);
+                }
+            } catch (error) {
+                if (!error.code) throw error;
+                errors.push(validationIssue(error.code, error.field, error.value, error.message, error.suggestion));
+            }
+        }
+
+        return { valid: errors.length === 0, errors, values };
+    }
+
+    /**
+     * Formats an ACL address operand, using the host and any shortcuts
+     * @param {string} network - "any", a bare address or CIDR notation
+     * @returns {string} - e.g. "any", "host 10.0.0.5" or "10.0.0.0 0.0.0.255"
+     */
+    function formatACLAddress(network) {
+        const text = String(network).trim().toLowerCase();
+        if (text === 'any') {
+            return 'any';
+        }
+
+        const parsed = parseCIDR(text.replace(/^host\s+/, ''));
+        if (parsed.prefix === 0) {
+            return 'any';
+        }
+        if (parsed.prefix === 32) {
+            return `host ${parsed.networkAddress}`;
+        }
+        return `${parsed.networkAddress} ${prefixToWildcard(parsed.prefix)}`;
+    }
+
+    /**
+     * Builds a numbered Cisco IOS access-list entry
+     * @param {Object} options - { listNumber, action, type, source, protocol, destination, port }
+     * @returns {string} - ACL line, e.g. "access-list 10 permit 192.168.1.0 0.0.0.255"
+     */
+    function buildACLEntry(options) {
+        const {
+            action = 'permit',
+            type = 'standard',
+            source = 'any',
+            protocol = 'ip',
+            destination = 'any',
+            port = null
+        } = options;
+        const isExtended = type === 'extended';
+        const listNumber = Number(options.listNumber || (isExtended ? 100 : 10));
+
+        // Step 1: Validate the list number against the type's numbered ranges
+        if (action !== 'permit' && action !== 'deny') {
+            throw new Error(`Invalid ACL action "${action}" (expected permit or deny)`);
+        }
+        if (type !== 'standard' && !isExtended) {
+            throw new Error(`Invalid ACL type "${type}" (expected standard or extended)`);
+        }
+        const validNumber = isExtended
+            ? (listNumber >= 100 && listNumber <= 199) || (listNumber >= 2000 && listNumber <= 2699)
+            : (listNumber >= 1 && listNumber <= 99) || (listNumber >= 1300 && listNumber <= 1999);
+        if (!Number.isInteger(listNumber) || !validNumber) {
+            throw new Error(isExtended
+                ? `Extended ACL numbers are 100-199 or 2000-2699 (got ${options.listNumber})`
+                : `Standard ACL numbers are 1-99 or 1300-1999 (got ${options.listNumber})`);
+        }
+
+        // Step 2: Standard ACLs match on source only
+        if (!isExtended) {
+            return `access-list ${listNumber} ${action} ${formatACLAddress(source)}`;
+        }
+
+        // Step 3: Extended ACLs add protocol, destination and an optional port
+        if (!['ip', 'tcp', 'udp', 'icmp'].includes(protocol)) {
+            throw new Error(`Unsupported ACL protocol "${protocol}"`);
+        }
+
+        let entry = `access-list ${listNumber} ${action} ${protocol} ${formatACLAddress(source)} ${formatACLAddress(destination)}`;
+        if (port !== null && port !== '') {
+            const portNumber = Number(port);
+            if (protocol !== 'tcp' && protocol !== 'udp') {
+                throw new Error('A port can only be matched for tcp or udp');
+            }
+            if (!Number.isInteger(portNumber) || portNumber < 0 || portNumber > 65535) {
+                throw new Error(`Invalid port "${port}" (expected 0-65535)`);
+            }
+            entry += ` eq ${portNumber}`;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Merges integer ranges that overlap or touch
+     * @param {Array} ranges - Array of [start, end] pairs
+     * @returns {Array} - Sorted, merged [start, end] pairs
+     */
+    function mergeRanges(ranges) {
+        const sorted = ranges.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const merged = [];
+
+        sorted.forEach(([start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1] + 1) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Converts an inclusive address range to the fewest aligned CIDR blocks
+     * @param {string} startIP - First address in the range
+     * @param {string} endIP - Last address in the range
+     * @returns {Array} - Array of subnet objects
+     */
+    function rangeToCIDR(startIP, endIP) {
+        if (!isValidIP(startIP)) {
+            throw new Error(`Invalid start address "${startIP}"`);
+        }
+
+        if (!isValidIP(endIP)) {
+            throw new Error(`Invalid end address "${endIP}"`);
+        }
+
+        const startInt = ipToInt(startIP);
+        const endInt = ipToInt(endIP);
+
+        if (startInt > endInt) {
+            throw new Error(`Start address ${startIP} is after end address ${endIP}`);
+        }
+
+        return rangeToBlocks(startInt, endInt)
+            .map((block, i) => buildSubnet(block.networkInt, block.prefix, i + 1));
+    }
+
+    /**
+     * Expands CIDR blocks into merged address ranges
+     * @param {Array} cidrs - Array of CIDR strings
+     * @returns {Array} - Array of { rangeNumber, startAddress, endAddress, totalAddresses, blocks }
+     */
+    function cidrsToRanges(cidrs) {
+        if (!Array.isArray(cidrs) || cidrs.length === 0) {
+            throw new Error('Enter at least one CIDR block');
+        }
+
+        const ranges = cidrs.map(parseCIDR).map(net => [
+            net.networkInt,
+            net.networkInt + getTotalAddresses(net.prefix) - 1
+        ]);
+
+        return mergeRanges(ranges).map(([start, end], i) => ({
+            rangeNumber: i + 1,
+            startAddress: intToIP(start),
+            endAddress: intToIP(end),
+            totalAddresses: end - start + 1,
+            blocks: rangeToBlocks(start, end).length
+        }));
+    }
+
+    /**
+     * Subtracts networks from a parent block and lists what is left
+     * @param {string} parentCIDR - Parent network (e.g. 10.0.0.0/16)
+     * @param {Array} exclusions - Array of CIDR strings to carve out
+     * @returns {Object} - Parent, excluded and free blocks plus address counts
+     */
+    function excludeNetworks(parentCIDR, exclusions) {
+        const parent = parseCIDR(parentCIDR);
+        const parentStart = parent.networkInt;
+        const parentEnd = parentStart + getTotalAddresses(parent.prefix) - 1;
+
+        if (!Array.isArray(exclusions) || exclusions.length === 0) {
+            throw new Error('Enter at least one network to exclude');
+        }
+
+        const ranges = exclusions.map(cidr => {
+            const net = parseCIDR(cidr);
+            const start = net.networkInt;
+            const end = start + getTotalAddresses(net.prefix) - 1;
+
+            if (start < parentStart || end > parentEnd) {
+                throw new Error(`${net.networkAddress}/${net.prefix} is not inside ${parent.networkAddress}/${parent.prefix}`);
+            }
+
+            return [start, end];
+        });
+
+        // Overlapping exclusions are merged so nothing is counted twice
+        const excluded = [];
+        mergeRanges(ranges).forEach(([start, end]) => excluded.push(...rangeToBlocks(start, end)));
+        const excludedSubnets = excluded.map((block, i) => ({
+            ...buildSubnet(block.networkInt, block.prefix, i + 1),
+            status: 'excluded'
+        }));
+
+        const freeSubnets = getFreeBlocks(parentStart, parentEnd, excludedSubnets)
+            .map(block => ({ ...block, status: 'free' }));
+
+        const excludedAddresses = excludedSubnets.reduce((sum, s) => sum + s.totalAddresses, 0);
+
+        return {
+            parent: buildSubnet(parentStart, parent.prefix, 1),
+            excluded: excludedSubnets,
+            freeBlocks: freeSubnets,
+            blocks: [...excludedSubnets, ...freeSubnets]
+                .sort((a, b) => ipToInt(a.networkAddress) - ipToInt(b.networkAddress)),
+            excludedAddresses: excludedAddresses,
+            freeAddresses: getTotalAddresses(parent.prefix) - excludedAddresses
+        };
+    }
+
+    /**
+     * Checks a list of subnets for duplicates, overlaps, adjacency and aggregation
+     * @param {Array} entries - Array of CIDR strings or { cidr, label } objects
+     * @returns {Object} - { subnets, findings, counts }
+     */
+    function checkSubnetConflicts(entries) {
+        if (!Array.isArray(entries) || entries.length === 0) {
+            throw new Error('Enter at least one subnet to check');
+        }
+
+        const subnets = entries.map((entry, i) => {
+            const { cidr, label = '' } = typeof entry === 'string' ? { cidr: entry } : entry;
+            const net = parseCIDR(cidr);
+            return { ...buildSubnet(net.networkInt, net.prefix, i + 1), label: label, status: 'ok' };
+        });
+
+        const bounds = subnets.map(s => [ipToInt(s.networkAddress), ipToInt(s.broadcastAddress)]);
+        const findings = [];
+        const counts = { duplicate: 0, contains: 0, adjacent: 0, aggregatable: 0 };
+
+        for (let i = 0; i < subnets.length; i++) {
+            for (let j = i + 1; j < subnets.length; j++) {
+                const [aStart, aEnd] = bounds[i];
+                const [bStart, bEnd] = bounds[j];
+                const a = subnets[i];
+                const b = subnets[j];
+
+                // CIDR blocks are either disjoint, identical or nested
+                let finding = null;
+                if (aStart === bStart && aEnd === bEnd) {
+                    finding = { type: 'duplicate', severity: 'conflict', a, b };
+                } else if (aStart <= bStart && bEnd <= aEnd) {
+                    finding = { type: 'contains', severity: 'conflict', a, b };
+                } else if (bStart <= aStart && aEnd <= bEnd) {
+                    finding = { type: 'contains', severity: 'conflict', a: b, b: a };
+                } else if (aEnd + 1 === bStart || bEnd + 1 === aStart) {
+                    finding = { type: 'adjacent', severity: 'info', a, b, aggregate: null };
+                    const low = Math.min(aStart, bStart);
+
+                    // Two equal siblings merge when the pair starts on a boundary of twice their size
+                    if (a.prefix === b.prefix && a.prefix > 0 && low % (2 * a.totalAddresses) === 0) {
+                        finding.aggregate = `${intToIP(low)}/${a.prefix - 1}`;
+                        counts.aggregatable++;
+                    }
+                }
+
+                if (!finding) continue;
+
+                findings.push(finding);
+                counts[finding.type]++;
+                if (finding.severity === 'conflict') {
+                    a.status = 'conflict';
+                    b.status = 'conflict';
+                }
+            }
+        }
+
+        return { subnets, findings, counts };
+    }
+
+    /**
+     * Decides, from each host's own configuration, whether the other host is on-link
+     * @param {Object} hostA - { ip, prefix, gateway } (gateway optional)
+     * @param {Object} hostB - { ip, prefix, gateway } (gateway optional)
+     * @returns {Object} - { hosts, perspectives, verdict, issues } where verdict is
+     *                     'direct', 'gateway' or 'asymmetric' and issues are
+     *                     { severity: 'error' | 'warning', host, message }
+     */
+    function checkHostPair(hostA, hostB) {
+        const hosts = [hostA, hostB].map((host, i) => {
+            const label = i === 0 ? 'A' : 'B';
+            const gateway = host.gateway ? host.gateway.trim() : '';
+
+            if (!isValidIP(host.ip)) {
+                throw new Error(`Host ${label}: "${host.ip}" is not a valid IPv4 address`);
+            }
+            if (!isValidPrefix(host.prefix)) {
+                throw new Error(`Host ${label}: prefix must be between /0 and /32`);
+            }
+            if (gateway && !isValidIP(gateway)) {
+                throw new Error(`Host ${label}: gateway "${gateway}" is not a valid IPv4 address`);
+            }
+
+            return {
+                label: label,
+                ip: host.ip,
+                prefix: host.prefix,
+                gateway: gateway || null,
+                subnet: buildSubnet(ipToInt(getNetworkAddress(host.ip, host.prefix)), host.prefix, i + 1),
+                binary: getBinaryBreakdown(host.ip, host.prefix)
+            };
+        });
+
+        // Each host ANDs the other's address with its own mask and compares networks
+        const perspectives = [[0, 1], [1, 0]].map(([from, to]) => {
+            const self = hosts[from];
+            const peer = hosts[to];
+            const peerNetwork = getNetworkAddress(peer.ip, self.prefix);
+            const onLink = peerNetwork === self.subnet.networkAddress;
+
+            return {
+                from: self.label,
+                to: peer.label,
+                prefix: self.prefix,
+                ownNetwork: self.subnet.networkAddress,
+                peerNetwork: peerNetwork,
+                peerBinary: getBinaryBreakdown(peer.ip, self.prefix),
+                onLink: onLink,
+                nextHop: onLink ? peer.ip : self.gateway
+            };
+        });
+
+        const issues = [];
+        const [a, b] = hosts;
+
+        if (a.ip === b.ip) {
+            issues.push({ severity: 'error', host: null, message: `Both hosts use ${a.ip}; the duplicate address breaks ARP for both` });
+        }
+
+        if (a.prefix !== b.prefix) {
+            issues.push({ severity: 'warning', host: null, message: `The masks differ (/${a.prefix} on A, /${b.prefix} on B), so the hosts disagree about where their subnet ends` });
+        }
+
+        hosts.forEach((host, i) => {
+            const { subnet } = host;
+            const perspective = perspectives[i];
+
+            if (subnet.hasBroadcast && host.ip === subnet.networkAddress) {
+                issues.push({ severity: 'error', host: host.label, message: `${host.ip} is the network address of ${subnet.networkAddress}/${subnet.prefix} and cannot be assigned to a host` });
+            } else if (subnet.hasBroadcast && host.ip === subnet.broadcastAddress) {
+                issues.push({ severity: 'error', host: host.label, message: `${host.ip} is the broadcast address of ${subnet.networkAddress}/${subnet.prefix} and cannot be assigned to a host` });
+            }
+
+            if (host.gateway) {
+                if (getNetworkAddress(host.gateway, host.prefix) !== subnet.networkAddress) {
+                    issues.push({ severity: 'error', host: host.label, message: `Gateway ${host.gateway} is outside ${subnet.networkAddress}/${subnet.prefix}, so the host cannot reach it` });
+                } else if (host.gateway === host.ip) {
+                    issues.push({ severity: 'error', host: host.label, message: `The gateway is the host's own address` });
+                } else if (subnet.hasBroadcast && (host.gateway === subnet.networkAddress || host.gateway === subnet.broadcastAddress)) {
+                    issues.push({ severity: 'error', host: host.label, message: `Gateway ${host.gateway} is the ${host.gateway === subnet.networkAddress ? 'network' : 'broadcast'} address of its subnet` });
+                }
+            } else if (!perspective.onLink) {
+                issues.push({ severity: 'error', host: host.label, message: `Host ${perspective.to} is off-link for host ${host.label}, which has no gateway to send through` });
+            }
+        });
+
+        const [fromA, fromB] = perspectives;
+        let verdict = 'gateway';
+        if (fromA.onLink && fromB.onLink) {
+            verdict = 'direct';
+        } else if (fromA.onLink !== fromB.onLink) {
+            verdict = 'asymmetric';
+            const direct = fromA.onLink ? fromA : fromB;
+            issues.push({ severity: 'error', host: null, message: `Host ${direct.from} delivers to ${direct.to} directly, but ${direct.to} sends its replies to a gateway; traffic may be dropped or take an asymmetric path` });
+        }
+
+        return { hosts, perspectives, verdict, issues };
+    }
+
+    /**
+     * Parses one routing table line: "network/prefix next-hop|connected [interface] [AD] [metric]"
+     * @param {string} line - Route text, e.g. "10.0.0.0/8 192.168.1.1 Gi0/1 1 20" ("default" means 0.0.0.0/0)
+     * @returns {Object} - { networkAddress, prefix, subnetMask, nextHop, iface, ad, metric, source }
+     *                     (nextHop is null for connected routes)
+     */
+    function parseRoute(line) {
+        const tokens = String(line).trim().split(/\s+/);
+        const [destination, via, ...rest] = tokens;
+
+        if (!destination || via === undefined) {
+            throw new Error('A route needs a destination and a next hop (or "connected")');
+        }
+
+        const net = parseCIDR(destination.toLowerCase() === 'default' ? '0.0.0.0/0' : destination);
+        const isConnected = /^(connected|direct)$/i.test(via);
+
+        if (!isConnected && !isValidIP(via)) {
+            throw new Error(`Next hop "${via}" is not a valid IPv4 address or "connected"`);
+        }
+
+        // The interface is optional, so a leading number is already the administrative distance
+        const iface = rest.length && !/^\d+$/.test(rest[0]) ? rest.shift() : '';
+        const [adText, metricText, extra] = rest;
+
+        if (extra !== undefined) {
+            throw new Error(`Unexpected "${extra}" after the metric`);
+        }
+
+        const ad = adText === undefined ? (isConnected ? 0 : 1) : Number(adText);
+        const metric = metricText === undefined ? 0 : Number(metricText);
+
+        if (!/^\d+$/.test(adText === undefined ? '0' : adText) || ad > 255) {
+            throw new Error(`Administrative distance "${adText}" must be a whole number from 0 to 255`);
+        }
+
+        if (!/^\d+$/.test(metricText === undefined ? '0' : metricText)) {
+            throw new Error(`Metric "${metricText}" must be a whole number`);
+        }
+
+        return {
+            networkAddress: net.networkAddress,
+            prefix: net.prefix,
+            subnetMask: prefixToMask(net.prefix),
+            nextHop: isConnected ? null : via,
+            iface: iface,
+            ad: ad,
+            metric: metric,
+            source: isConnected ? 'connected' : 'static'
+        };
+    }
+
+    /**
+     * Formats a route back into the line syntax parseRoute reads
+     * @param {Object} route - Route object
+     * @returns {string} - Route line
+     */
+    function formatRoute(route) {
+        return [
+            `${route.networkAddress}/${route.prefix}`,
+            route.nextHop || 'connected',
+            route.iface,
+            route.ad,
+            route.metric
+        ].filter(part => part !== '').join(' ');
+    }
+
+    /**
+     * Builds directly connected routes for a list of subnets
+     * @param {Array} subnets - IPv4 subnet objects
+     * @param {string} ifacePrefix - Interface name stem; subnet N goes on interface N - 1 (default Gi0/),
+     *                               so routes added page by page never share an interface
+     * @returns {Array} - Route objects with AD 0 and metric 0
+     */
+    function getConnectedRoutes(subnets, ifacePrefix = 'Gi0/') {
+        return subnets.map(subnet => ({
+            networkAddress: subnet.networkAddress,
+            prefix: subnet.prefix,
+            subnetMask: subnet.subnetMask,
+            nextHop: null,
+            iface: `${ifacePrefix}${subnet.subnetNumber - 1}`,
+            ad: 0,
+            metric: 0,
+            source: 'connected'
+        }));
+    }
+
+    /**
+     * Picks the route for a destination by longest prefix match, then administrative distance, then metric
+     * @param {Array} routes - Route objects (see parseRoute)
+     * @param {string} destination - Destination IPv4 address
+     * @returns {Object} - { destination, candidates, winners } where every candidate is
+     *                     { route, index, matchingBits, matches, outcome } and outcome is 'selected',
+     *                     'ecmp', 'shorter-prefix', 'higher-ad', 'higher-metric' or 'no-match'
+     */
+    function lookupRoute(routes, destination) {
+        if (!isValidIP(destination)) {
+            throw new Error(`"${destination}" is not a valid IPv4 address`);
+        }
+
+        const destInt = ipToInt(destination);
+        const candidates = routes.map((route, index) => {
+            const matchingBits = commonPrefixLength(destInt, ipToInt(route.networkAddress));
+            return {
+                route: route,
+                index: index,
+                matchingBits: matchingBits,
+                matches: matchingBits >= route.prefix,
+                outcome: 'no-match'
+            };
+        });
+
+        // Longest prefix first; distance and metric only break ties between equal prefixes
+        const ranked = candidates.filter(candidate => candidate.matches).sort((a, b) =>
+            b.route.prefix - a.route.prefix || a.route.ad - b.route.ad || a.route.metric - b.route.metric
+        );
+        const best = ranked[0];
+
+        ranked.forEach(candidate => {
+            const { route } = candidate;
+            if (route.prefix < best.route.prefix) {
+                candidate.outcome = 'shorter-prefix';
+            } else if (route.ad > best.route.ad) {
+                candidate.outcome = 'higher-ad';
+            } else if (route.metric > best.route.metric) {
+                candidate.outcome = 'higher-metric';
+            } else {
+                candidate.outcome = candidate === best ? 'selected' : 'ecmp';
+            }
+        });
+
+        return {
+            destination: destination,
+            candidates: candidates,
+            winners: ranked.filter(candidate => candidate.outcome === 'selected' || candidate.outcome === 'ecmp')
+        };
+    }
+
+    /**
+     * Counts the leading bits two 32-bit values have in common
+     * @param {number} a - First value
+     * @param {number} b - Second value
+     * @returns {number} - Common prefix length (0-32)
+     */
+    function commonPrefixLength(a, b) {
+        return Math.clz32((a ^ b) >>> 0);
+    }
+
+    /**
+     * Summarizes a list of networks into summary routes (supernetting)
+     * @param {Array} networks - Array of CIDR strings
+     * @returns {Object} - Exact summary routes, best-fit supernet and over-coverage
+     */
+    function summarizeRoutes(networks) {
+        if (!Array.isArray(networks) || networks.length === 0) {
+            throw new Error('Enter at least one network to summarize');
+        }
+
+        const parsed = networks.map(parseCIDR);
+        const routes = parsed.map((net, i) => buildSubnet(net.networkInt, net.prefix, i + 1));
+        const ranges = routes.map(r => [ipToInt(r.networkAddress), ipToInt(r.broadcastAddress)]);
+
+        // Exact aggregation: merge the covered space, then re-cut it into aligned blocks
+        const merged = mergeRanges(ranges);
+        const summaries = [];
+        merged.forEach(([start, end]) => summaries.push(...rangeToBlocks(start, end)));
+
+        // Best-fit supernet: the bits shared by the lowest and highest address
+        const lowest = merged[0][0];
+        const highest = merged[merged.length - 1][1];
+        const supernetPrefix = commonPrefixLength(lowest, highest);
+        const supernetInt = ipToInt(getNetworkAddress(intToIP(lowest), supernetPrefix));
+        const supernet = buildSubnet(supernetInt, supernetPrefix, 1);
+
+        const coveredAddresses = merged.reduce((sum, [start, end]) => sum + (end - start + 1), 0);
+        const overCoverage = supernet.totalAddresses - coveredAddresses;
+
+        return {
+            routes: routes,
+            summaries: summaries.map((block, i) => buildSubnet(block.networkInt, block.prefix, i + 1)),
+            supernet: supernet,
+            commonBits: supernetPrefix,
+            coveredAddresses: coveredAddresses,
+            overCoverage: overCoverage,
+            overCoveragePercent: (overCoverage / supernet.totalAddresses) * 100,
+            hostBitsCorrected: parsed.filter(net => net.hostBitsSet).map(net => `${net.ip}/${net.prefix}`)
+        };
+    }
+
+    /**
+     * Checks whether subnets merge into one aligned supernet, the reverse of a split.
+     * They must be adjacent, hold a power-of-two number of addresses between them
+     * and start on a multiple of that size.
+     * @param {Array} subnets - IPv4 subnet objects (networkAddress, prefix) or CIDR strings
+     * @returns {Object} - { mergeable, code, message, blocks, totalAddresses, neededPrefix,
+     *                     covering, gap, supernet } where blocks are the inputs sorted by
+     *                     address, covering is the smallest block containing them all, gap
+     *                     is the first { from, to } hole (or null) and supernet is the
+     *                     merged subnet object (null when they cannot merge)
+     */
+    function checkMerge(subnets) {
+        const blocks = subnets
+            .map(subnet => typeof subnet === 'string' ? parseCIDR(subnet) : subnet)
+            .map(subnet => {
+                if (!isValidIP(subnet.networkAddress)) {
+                    throw new Error('Only IPv4 subnets can be merged');
+                }
+                const start = ipToInt(getNetworkAddress(subnet.networkAddress, subnet.prefix));
+                return {
+                    networkAddress: intToIP(start),
+                    prefix: subnet.prefix,
+                    start: start,
+                    end: start + getTotalAddresses(subnet.prefix) - 1
+                };
+            })
+            .sort((a, b) => a.start - b.start);
+
+        const result = {
+            mergeable: false,
+            code: null,
+            message: '',
+            blocks: blocks,
+            totalAddresses: blocks.reduce((sum, block) => sum + (block.end - block.start + 1), 0),
+            neededPrefix: null,
+            covering: null,
+            gap: null,
+            supernet: null
+        };
+
+        if (blocks.length < 2) {
+            result.code = 'TOO_FEW';
+            result.message = 'Select at least two subnets to merge';
+            return result;
+        }
+
+        const first = blocks[0];
+        const last = blocks[blocks.length - 1];
+        const coveringPrefix = commonPrefixLength(first.start, last.end);
+        result.covering = {
+            networkAddress: getNetworkAddress(first.networkAddress, coveringPrefix),
+            prefix: coveringPrefix
+        };
+
+        // Step 1: Blocks must follow on from each other without overlapping
+        for (let i = 1; i < blocks.length; i++) {
+            const previous = blocks[i - 1];
+            const block = blocks[i];
+            if (block.start <= previous.end) {
+                result.code = 'OVERLAP';
+                result.message = `${block.networkAddress}/${block.prefix} overlaps ${previous.networkAddress}/${previous.prefix}`;
+                return result;
+            }
+            if (block.start !== previous.end + 1) {
+                result.code = 'NOT_CONTIGUOUS';
+                result.gap = { from: intToIP(previous.end + 1), to: intToIP(block.start - 1) };
+                result.message = `${previous.networkAddress}/${previous.prefix} and ${block.networkAddress}/${block.prefix} are not adjacent: ` +
+                    `${result.gap.from} - ${result.gap.to} lies between them`;
+                return result;
+            }
+        }
+
+        // Step 2: A prefix always covers a power-of-two number of addresses
+        const total = result.totalAddresses;
+        if ((total & (total - 1)) !== 0) {
+            result.code = 'NOT_POWER_OF_TWO';
+            result.message = `Together these subnets hold ${total.toLocaleString()} addresses, which is not a power of two, so no single prefix covers exactly them`;
+            return result;
+        }
+
+        // Step 3: ...starting on a multiple of its own size
+        const neededPrefix = 32 - Math.log2(total);
+        result.neededPrefix = neededPrefix;
+        if (first.start % total !== 0) {
+            result.code = 'NOT_ALIGNED';
+            result.message = `A /${neededPrefix} must start on a multiple of ${total.toLocaleString()} addresses, and ${first.networkAddress} does not; ` +
+                `the smallest block containing these subnets is ${result.covering.networkAddress}/${coveringPrefix}, which also holds unselected addresses`;
+            return result;
+        }
+
+        result.mergeable = true;
+        result.supernet = buildSubnet(first.start, neededPrefix, 1);
+        result.message = `${blocks.length} subnets merge into ${first.networkAddress}/${neededPrefix}`;
+        return result;
+    }
+
+    /**
+     * Allocates named host requirements using VLSM (largest first)
+     * @param {string} baseIP - Base network IP
+     * @param {number} basePrefix - Base prefix length
+     * @param {Array} requirements - Array of { name, hosts } objects
+     * @returns {Array} - Array of subnet objects with name and requiredHosts
+     */
+    function calculateVLSM(baseIP, basePrefix, requirements) {
+        if (isValidIPv6(baseIP)) {
+            throw validationError(validationIssue(
+                'VLSM_IPV6', 'mode', baseIP,
+                'VLSM mode supports IPv4 networks only',
+                'Use an equal split for IPv6, or enter an IPv4 network'
+            ));
+        }
+
+        if (!isValidIP(baseIP)) {
+            throw validationError(addressIssue(baseIP));
+        }
+
+        if (!isValidPrefix(basePrefix)) {
+            throw validationError(prefixIssue('basePrefix', basePrefix, 4));
+        }
+
+        if (!Array.isArray(requirements) || requirements.length === 0) {
+            throw validationError(validationIssue(
+                'REQUIREMENTS_EMPTY', 'requirements', '',
+                'Enter at least one host requirement',
+                'Add one line per subnet, e.g. "Sales 100"'
+            ));
+        }
+
+        const baseStart = ipToInt(getNetworkAddress(baseIP, basePrefix));
+        const baseEnd = baseStart + getTotalAddresses(basePrefix) - 1;
+
+        // Largest requirement first keeps every block naturally aligned
+        const sorted = requirements
+            .map((req, index) => ({ ...req, index, prefix: getPrefixForHosts(req.hosts) }))
+            .sort((a, b) => b.hosts - a.hosts || a.index - b.index);
+
+        const subnets = [];
+        let cursor = baseStart;
+
+        sorted.forEach((req, i) => {
+            const size = getTotalAddresses(req.prefix);
+            const networkInt = Math.ceil(cursor / size) * size;
+
+            if (networkInt + size - 1 > baseEnd) {
+                const remaining = Math.max(0, baseEnd - cursor + 1);
+                const needed = requirements.reduce((sum, r) => sum + getTotalAddresses(getPrefixForHosts(r.hosts)), 0);
+                throw validationError(validationIssue(
+                    'REQUIREMENTS_DO_NOT_FIT', 'requirements', req.name,
+                    `Requirements do not fit in ${intToIP(baseStart)}/${basePrefix}: ` +
+                    `"${req.name}" needs a /${req.prefix} (${size} addresses) but only ${remaining} addresses remain`,
+                    `Start from a /${Math.max(0, 32 - Math.ceil(Math.log2(needed)))} or shorter base prefix, or trim the host counts`
+                ));
+            }
+
+            subnets.push({
+                ...buildSubnet(networkInt, req.prefix, i + 1),
+                name: req.name,
+                requiredHosts: req.hosts
+            });
+            cursor = networkInt + size;
+        });
+
+        return subnets;
+    }
+
+    /**
+     * Creates one block of a hierarchical address plan (region, site, building, VLAN...)
+     * @param {string} cidr - Block in CIDR notation (host bits are cleared)
+     * @param {Object} details - { name, vlan, description } (all optional)
+     * @returns {Object} - { networkAddress, prefix, subnetMask, totalAddresses, name, vlan, description, children }
+     */
+    function createPlanNode(cidr, details = {}) {
+        const net = parseCIDR(cidr);
+        const { name = '', vlan = null, description = '' } = details;
+
+        return {
+            networkAddress: net.networkAddress,
+            prefix: net.prefix,
+            subnetMask: prefixToMask(net.prefix),
+            totalAddresses: getTotalAddresses(net.prefix),
+            name: String(name).trim(),
+            vlan: vlan === null || vlan === '' ? null : Number(vlan),
+            description: String(description).trim(),
+            children: []
+        };
+    }
+
+    /**
+     * Carves child blocks out of a plan block, reusing calculateSubnets or calculateVLSM
+     * @param {Object} node - Parent plan block (not modified)
+     * @param {Object} options - { mode: 'equal', newPrefix } or { mode: 'vlsm', requirements: [{ name, hosts }] }
+     * @returns {Array} - New child plan blocks
+     */
+    function carvePlanNode(node, options) {
+        let subnets;
+
+        if (options.mode === 'vlsm') {
+            subnets = calculateVLSM(node.networkAddress, node.prefix, options.requirements);
+        } else {
+            const newPrefix = Number(options.newPrefix);
+            if (node.prefix === 32) {
+                throw new Error(`${node.networkAddress}/32 is a single address and cannot be split`);
+            }
+            if (!Number.isInteger(newPrefix) || newPrefix <= node.prefix || newPrefix > 32) {
+                throw new Error(`Child prefix must be between /${node.prefix + 1} and /32`);
+            }
+            if (2 ** (newPrefix - node.prefix) > MAX_PLAN_CHILDREN) {
+                throw new Error(
+                    `Splitting /${node.prefix} into /${newPrefix} blocks makes ${(2 ** (newPrefix - node.prefix)).toLocaleString()} children; ` +
+                    `a plan block holds at most ${MAX_PLAN_CHILDREN} (use /${node.prefix + Math.log2(MAX_PLAN_CHILDREN)} or shorter)`
+                );
+            }
+            subnets = calculateSubnets(node.networkAddress, node.prefix, newPrefix);
+        }
+
+        return subnets.map(subnet => createPlanNode(`${subnet.networkAddress}/${subnet.prefix}`, {
+            name: subnet.name || '',
+            description: subnet.requiredHosts ? `${subnet.requiredHosts} hosts required` : ''
+        }));
+    }
+
+    /**
+     * Flattens a plan and checks that children stay inside their parent and never overlap
+     * @param {Object} root - Root plan block
+     * @returns {Object} - { blocks, issues, levels, valid } where blocks are
+     *                     { node, path, depth, label, allocatedAddresses, status } in tree order
+     *                     and issues are { path, label, severity: 'error'|'warning', message }
+     */
+    function analyzePlan(root) {
+        const blocks = [];
+        const issues = [];
+        let levels = 0;
+
+        const describe = node => `${node.networkAddress}/${node.prefix}${node.name ? ` (${node.name})` : ''}`;
+
+        const visit = (node, path, parentLabel) => {
+            const name = node.name || `${node.networkAddress}/${node.prefix}`;
+            const label = parentLabel ? `${parentLabel} › ${name}` : name;
+            const block = { node, path, depth: path.length, label, allocatedAddresses: 0, status: 'ok' };
+
+            blocks.push(block);
+            levels = Math.max(levels, path.length + 1);
+
+            if (node.vlan !== null && !(Number.isInteger(node.vlan) && node.vlan >= 1 && node.vlan <= 4094)) {
+                issues.push({ path, label, severity: 'error', message: `VLAN ID "${node.vlan}" must be a whole number from 1 to 4094` });
+            }
+
+            const start = ipToInt(node.networkAddress);
+            const end = start + node.totalAddresses - 1;
+            const bounds = node.children.map(child => {
+                const childStart = ipToInt(child.networkAddress);
+                return [childStart, childStart + child.totalAddresses - 1];
+            });
+            const childIssues = node.children.map(() => []);
+
+            // Problems are reported against the child that is out of place (the later one of a pair)
+            node.children.forEach((child, i) => {
+                const [childStart, childEnd] = bounds[i];
+                if (childStart < start || childEnd > end) {
+                    childIssues[i].push(['error', `${describe(child)} escapes its parent ${node.networkAddress}/${node.prefix}`]);
+                }
+
+                for (let j = i + 1; j < node.children.length; j++) {
+                    const other = node.children[j];
+                    if (childStart <= bounds[j][1] && bounds[j][0] <= childEnd) {
+                        childIssues[j].push(['error', `${describe(other)} overlaps ${describe(child)}`]);
+                    } else if (child.vlan !== null && child.vlan === other.vlan) {
+                        childIssues[j].push(['warning', `${describe(other)} reuses VLAN ${child.vlan} from ${describe(child)}`]);
+                    }
+                }
+            });
+
+            // Allocated space counts each address once, even where children overlap
+            let cursor = start;
+            bounds
+                .map(([childStart, childEnd]) => [Math.max(childStart, start), Math.min(childEnd, end)])
+                .filter(([childStart, childEnd]) => childStart <= childEnd)
+                .sort((a, b) => a[0] - b[0])
+                .forEach(([childStart, childEnd]) => {
+                    if (childEnd >= cursor) {
+                        block.allocatedAddresses += childEnd - Math.max(childStart, cursor) + 1;
+                        cursor = childEnd + 1;
+                    }
+                });
+
+            node.children.forEach((child, i) => {
+                const childPath = [...path, i];
+                const childLabel = `${label} › ${child.name || `${child.networkAddress}/${child.prefix}`}`;
+                childIssues[i].forEach(([severity, message]) => {
+                    issues.push({ path: childPath, label: childLabel, severity, message });
+                });
+                visit(child, childPath, label);
+            });
+        };
+
+        visit(root, [], '');
+
+        // A block takes the worst severity reported against it
+        issues.forEach(issue => {
+            const block = blocks.find(candidate => candidate.path.join('.') === issue.path.join('.'));
+            if (issue.severity === 'error' || block.status === 'ok') {
+                block.status = issue.severity;
+            }
+        });
+
+        return {
+            blocks: blocks,
+            issues: issues,
+            levels: levels,
+            valid: !issues.some(issue => issue.severity === 'error')
+        };
+    }
+
+    /**
+     * Converts a plan into JSON for saving or download
+     * @param {Object} root - Root plan block
+     * @returns {string} - JSON text that parsePlan reads back
+     */
+    function serializePlan(root) {
+        const strip = node => ({
+            cidr: `${node.networkAddress}/${node.prefix}`,
+            name: node.name,
+            vlan: node.vlan,
+            description: node.description,
+            children: node.children.map(strip)
+        });
+
+        return JSON.stringify({ type: PLAN_FILE_TYPE, version: 1, root: strip(root) }, null, 2);
+    }
+
+    /**
+     * Rebuilds a plan from the JSON written by serializePlan
+     * @param {string} text - JSON text
+     * @returns {Object} - Root plan block
+     */
+    function parsePlan(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The plan is not valid JSON');
+        }
+
+        if (!data || data.type !== PLAN_FILE_TYPE || !data.root) {
+            throw new Error('The file is not a saved address plan');
+        }
+
+        const build = entry => {
+            if (!entry || typeof entry.cidr !== 'string') {
+                throw new Error('Every plan block needs a "cidr" such as "10.0.0.0/16"');
+            }
+            const node = createPlanNode(entry.cidr, entry);
+            node.children = (Array.isArray(entry.children) ? entry.children : []).map(build);
+            return node;
+        };
+
+        return build(data.root);
+    }
+
+    /**
+     * Works out the in-addr.arpa zones that hold the PTR records of an IPv4 block.
+     * Octet-aligned prefixes map to one zone, shorter unaligned prefixes to several zones
+     * at the next octet boundary, and prefixes longer than /24 use RFC 2317 classless
+     * delegation: a child zone such as "64/26.2.0.192.in-addr.arpa" plus CNAMEs in the /24 zone.
+     * @param {string} networkAddress - Network address
+     * @param {number} prefix - Prefix length (0-32)
+     * @returns {Object} - { network, method: 'octet'|'split'|'classless', zones, delegation } where zones are
+     *                     { name, network, fileName, firstHost, lastHost, ownerOctets } (firstHost/lastHost bound the
+     *                     usable hosts in the zone, ownerOctets is how many trailing octets form a PTR owner name)
+     *                     and delegation is { parentZone, childLabel, records } or null
+     */
+    function getReverseZones(networkAddress, prefix) {
+        const net = parseCIDR(`${networkAddress}/${prefix}`);
+        const start = net.networkInt;
+        const end = start + getTotalAddresses(prefix) - 1;
+        const firstHost = ipToInt(getFirstUsable(intToIP(start), prefix));
+        const lastHost = ipToInt(getLastUsable(intToIP(end), prefix));
+        const octets = intToIP(start).split('.');
+
+        // Zone name for the first `count` octets of an address, e.g. 3 -> "2.0.192.in-addr.arpa"
+        const zoneName = (address, count) => [...address.split('.').slice(0, count).reverse(), 'in-addr', 'arpa'].join('.');
+        const fileName = name => `db.${name.replace(/\//g, '-')}`;
+
+        if (prefix > 24) {
+            const parentZone = zoneName(intToIP(start), 3);
+            const childLabel = `${octets[3]}/${prefix}`;
+            const name = `${childLabel}.${parentZone}`;
+            const records = [];
+
+            for (let host = firstHost; host <= lastHost; host++) {
+                const label = String(host & 255);
+                records.push({ owner: label, type: 'CNAME', target: `${label}.${name}.` });
+            }
+
+            return {
+                network: `${net.networkAddress}/${prefix}`,
+                method: 'classless',
+                zones: [{
+                    name: name,
+                    network: `${net.networkAddress}/${prefix}`,
+                    fileName: fileName(name),
+                    firstHost: intToIP(firstHost),
+                    lastHost: intToIP(lastHost),
+                    ownerOctets: 1
+                }],
+                delegation: { parentZone, childLabel, records }
+            };
+        }
+
+        // Round down to a whole octet; each zone then covers one block of that size
+        const zoneBits = Math.ceil(prefix / 8) * 8;
+        const zoneSize = getTotalAddresses(zoneBits);
+        const zones = [];
+
+        for (let zoneStart = start; zoneStart <= end; zoneStart += zoneSize) {
+            const name = zoneName(intToIP(zoneStart), zoneBits / 8);
+            zones.push({
+                name: name,
+                network: `${intToIP(zoneStart)}/${zoneBits}`,
+                fileName: fileName(name),
+                firstHost: intToIP(Math.max(zoneStart, firstHost)),
+                lastHost: intToIP(Math.min(zoneStart + zoneSize - 1, lastHost)),
+                ownerOctets: 4 - zoneBits / 8
+            });
+        }
+
+        return {
+            network: `${net.networkAddress}/${prefix}`,
+            method: zoneBits === prefix ? 'octet' : 'split',
+            zones: zones,
+            delegation: null
+        };
+    }
+
+    /**
+     * Gets detailed information for binary visualization
+     * @param {string} ip - IP address
+     * @param {number} prefix - Prefix length
+     * @returns {Object} - Binary breakdown object
+     */
+    function getBinaryBreakdown(ip, prefix) {
+        if (isValidIPv6(ip)) {
+            return getBinaryBreakdownV6(ip, prefix);
+        }
+
+        const octets = ip.split('.').map(o => parseInt(o, 10));
+        const mask = prefixToMask(prefix);
+        const maskOctets = mask.split('.').map(o => parseInt(o, 10));
+        const networkAddr = getNetworkAddress(ip, prefix);
+        const networkOctets = networkAddr.split('.').map(o => parseInt(o, 10));
+        
+        const breakdown = {
+            ip: {
+                decimal: ip,
+                octets: octets,
+                binary: octets.map(o => toBinary8(o)),
+                fullBinary: ipToBinary(ip)
+            },
+            mask: {
+                decimal: mask,
+                octets: maskOctets,
+                binary: maskOctets.map(o => toBinary8(o)),
+                fullBinary: ipToBinary(mask),
+                prefix: prefix
+            },
+            network: {
+                decimal: networkAddr,
+                octets: networkOctets,
+                binary: networkOctets.map(o => toBinary8(o)),
+                fullBinary: ipToBinary(networkAddr)
+            },
+            networkBits: prefix,
+            hostBits: 32 - prefix
+        };
+        
+        return breakdown;
+    }
+
+    /**
+     * Gets IPv6 binary breakdown: 16-bit groups with their hex nibbles
+     * @param {string} ip - IPv6 address
+     * @param {number} prefix - Prefix length
+     * @returns {Object} - Binary breakdown object
+     */
+    function getBinaryBreakdownV6(ip, prefix) {
+        const describe = value => {
+            const groups = toHextets(value);
+            return {
+                decimal: bigIntToIPv6(value),
+                expanded: groups.map(g => g.toString(16).padStart(4, '0')).join(':'),
+                hextets: groups.map(g => g.toString(16).padStart(4, '0')),
+                binary: groups.map(g => g.toString(2).padStart(16, '0')),
+                fullBinary: groups.map(g => g.toString(2).padStart(16, '0')).join(':')
+            };
+        };
+
+        const ipValue = ipv6ToBigInt(ip);
+        const maskValue = prefixToMaskV6(prefix);
+
+        return {
+            version: 6,
+            ip: describe(ipValue),
+            mask: { ...describe(maskValue), prefix: prefix },
+            network: describe(ipValue & maskValue),
+            networkBits: prefix,
+            hostBits: 128 - prefix
+        };
+    }
+
+    /**
+     * Generates IPv6 calculation summary (counts are BigInt)
+     * @param {string} baseIP - Base IPv6 address
+     * @param {number} basePrefix - Base prefix
+     * @param {number} newPrefix - New prefix (optional)
+     * @param {Object} options - Split options (see calculateSubnets)
+     * @returns {Object} - Calculation summary
+     */
+    function getCalculationSummaryV6(baseIP, basePrefix, newPrefix = null, options = {}) {
+        if (options.classful) {
+            getClassfulPrefix(baseIP);
+        }
+
+        const effectivePrefix = newPrefix || basePrefix;
+        const subnets = calculateSubnetsV6(baseIP, basePrefix, newPrefix, options);
+        const baseValue = ipv6ToBigInt(baseIP) & prefixToMaskV6(basePrefix);
+        const totalSubnets = countSubnets(baseIP, basePrefix, newPrefix, options);
+
+        return {
+            mode: 'equal',
+            version: 6,
+            addressBits: 128,
+            baseNetwork: bigIntToIPv6(baseValue),
+            basePrefix: basePrefix,
+            newPrefix: newPrefix,
+            effectivePrefix: effectivePrefix,
+            subnetMask: bigIntToIPv6(prefixToMaskV6(effectivePrefix)),
+            totalSubnets: totalSubnets,
+            hostsPerSubnet: subnets[0].usableHosts,
+            totalAddresses: subnets[0].totalAddresses,
+            networkClass: getNetworkClass(baseIP),
+            isPrivate: isPrivateIP(baseIP),
+            classification: classifyAddress(`${bigIntToIPv6(baseValue)}/${basePrefix}`),
+            specialCrossings: findSpecialBlockCrossings(baseIP, basePrefix, effectivePrefix),
+            nonUnicast: [],
+            classful: false,
+            subnetZero: true,
+            excludedSubnets: [],
+            subnetsTruncated: BigInt(subnets.length) < totalSubnets,
+            subnets: subnets
+        };
+    }
+
+    /**
+     * Generates subnet calculation summary
+     * @param {string} baseIP - Base IP address
+     * @param {number} basePrefix - Base prefix
+     * @param {number} newPrefix - New prefix (optional)
+     * @param {Object} options - { classful, subnetZero } where classful requires the base prefix
+     *                           to be the class default and subnetZero is as in calculateSubnets
+     * @returns {Object} - Calculation summary; excludedSubnets lists the CIDR blocks a split
+     *                     without subnet zero leaves out
+     */
+    function getCalculationSummary(baseIP, basePrefix, newPrefix = null, options = {}) {
+        if (isValidIPv6(baseIP)) {
+            return getCalculationSummaryV6(baseIP, basePrefix, newPrefix, options);
+        }
+
+        // Classful networks always start from the default mask of their class
+        if (options.classful) {
+            const classfulPrefix = getClassfulPrefix(baseIP);
+            if (basePrefix !== classfulPrefix) {
+                throw validationError(validationIssue(
+                    'CLASSFUL_PREFIX_MISMATCH', 'basePrefix', basePrefix,
+                    `Class ${getNetworkClass(baseIP)} networks use the default /${classfulPrefix}, not /${basePrefix}`,
+                    `Use /${classfulPrefix} as the base prefix, or switch classful mode off`
+                ));
+            }
+        }
+
+        const effectivePrefix = newPrefix || basePrefix;
+        const split = resolveSplit(baseIP, basePrefix, newPrefix, options);
+        const subnets = getSubnetPage(baseIP, basePrefix, newPrefix, 1, MAX_LISTED_SUBNETS, options);
+        const totalSubnets = split.count;
+        const lastBlock = split.baseValue + (totalSubnets + 1) * split.subnetSize;
+
+        return {
+            mode: 'equal',
+            version: 4,
+            addressBits: 32,
+            baseNetwork: getNetworkAddress(baseIP, basePrefix),
+            basePrefix: basePrefix,
+            newPrefix: newPrefix,
+            effectivePrefix: effectivePrefix,
+            subnetMask: prefixToMask(effectivePrefix),
+            wildcardMask: prefixToWildcard(effectivePrefix),
+            totalSubnets: totalSubnets,
             hostsPerSubnet: getUsableHosts(effectivePrefix),
             totalAddresses: getTotalAddresses(effectivePrefix),
             networkClass: getNetworkClass(baseIP),
             isPrivate: isPrivateIP(baseIP),
+            classification: classifyAddress(`${getNetworkAddress(baseIP, basePrefix)}/${basePrefix}`),
+            specialCrossings: findSpecialBlockCrossings(baseIP, basePrefix, effectivePrefix),
+            nonUnicast: findNonUnicastSpace(ipToInt(getNetworkAddress(baseIP, basePrefix)), basePrefix),
+            classful: Boolean(options.classful),
+            subnetZero: split.skip === 0,
+            excludedSubnets: split.skip
+                ? [`${intToIP(split.baseValue)}/${effectivePrefix}`, `${intToIP(lastBlock >>> 0)}/${effectivePrefix}`]
+                : [],
+            subnetsTruncated: subnets.length < totalSubnets,
+            subnets: subnets
+        };
+    }
+
+    /**
+     * Generates VLSM calculation summary
+     * @param {string} baseIP - Base IP address
+     * @param {number} basePrefix - Base prefix
+     * @param {Array} requirements - Array of { name, hosts } objects
+     * @returns {Object} - Calculation summary with free blocks
+     */
+    function getVLSMSummary(baseIP, basePrefix, requirements) {
+        const subnets = calculateVLSM(baseIP, basePrefix, requirements);
+        const baseStart = ipToInt(getNetworkAddress(baseIP, basePrefix));
+        const baseEnd = baseStart + getTotalAddresses(basePrefix) - 1;
+        const allocated = subnets.reduce((sum, s) => sum + s.totalAddresses, 0);
+
+        return {
+            mode: 'vlsm',
+            version: 4,
+            addressBits: 32,
+            baseNetwork: intToIP(baseStart),
+            basePrefix: basePrefix,
+            newPrefix: null,
+            effectivePrefix: subnets[0].prefix,
+            subnetMask: subnets[0].subnetMask,
+            wildcardMask: prefixToWildcard(subnets[0].prefix),
+            totalSubnets: subnets.length,
+            hostsPerSubnet: subnets[0].usableHosts,
+            totalAddresses: subnets[0].totalAddresses,
+            baseAddresses: getTotalAddresses(basePrefix),
+            allocatedAddresses: allocated,
+            networkClass: getNetworkClass(baseIP),
+            isPrivate: isPrivateIP(baseIP),
+            classification: classifyAddress(`${intToIP(baseStart)}/${basePrefix}`),
+            specialCrossings: subnets.flatMap(subnet => findSpecialBlockCrossings(subnet.networkAddress, subnet.prefix)),
+            nonUnicast: findNonUnicastSpace(baseStart, basePrefix),
+            subnets: subnets,
+            freeBlocks: getFreeBlocks(baseStart, baseEnd, subnets)
+        };
+    }
+
+    /**
+     * Generates a calculation summary for the split that meets a requirement
+     * @param {string} baseIP - Base IP address (IPv4 or IPv6)
+     * @param {number} basePrefix - Base prefix
+     * @param {Object} requirement - { type: 'subnets' | 'hosts', count }
+     * @param {Object} options - Summary options (see getCalculationSummary)
+     * @returns {Object} - Calculation summary with the plan as `requirement`
+     */
+    function getRequirementSummary(baseIP, basePrefix, requirement, options = {}) {
+        const plan = planSplit(baseIP, basePrefix, requirement, options);
+        const newPrefix = plan.newPrefix > basePrefix ? plan.newPrefix : null;
+
+        return {
+            ...getCalculationSummary(baseIP, basePrefix, newPrefix, options),
+            requirement: plan
+        };
+    }
+
+    /**
+     * Merges adjacent subnets of a listed IPv4 plan into one supernet, giving a mixed-size plan
+     * @param {Object} summary - IPv4 calculation summary whose subnets are all listed
+     *                           (equal split, VLSM or an earlier merge)
+     * @param {Array} subnetNumbers - Subnet numbers to merge
+     * @returns {Object} - Summary with mode 'merged', the subnets renumbered, `merges`
+     *                     listing { network, from } for every merge so far and `source`
+     *                     holding the summary before any merge
+     */
+    function getMergedSummary(summary, subnetNumbers) {
+        if (summary.version === 6) {
+            throw new Error('Only IPv4 subnets can be merged');
+        }
+        if (summary.subnets.length !== Number(summary.totalSubnets)) {
+            throw new Error(`Merging works on plans of up to ${MAX_LISTED_SUBNETS} subnets; split into fewer, larger subnets first`);
+        }
+
+        const wanted = new Set(subnetNumbers.map(Number));
+        const selected = summary.subnets.filter(subnet => wanted.has(subnet.subnetNumber));
+        if (selected.length !== wanted.size) {
+            throw new Error('Some selected subnets are not in this plan');
+        }
+
+        const check = checkMerge(selected);
+        if (!check.mergeable) {
+            throw Object.assign(new Error(check.message), { code: check.code });
+        }
+
+        const cidr = subnet => `${subnet.networkAddress}/${subnet.prefix}`;
+        const named = selected.filter(subnet => subnet.name);
+        const merged = {
+            ...check.supernet,
+            mergedFrom: selected.flatMap(subnet => subnet.mergedFrom || [cidr(subnet)])
+        };
+        if (named.length > 0) {
+            merged.name = named.map(subnet => subnet.name).join(' + ');
+            merged.requiredHosts = named.reduce((sum, subnet) => sum + subnet.requiredHosts, 0);
+        }
+
+        // The merged block takes the place of the first subnet it replaces
+        const subnets = [];
+        summary.subnets.forEach(subnet => {
+            if (subnet.networkAddress === merged.networkAddress && wanted.has(subnet.subnetNumber)) {
+                subnets.push(merged);
+            } else if (!wanted.has(subnet.subnetNumber)) {
+                subnets.push(subnet);
+            }
+        });
+        subnets.forEach((subnet, i) => {
+            subnets[i] = { ...subnet, subnetNumber: i + 1 };
+        });
+
+        const source = summary.source || summary;
+        const { requirement, ...rest } = summary;
+        return {
+            ...rest,
+            mode: 'merged',
+            source: source,
+            merges: [
+                // A block merged again replaces its earlier entry
+                ...(summary.merges || []).filter(merge => !selected.some(subnet => cidr(subnet) === merge.network)),
+                { network: cidr(merged), from: merged.mergedFrom }
+            ],
+            effectivePrefix: subnets[0].prefix,
+            subnetMask: subnets[0].subnetMask,
+            wildcardMask: prefixToWildcard(subnets[0].prefix),
+            totalSubnets: subnets.length,
+            hostsPerSubnet: subnets[0].usableHosts,
+            totalAddresses: subnets[0].totalAddresses,
+            specialCrossings: subnets.flatMap(subnet => findSpecialBlockCrossings(subnet.networkAddress, subnet.prefix)),
+            subnetsTruncated: false,
             subnets: subnets
         };
     }
@@ -333,12 +3684,20 @@ const SubnetEngine = (function() {
     // Public API
     return {
         isValidIP,
+        isValidIPv6,
         isValidPrefix,
+        getIPVersion,
         ipToInt,
         intToIP,
+        ipv6ToBigInt,
+        bigIntToIPv6,
+        expandIPv6,
+        ipv6ToBinary,
+        prefixToMaskV6,
         toBinary8,
         ipToBinary,
         prefixToMask,
+        prefixToWildcard,
         getNetworkAddress,
         getBroadcastAddress,
         getFirstUsable,
@@ -346,10 +3705,58 @@ const SubnetEngine = (function() {
         getUsableHosts,
         getTotalAddresses,
         getNetworkClass,
+        getClassfulPrefix,
+        analyzeMulticast,
         isPrivateIP,
+        classifyAddress,
+        findSpecialBlockCrossings,
         calculateSubnets,
+        countSubnets,
+        getSubnetAt,
+        getSubnetPage,
+        iterateSubnets,
+        locateAddress,
+        getNthSubnet,
+        getAddressIndex,
+        validatePolicy,
+        applyRangePolicy,
+        getHostAt,
+        getHostPage,
+        normalizeMAC,
+        validateAssignment,
+        getAssignmentUtilization,
+        findDuplicateAssignments,
+        getPrefixForHosts,
+        planSplit,
+        calculateVLSM,
+        createPlanNode,
+        carvePlanNode,
+        analyzePlan,
+        serializePlan,
+        parsePlan,
+        getReverseZones,
+        parseCIDR,
+        parseAddressInput,
+        parseHostRequirements,
+        validateCalculationInput,
+        summarizeRoutes,
+        checkMerge,
+        rangeToCIDR,
+        cidrsToRanges,
+        excludeNetworks,
+        checkSubnetConflicts,
+        checkHostPair,
+        parseRoute,
+        formatRoute,
+        getConnectedRoutes,
+        lookupRoute,
+        formatACLAddress,
+        buildACLEntry,
         getBinaryBreakdown,
-        getCalculationSummary
+        getCalculationSummary,
+        getVLSMSummary,
+        getRequirementSummary,
+        getMergedSummary
     };
 })();
 
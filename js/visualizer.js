@@ -5,6 +5,7 @@
  * Creates visual representations of subnetting:
  * - Binary visualization with color coding
  * - Subnet tree structure
+ * - Multi-level address plan tree
  * - Address space timeline map
  * All using pure SVG (no external libraries)
  * ============================================
@@ -13,6 +14,12 @@
 const Visualizer = (function() {
     'use strict';
 
+    // One HTML escaper for every module, kept in Explanations
+    const escapeHTML = Explanations.escapeHTML;
+
+    // Children drawn under one plan block before the rest collapse into "+N more"
+    const MAX_PLAN_TREE_CHILDREN = 16;
+
     /**
      * Generates binary visualization for IP, mask, and network
      * @param {Object} binary - Binary breakdown from SubnetEngine
@@ -22,6 +29,14 @@ const Visualizer = (function() {
         const container = document.getElementById(containerId);
         if (!container) return;
 
+        if (binary.version === 6) {
+            container.innerHTML =
+                createBinaryRowV6('IPv6 Address', binary.ip, binary.networkBits) +
+                createBinaryRowV6('Prefix Mask', binary.mask, binary.networkBits) +
+                createBinaryRowV6('Network Prefix', binary.network, binary.networkBits);
+            return;
+        }
+
         let html = '';
 
         // IP Address Binary
@@ -82,19 +97,68 @@ const Visualizer = (function() {
         return html;
     }
 
+    /**
+     * Creates an IPv6 binary row: 8 groups of 4 nibbles, each hex digit above its bits
+     * @param {string} label - Row label
+     * @param {Object} address - Address entry from the IPv6 binary breakdown
+     * @param {number} networkBits - Number of network bits
+     * @returns {string} - HTML string
+     */
+    function createBinaryRowV6(label, address, networkBits) {
+        let html = '<div class="binary-row">';
+        html += `<div class="binary-label">${label}: ${address.decimal} <span class="binary-expanded">(${address.expanded})</span></div>`;
+        html += '<div class="binary-octets binary-octets--v6">';
+
+        address.binary.forEach((group, groupIndex) => {
+            html += '<div class="binary-octet">';
+
+            for (let nibble = 0; nibble < 4; nibble++) {
+                const hexDigit = address.hextets[groupIndex][nibble];
+                html += '<div class="binary-nibble">';
+                html += `<div class="binary-nibble-hex">${hexDigit}</div>`;
+                html += '<div class="binary-nibble-bits">';
+
+                for (let i = 0; i < 4; i++) {
+                    const bitPosition = groupIndex * 16 + nibble * 4 + i;
+                    const bit = group[nibble * 4 + i];
+                    const className = bitPosition < networkBits ? 'network' : 'host';
+
+                    // Place value inside the nibble (8, 4, 2, 1)
+                    const decimalValue = Math.pow(2, 3 - i);
+                    const contribution = bit === '1' ? decimalValue : 0;
+                    const tooltip = `Position ${bitPosition + 1}\n` +
+                                  `Value: ${bit}\n` +
+                                  `Hex digit: ${hexDigit} (nibble ${groupIndex * 4 + nibble + 1})\n` +
+                                  `Contributes: ${contribution}\n` +
+                                  `Type: ${className === 'network' ? 'Network' : 'Interface'} bit`;
+
+                    html += `<div class="binary-bit ${className}" title="${tooltip}" data-value="${decimalValue}" data-contributes="${contribution}">${bit}</div>`;
+                }
+
+                html += '</div></div>';
+            }
+
+            html += '</div>';
+        });
+
+        html += '</div></div>';
+        return html;
+    }
+
     /**
      * Generates subnet tree visualization
      * @param {Array} subnets - Array of subnet objects
      * @param {number} basePrefix - Base prefix length
      * @param {number} newPrefix - New prefix length
      * @param {string} containerId - Container element ID
+     * @param {number} highlightNumber - Subnet number to highlight (optional)
      */
-    function renderSubnetTree(subnets, basePrefix, newPrefix, containerId) {
+    function renderSubnetTree(subnets, basePrefix, newPrefix, containerId, highlightNumber = null) {
         const container = document.getElementById(containerId);
         if (!container) return;
 
         // If no splitting, show simple single node
-        if (!newPrefix || newPrefix === basePrefix || subnets.length === 1) {
+        if (subnets.length === 1 && subnets[0].prefix === basePrefix) {
             container.innerHTML = `
                 <svg width="400" height="200" viewBox="0 0 400 200">
                     <defs>
@@ -103,7 +167,7 @@ const Visualizer = (function() {
                             <stop offset="100%" style="stop-color:var(--color-secondary);stop-opacity:1" />
                         </linearGradient>
                     </defs>
-                    <rect x="100" y="70" width="200" height="70" rx="12" class="tree-node-single" fill="url(#singleNodeGrad)" />
+                    <rect x="100" y="70" width="200" height="70" rx="12" class="tree-node-single${highlightNumber === 1 ? ' highlighted' : ''}" fill="url(#singleNodeGrad)" />
                     <text x="200" y="95" text-anchor="middle" class="tree-text-main" style="fill: white; font-size: 14px; font-weight: 700;">${subnets[0].networkAddress}</text>
                     <text x="200" y="115" text-anchor="middle" class="tree-text-main" style="fill: white; font-size: 13px;">/${basePrefix}</text>
                     <text x="200" y="132" text-anchor="middle" class="tree-text-main" style="fill: rgba(255,255,255,0.8); font-size: 10px;">${subnets[0].usableHosts} hosts</text>
@@ -149,7 +213,11 @@ const Visualizer = (function() {
         // Draw root node (base network)
         const rootX = svgWidth / 2;
         const rootY = 40;
-        svg += drawTreeNode(subnets[0].networkAddress.split('.').slice(0, 3).join('.') + '.0', basePrefix, rootX, rootY, nodeWidth + 20, nodeHeight, null, true);
+        // The first subnet is not always the first block (classful splits skip subnet zero)
+        const rootAddress = subnets[0].version === 6
+            ? subnets[0].networkAddress
+            : SubnetEngine.getNetworkAddress(subnets[0].networkAddress, basePrefix);
+        svg += drawTreeNode(rootAddress, basePrefix, rootX, rootY, nodeWidth + 20, nodeHeight, null, true);
 
         // Draw child nodes (subnets) with better layout
         const startY = rootY + levelHeight;
@@ -167,7 +235,7 @@ const Visualizer = (function() {
             svg += `<path d="M ${rootX} ${rootY + nodeHeight} Q ${rootX} ${midY}, ${x} ${y}" class="tree-link" />`;
 
             // Draw child node
-            svg += drawTreeNode(subnet.networkAddress, newPrefix, x, y, nodeWidth, nodeHeight, index + 1, false);
+            svg += drawTreeNode(subnet.networkAddress, subnet.prefix, x, y, nodeWidth, nodeHeight, index + 1, false, index + 1 === highlightNumber);
         });
 
         svg += '</svg>';
@@ -184,15 +252,16 @@ const Visualizer = (function() {
      * @param {number} height - Node height
      * @param {number} number - Subnet number (optional)
      * @param {boolean} isRoot - Is this the root node
+     * @param {boolean} isHighlighted - Mark the node (e.g. a located address)
      * @returns {string} - SVG string
      */
-    function drawTreeNode(address, prefix, x, y, width, height, number = null, isRoot = false) {
+    function drawTreeNode(address, prefix, x, y, width, height, number = null, isRoot = false, isHighlighted = false) {
         const rectX = x - width / 2;
         const fillColor = isRoot ? 'url(#rootGrad)' : 'url(#childGrad)';
         const strokeColor = isRoot ? '#8b5cf6' : '#3b82f6';
         
         let svg = `<rect x="${rectX}" y="${y}" width="${width}" height="${height}" rx="12" 
-                   class="tree-node" fill="${fillColor}" stroke="${strokeColor}" 
+                   class="tree-node${isHighlighted ? ' highlighted' : ''}" fill="${fillColor}" stroke="${strokeColor}" 
                    stroke-width="3" filter="url(#shadow)" />`;
         
         if (number) {
@@ -211,8 +280,117 @@ const Visualizer = (function() {
         return svg;
     }
 
+    /**
+     * Renders a hierarchical address plan as a multi-level tree
+     * Every block is a <g data-path="0.2"> so callers can select it on click (the root's path is "").
+     * @param {Object} analysis - Result of SubnetEngine.analyzePlan
+     * @param {string} containerId - Container element ID
+     * @param {string} selectedPath - Dotted path of the block to highlight (optional)
+     */
+    function renderPlanTree(analysis, containerId, selectedPath = null) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const nodeWidth = 170;
+        const nodeHeight = 64;
+        const levelHeight = 120;
+        const spacing = 20;
+        const statusByPath = new Map(analysis.blocks.map(block => [block.path.join('.'), block.status]));
+
+        // Leaves take the next free column; a parent sits centred over its drawn children
+        let nextColumn = 0;
+        const layout = (node, path, depth) => {
+            const shown = node.children.slice(0, MAX_PLAN_TREE_CHILDREN);
+            const children = shown.map((child, i) => layout(child, [...path, i], depth + 1));
+            const hidden = node.children.length - shown.length;
+
+            if (hidden > 0) {
+                children.push({ more: hidden, column: nextColumn++, depth: depth + 1, children: [] });
+            }
+
+            const column = children.length
+                ? (children[0].column + children[children.length - 1].column) / 2
+                : nextColumn++;
+            return { node, path: path.join('.'), column, depth, children };
+        };
+        const tree = layout(analysis.blocks[0].node, [], 0);
+
+        const svgWidth = Math.max(nextColumn * (nodeWidth + spacing) + 60, 400);
+        const svgHeight = analysis.levels * levelHeight + 40;
+        const centerX = item => 40 + item.column * (nodeWidth + spacing) + nodeWidth / 2;
+        const topY = item => 20 + item.depth * levelHeight;
+
+        let svg = `<svg width="100%" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`;
+        svg += `
+            <defs>
+                <linearGradient id="planRootGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                    <stop offset="0%" style="stop-color:#8b5cf6;stop-opacity:1" />
+                    <stop offset="100%" style="stop-color:#3b82f6;stop-opacity:1" />
+                </linearGradient>
+                <linearGradient id="planChildGrad" x1="0%" y1="0%" x2="100%" y2="100%">
+                    <stop offset="0%" style="stop-color:#3b82f6;stop-opacity:1" />
+                    <stop offset="100%" style="stop-color:#06b6d4;stop-opacity:1" />
+                </linearGradient>
+                <filter id="planShadow">
+                    <feDropShadow dx="0" dy="4" stdDeviation="4" flood-opacity="0.3"/>
+                </filter>
+            </defs>
+        `;
+
+        const draw = item => {
+            const x = centerX(item);
+            const y = topY(item);
+            const rectX = x - nodeWidth / 2;
+
+            // Links first so the child boxes cover their ends
+            item.children.forEach(child => {
+                const childY = topY(child);
+                const midY = (y + nodeHeight + childY) / 2;
+                svg += `<path d="M ${x} ${y + nodeHeight} C ${x} ${midY}, ${centerX(child)} ${midY}, ${centerX(child)} ${childY}" class="tree-link" />`;
+            });
+
+            if (item.more) {
+                svg += `<rect x="${rectX}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="12" class="plan-tree-more" />`;
+                svg += `<text x="${x}" y="${y + 37}" text-anchor="middle" class="tree-text">+${item.more.toLocaleString()} more</text>`;
+                return;
+            }
+
+            const { node } = item;
+            const status = statusByPath.get(item.path);
+            const classes = ['tree-node'];
+            if (status !== 'ok') {
+                classes.push(`plan-${status}`);
+            }
+            if (item.path === selectedPath) {
+                classes.push('highlighted');
+            }
+
+            const name = node.name || (item.depth === 0 ? 'PLAN ROOT' : 'Unnamed block');
+            const shortName = name.length > 20 ? `${name.slice(0, 19)}…` : name;
+
+            svg += `<g class="plan-tree-node" data-path="${item.path}">`;
+            svg += `<rect x="${rectX}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="12"
+                     class="${classes.join(' ')}" fill="url(#${item.depth === 0 ? 'planRootGrad' : 'planChildGrad'})"
+                     stroke="${item.depth === 0 ? '#8b5cf6' : '#3b82f6'}" stroke-width="3" filter="url(#planShadow)" />`;
+            svg += `<text x="${x}" y="${y + 19}" text-anchor="middle" class="tree-text" style="font-size: 11px; fill: rgba(255,255,255,0.85);">${escapeHTML(shortName)}</text>`;
+            svg += `<text x="${x}" y="${y + 38}" text-anchor="middle" class="tree-text" style="font-size: 13px; fill: white; font-weight: 700;">${node.networkAddress}/${node.prefix}</text>`;
+            svg += `<text x="${x}" y="${y + 55}" text-anchor="middle" class="tree-text" style="font-size: 11px; fill: rgba(255,255,255,0.9);">${node.vlan !== null ? `VLAN ${escapeHTML(node.vlan)}` : `${node.totalAddresses.toLocaleString()} addresses`}</text>`;
+            svg += '</g>';
+
+            item.children.forEach(draw);
+        };
+        draw(tree);
+
+        svg += '</svg>';
+        container.innerHTML = svg;
+    }
+
     /**
      * Generates address space map visualization
+     * Bars are placed by address, so gaps between subnets stay visible.
+     * Subnets with a `status` ('excluded', 'free', 'conflict' or 'ok') are drawn as solid blocks,
+     * and subnets with a `layout` (from SubnetEngine.applyRangePolicy) show its gateway, static,
+     * DHCP pool and reserved ranges.
      * @param {Array} subnets - Array of subnet objects
      * @param {string} containerId - Container element ID
      */
@@ -230,68 +408,132 @@ const Visualizer = (function() {
         const barHeight = 40;
         const barSpacing = 20;
         const leftMargin = 50;
-        const rightMargin = 50;
-        const availableWidth = svgWidth - leftMargin - rightMargin;
+        const labelWidth = 230;
+        const availableWidth = svgWidth - leftMargin - labelWidth;
+        const statusColors = {
+            excluded: 'var(--color-danger)',
+            free: 'var(--color-usable)',
+            conflict: 'var(--color-danger)',
+            ok: 'var(--color-usable)'
+        };
+        const statusLabels = {
+            excluded: 'Excluded',
+            free: 'Free',
+            conflict: 'Conflict',
+            ok: 'OK'
+        };
 
-        // Calculate max address for scaling
-        const lastSubnet = subnets[subnets.length - 1];
-        const maxAddress = SubnetEngine.ipToInt(lastSubnet.broadcastAddress);
-        const minAddress = SubnetEngine.ipToInt(subnets[0].networkAddress);
+        // Scale against the whole span from the lowest to the highest address
+        const minAddress = Math.min(...subnets.map(s => SubnetEngine.ipToInt(s.networkAddress)));
+        const maxAddress = Math.max(...subnets.map(s => SubnetEngine.ipToInt(s.broadcastAddress)));
         const range = maxAddress - minAddress + 1;
 
         let svg = `<svg width="100%" height="${svgHeight}" viewBox="0 0 ${svgWidth} ${svgHeight}">`;
 
         subnets.forEach((subnet, index) => {
             const y = 20 + index * (barHeight + barSpacing);
-            
-            // Calculate positions
             const networkInt = SubnetEngine.ipToInt(subnet.networkAddress);
-            const broadcastInt = SubnetEngine.ipToInt(subnet.broadcastAddress);
-            const firstUsableInt = SubnetEngine.ipToInt(subnet.firstUsable);
-            const lastUsableInt = SubnetEngine.ipToInt(subnet.lastUsable);
-
-            // Calculate widths proportionally
-            const totalWidth = availableWidth * (subnet.totalAddresses / range);
-            const networkWidth = 3; // Fixed small width for network
-            const broadcastWidth = 3; // Fixed small width for broadcast
-            const usableWidth = totalWidth - networkWidth - broadcastWidth;
+            const number = subnet.layout ? subnet.subnetNumber : index + 1;
+            const label = subnet.status
+                ? `${statusLabels[subnet.status]}: ${subnet.networkAddress}/${subnet.prefix}${subnet.label ? ` ${escapeHTML(subnet.label)}` : ''}`
+                : `Subnet ${number}: ${subnet.networkAddress}/${subnet.prefix}`;
 
-            const startX = leftMargin;
+            // Calculate position and width proportionally (at least 2px so tiny blocks stay visible)
+            const startX = leftMargin + availableWidth * ((networkInt - minAddress) / range);
+            const totalWidth = Math.max(availableWidth * (subnet.totalAddresses / range), 2);
 
-            // Draw network address (blue)
-            svg += `<rect x="${startX}" y="${y}" width="${networkWidth}" height="${barHeight}" 
-                    fill="var(--color-network)" rx="2" />`;
+            svg += '<g>';
 
-            // Draw usable range (green)
-            svg += `<rect x="${startX + networkWidth}" y="${y}" width="${usableWidth}" height="${barHeight}" 
-                    fill="var(--color-usable)" rx="2" />`;
-
-            // Draw broadcast address (red)
-            svg += `<rect x="${startX + networkWidth + usableWidth}" y="${y}" width="${broadcastWidth}" height="${barHeight}" 
-                    fill="var(--color-broadcast)" rx="2" />`;
+            // Add hover tooltip (simplified)
+            svg += subnet.status
+                ? `<title>${label}
+Range: ${subnet.networkAddress} - ${subnet.broadcastAddress}
+Addresses: ${subnet.totalAddresses}</title>`
+                : `<title>Subnet ${number}
+Network: ${subnet.networkAddress}
+Usable: ${subnet.firstUsable} - ${subnet.lastUsable}
+Broadcast: ${subnet.hasBroadcast === false ? 'None' : subnet.broadcastAddress}
+Hosts: ${subnet.usableHosts}${subnet.layout ? describeLayout(subnet) : ''}</title>`;
+
+            if (subnet.layout) {
+                // Each policy range at its true offset (at least 1px so single addresses stay visible)
+                const unit = totalWidth / subnet.totalAddresses;
+                const { layout } = subnet;
+                const segments = [
+                    [layout.staticRange, 'var(--color-warning)'],
+                    [layout.dhcpRange, 'var(--color-usable)'],
+                    [layout.reservedRange, 'var(--text-tertiary)'],
+                    [layout.gateway !== null ? { first: layout.gateway, last: layout.gateway } : null, 'var(--color-secondary)']
+                ];
+                if (subnet.hasBroadcast !== false) {
+                    segments.push([{ first: 0, last: 0 }, 'var(--color-network)']);
+                    segments.push([{ first: subnet.totalAddresses - 1, last: subnet.totalAddresses - 1 }, 'var(--color-broadcast)']);
+                }
+
+                segments.filter(([range]) => range !== null).forEach(([range, color]) => {
+                    svg += `<rect x="${startX + range.first * unit}" y="${y}" width="${Math.max((range.last - range.first + 1) * unit, 1)}" height="${barHeight}" 
+                            fill="${color}" />`;
+                });
+            } else if (subnet.status) {
+                // Draw the whole block in its status color
+                svg += `<rect x="${startX}" y="${y}" width="${totalWidth}" height="${barHeight}" 
+                        fill="${statusColors[subnet.status]}" rx="2" />`;
+            } else if (subnet.hasBroadcast === false) {
+                // /31 and /32 reserve no network or broadcast address
+                svg += `<rect x="${startX}" y="${y}" width="${totalWidth}" height="${barHeight}" 
+                        fill="var(--color-usable)" rx="2" />`;
+            } else {
+                const networkWidth = Math.min(3, totalWidth / 3); // Fixed small width for network
+                const broadcastWidth = networkWidth; // Fixed small width for broadcast
+                const usableWidth = totalWidth - networkWidth - broadcastWidth;
+
+                // Draw network address (blue)
+                svg += `<rect x="${startX}" y="${y}" width="${networkWidth}" height="${barHeight}" 
+                        fill="var(--color-network)" rx="2" />`;
+
+                // Draw usable range (green)
+                svg += `<rect x="${startX + networkWidth}" y="${y}" width="${usableWidth}" height="${barHeight}" 
+                        fill="var(--color-usable)" rx="2" />`;
+
+                // Draw broadcast address (red)
+                svg += `<rect x="${startX + networkWidth + usableWidth}" y="${y}" width="${broadcastWidth}" height="${barHeight}" 
+                        fill="var(--color-broadcast)" rx="2" />`;
+            }
 
             // Add border
             svg += `<rect x="${startX}" y="${y}" width="${totalWidth}" height="${barHeight}" 
                     fill="none" stroke="var(--border-color)" stroke-width="2" rx="2" />`;
 
-            // Add labels
-            svg += `<text x="${startX + totalWidth + 10}" y="${y + barHeight / 2}" 
-                    alignment-baseline="middle" class="tree-text" style="font-size: 12px;">
-                    Subnet ${index + 1}: ${subnet.networkAddress}/${subnet.prefix}
-                    </text>`;
+            // Add labels in a column to the right of the bars
+            svg += `<text x="${leftMargin + availableWidth + 10}" y="${y + barHeight / 2}" 
+                    alignment-baseline="middle" class="tree-text" style="font-size: 12px;">${label}</text>`;
 
-            // Add hover tooltip (simplified)
-            svg += `<title>Subnet ${index + 1}
-Network: ${subnet.networkAddress}
-Usable: ${subnet.firstUsable} - ${subnet.lastUsable}
-Broadcast: ${subnet.broadcastAddress}
-Hosts: ${subnet.usableHosts}</title>`;
+            svg += '</g>';
         });
 
         svg += '</svg>';
         container.innerHTML = svg;
     }
 
+    /**
+     * Lists a subnet's policy ranges for its map tooltip
+     * @param {Object} subnet - Subnet object with a `layout` from SubnetEngine.applyRangePolicy
+     * @returns {string} - Tooltip lines, each starting with a newline
+     */
+    function describeLayout(subnet) {
+        const { layout } = subnet;
+        const addressAt = offset => SubnetEngine.getHostAt(subnet.networkAddress, subnet.prefix, offset).address;
+        const describe = range => range === null ? 'none'
+            : range.first === range.last ? addressAt(range.first)
+            : `${addressAt(range.first)} - ${addressAt(range.last)} (${range.last - range.first + 1})`;
+
+        return `
+Gateway: ${layout.gateway !== null ? addressAt(layout.gateway) : 'none'}
+Static: ${describe(layout.staticRange)}
+DHCP pool: ${describe(layout.dhcpRange)}
+Reserved: ${describe(layout.reservedRange)}`;
+    }
+
     /**
      * Generates a color-coded IP address display
      * @param {string} ip - IP address
@@ -350,6 +592,7 @@ Hosts: ${subnet.usableHosts}</title>`;
     return {
         renderBinaryVisualization,
         renderSubnetTree,
+        renderPlanTree,
         renderAddressSpaceMap,
         colorCodeIP,
         compareSubnets,